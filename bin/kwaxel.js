@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+/**
+ * kwaxel — batch jobs on top of the core library (src/core), no browser needed.
+ * Run `kwaxel help` for the commands. Images in and out are PNG.
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import {
+  ATLAS_FORMATS,
+  DEFAULT_FRAME_MS,
+  DEFAULT_GENERATOR_SETTINGS,
+  DITHER_METHODS,
+  FIT_MODES,
+  GENERATOR_TEMPLATES,
+  MAX_GENERATOR_COLORS,
+  MAX_SIZE,
+  MIN_GENERATOR_COLORS,
+  MIN_SIZE,
+  PaletteFormatError,
+  PixelBuffer,
+  PngFormatError,
+  REDUCE_METHODS,
+  RESAMPLE_METHODS,
+  SHEET_LAYOUTS,
+  UPSCALERS,
+  buildAtlas,
+  formatGeneratorCode,
+  generateSprite,
+  packSheet,
+  parseGeneratorCode,
+  parsePalette,
+  upscaleError,
+} from "../src/core/index.js";
+
+const ids = (list) => list.map((m) => m.id);
+
+const USAGE = `Usage: kwaxel <command> [options]
+
+Commands:
+  convert <images…>   Resample images into kwaxels
+      --size WxH        target size (default 32x32)
+      --fit MODE        ${FIT_MODES.map((m) => m.id).join(" | ")} (default fit)
+      --resample M      ${RESAMPLE_METHODS.map((m) => m.id).join(" | ")} (default box)
+      --reduce M        ${REDUCE_METHODS.map((m) => m.id).join(" | ")}
+                        (default palette with --palette, median-cut with
+                        --colors, otherwise none)
+      --colors N        colour count for median-cut / kmeans (default 16)
+      --palette FILE    reduce to a palette file (.gpl, .pal, .hex, .txt)
+      --dither M        ${DITHER_METHODS.map((m) => m.id).join(" | ")}
+  palette <images…>   Map images onto --palette FILE [--dither M]
+  upscale <images…>   Upscale by a whole factor
+      --scale N         factor (default 4)
+      --method M        ${UPSCALERS.map((u) => u.id).join(" | ")} (default nearest)
+      --margin N        transparent px added around the result
+  sheet <folder>      Pack the folder's PNGs (sorted by name) into a sheet
+      --layout L        ${SHEET_LAYOUTS.join(" | ")} (default horizontal)
+      --columns N       grid columns (default 4)
+      --padding N       px between cells
+      --extrude N       edge px repeated around each cell
+      --scale N         cell scale (default 1)
+      --atlas F         ${ATLAS_FORMATS.join(" | ")} | none (default hash)
+      --duration MS     frame duration in the atlas (default ${DEFAULT_FRAME_MS})
+  generate            Procedural sprites; the same seed gives the same sprite
+      --seed S          seed text (default ${DEFAULT_GENERATOR_SETTINGS.seed})
+      --code CODE       generator code from the editor (sets everything below)
+      --template T      ${ids(GENERATOR_TEMPLATES).join(" | ")}
+      --size WxH        sprite size (default 32x32)
+      --density N       % of chance cells filled (default ${DEFAULT_GENERATOR_SETTINGS.density})
+      --colors N        colours, ${MIN_GENERATOR_COLORS}–${MAX_GENERATOR_COLORS} (default ${DEFAULT_GENERATOR_SETTINGS.colors})
+      --symmetry N      % mirrored (default ${DEFAULT_GENERATOR_SETTINGS.symmetry})
+      --no-outline      leave out the outline
+      --palette FILE    colours to pick from (default: a ramp around a seeded hue)
+      --count N         N sprites, seeded S-1 … S-N
+
+  -o, --out PATH      output file, or a directory for several inputs
+                      (default: next to the input, with a suffix)
+  -h, --help          show this help`;
+
+/** Bad arguments — reported with a hint to the usage text, exit code 2 */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+const COMMON = {
+  out: { type: "string", short: "o" },
+  help: { type: "boolean", short: "h" },
+};
+
+const OPTIONS = {
+  convert: {
+    size: { type: "string", default: "32x32" },
+    fit: { type: "string", default: "fit" },
+    resample: { type: "string", default: "box" },
+    reduce: { type: "string" },
+    colors: { type: "string" },
+    palette: { type: "string" },
+    dither: { type: "string", default: "none" },
+  },
+  palette: {
+    palette: { type: "string" },
+    dither: { type: "string", default: "none" },
+  },
+  upscale: {
+    scale: { type: "string", default: "4" },
+    method: { type: "string", default: "nearest" },
+    margin: { type: "string", default: "0" },
+  },
+  sheet: {
+    layout: { type: "string", default: "horizontal" },
+    columns: { type: "string", default: "4" },
+    padding: { type: "string", default: "0" },
+    extrude: { type: "string", default: "0" },
+    scale: { type: "string", default: "1" },
+    atlas: { type: "string", default: "hash" },
+    duration: { type: "string", default: String(DEFAULT_FRAME_MS) },
+  },
+  generate: {
+    seed: { type: "string" },
+    code: { type: "string" },
+    template: { type: "string" },
+    size: { type: "string", default: "32x32" },
+    density: { type: "string" },
+    colors: { type: "string" },
+    symmetry: { type: "string" },
+    "no-outline": { type: "boolean", default: false },
+    palette: { type: "string" },
+    count: { type: "string", default: "1" },
+  },
+};
+
+/* ── Argument helpers ───────────────────────────────────────────────────── */
+
+function oneOf(name, value, ids) {
+  if (!ids.includes(value)) {
+    throw new UsageError(`--${name} must be one of: ${ids.join(", ")}`);
+  }
+  return value;
+}
+
+function integer(name, value, min, max = Infinity) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    const range = max === Infinity ? `at least ${min}` : `${min}–${max}`;
+    throw new UsageError(`--${name} must be a whole number ${range}`);
+  }
+  return n;
+}
+
+function parseSize(value) {
+  const m = /^(\d+)x(\d+)$/i.exec(value);
+  if (!m) throw new UsageError("--size must look like 32x32");
+  return {
+    width: integer("size", m[1], MIN_SIZE, MAX_SIZE),
+    height: integer("size", m[2], MIN_SIZE, MAX_SIZE),
+  };
+}
+
+/* ── Files ──────────────────────────────────────────────────────────────── */
+
+async function readPng(file) {
+  try {
+    return PixelBuffer.fromPng(new Uint8Array(await fs.readFile(file)));
+  } catch (err) {
+    if (err instanceof PngFormatError) err.message = `${file}: ${err.message}`;
+    throw err;
+  }
+}
+
+async function readPalette(file) {
+  try {
+    return parsePalette(await fs.readFile(file, "utf8"), path.basename(file));
+  } catch (err) {
+    if (err instanceof PaletteFormatError) {
+      err.message = `${file}: ${err.message}`;
+    }
+    throw err;
+  }
+}
+
+const isDirectory = (p) =>
+  fs.stat(p).then(
+    (s) => s.isDirectory(),
+    () => false
+  );
+
+/**
+ * Where to write the result for `input`: -o as given for a single input, or
+ * inside -o when it is a directory; otherwise next to the input + `suffix`.
+ */
+async function outputPath(input, out, many, suffix) {
+  const stem = path.basename(input, path.extname(input));
+  if (!out) return path.join(path.dirname(input), `${stem}${suffix}.png`);
+  if (many || /[\\/]$/.test(out) || (await isDirectory(out))) {
+    await fs.mkdir(out, { recursive: true });
+    return path.join(out, `${stem}.png`);
+  }
+  return out;
+}
+
+/** Run `transform` on every input PNG and write the results */
+async function eachImage(inputs, out, suffix, transform) {
+  if (inputs.length === 0) throw new UsageError("No input images given");
+  for (const input of inputs) {
+    const img = transform(await readPng(input));
+    const file = await outputPath(input, out, inputs.length > 1, suffix);
+    await fs.writeFile(file, img.toPng());
+    console.log(`${input} → ${file} (${img.width}×${img.height})`);
+  }
+}
+
+/* ── Commands ───────────────────────────────────────────────────────────── */
+
+async function convert(inputs, opts) {
+  const { width, height } = parseSize(opts.size);
+  const palette = opts.palette ? await readPalette(opts.palette) : null;
+  const reduce = oneOf(
+    "reduce",
+    opts.reduce ??
+      (palette ? "palette" : opts.colors !== undefined ? "median-cut" : "none"),
+    ids(REDUCE_METHODS)
+  );
+  if (reduce === "palette" && !palette) {
+    throw new UsageError("--reduce palette needs --palette FILE");
+  }
+  const settings = {
+    fit: oneOf("fit", opts.fit, ids(FIT_MODES)),
+    resample: oneOf("resample", opts.resample, ids(RESAMPLE_METHODS)),
+    reduce,
+    colors: integer("colors", opts.colors ?? 16, 2, 256),
+    palette: palette?.colors ?? [],
+    dither: oneOf("dither", opts.dither, ids(DITHER_METHODS)),
+  };
+  await eachImage(inputs, opts.out, `_${width}x${height}`, (img) =>
+    img.fit(width, height, settings)
+  );
+}
+
+async function applyPalette(inputs, opts) {
+  if (!opts.palette) throw new UsageError("palette needs --palette FILE");
+  const { colors } = await readPalette(opts.palette);
+  const dither = oneOf("dither", opts.dither, ids(DITHER_METHODS));
+  await eachImage(inputs, opts.out, "_palette", (img) =>
+    img.applyPalette(colors, dither)
+  );
+}
+
+async function upscale(inputs, opts) {
+  const k = integer("scale", opts.scale, 1, 64);
+  const method = oneOf("method", opts.method, ids(UPSCALERS));
+  const margin = integer("margin", opts.margin, 0);
+  const error = upscaleError(method, k);
+  if (error) throw new UsageError(`--scale ${k}: ${error}`);
+  const suffix = method === "nearest" ? `_x${k}` : `_${method}_x${k}`;
+  await eachImage(inputs, opts.out, suffix, (img) =>
+    img.upscale(k, { method, margin })
+  );
+}
+
+async function sheet([folder, ...rest], opts) {
+  if (!folder || rest.length > 0) {
+    throw new UsageError("sheet takes exactly one folder");
+  }
+  const atlasFormat = oneOf("atlas", opts.atlas, [...ATLAS_FORMATS, "none"]);
+  const settings = {
+    layout: oneOf("layout", opts.layout, SHEET_LAYOUTS),
+    columns: integer("columns", opts.columns, 1),
+    padding: integer("padding", opts.padding, 0),
+    extrude: integer("extrude", opts.extrude, 0),
+    scale: integer("scale", opts.scale, 1, 64),
+  };
+  const duration = integer("duration", opts.duration, 1);
+
+  const names = (await fs.readdir(folder))
+    .filter((f) => /\.png$/i.test(f))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  if (names.length === 0) throw new Error(`${folder}: no PNG files`);
+  const frames = [];
+  for (const name of names) {
+    frames.push(await readPng(path.join(folder, name)));
+  }
+  const { width: w, height: h } = frames[0];
+  const odd = frames.findIndex((f) => f.width !== w || f.height !== h);
+  if (odd !== -1) {
+    const f = frames[odd];
+    throw new Error(
+      `${names[odd]} is ${f.width}×${f.height} but ${names[0]} is ${w}×${h}`
+    );
+  }
+
+  const packed = packSheet(
+    frames.map((f) => f.pixels),
+    w,
+    h,
+    settings
+  );
+  const file =
+    opts.out ?? path.join(path.dirname(path.resolve(folder)), "sheet.png");
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(
+    file,
+    new PixelBuffer(packed.width, packed.height, packed.pixels).toPng()
+  );
+  console.log(`${names.length} frames → ${file}`);
+  if (atlasFormat === "none") return;
+
+  const atlas = buildAtlas(
+    packed.rects.map((rect, i) => ({ name: names[i], rect, duration })),
+    {
+      format: atlasFormat,
+      image: path.basename(file),
+      width: packed.width,
+      height: packed.height,
+      scale: settings.scale,
+    }
+  );
+  const json = file.replace(/\.png$/i, "") + ".json";
+  await fs.writeFile(json, JSON.stringify(atlas, null, 2));
+  console.log(`atlas → ${json}`);
+}
+
+async function generate(args, opts) {
+  if (args.length > 0) throw new UsageError("generate takes no input files");
+  const d = DEFAULT_GENERATOR_SETTINGS;
+  let settings;
+  if (opts.code) {
+    settings = parseGeneratorCode(opts.code);
+    if (!settings) throw new UsageError(`Not a generator code: "${opts.code}"`);
+  } else {
+    settings = {
+      template: oneOf(
+        "template",
+        opts.template ?? d.template,
+        ids(GENERATOR_TEMPLATES)
+      ),
+      seed: opts.seed ?? d.seed,
+      density: integer("density", opts.density ?? d.density, 0, 100),
+      colors: integer(
+        "colors",
+        opts.colors ?? d.colors,
+        MIN_GENERATOR_COLORS,
+        MAX_GENERATOR_COLORS
+      ),
+      symmetry: integer("symmetry", opts.symmetry ?? d.symmetry, 0, 100),
+      outline: !opts["no-outline"],
+    };
+  }
+  const { width, height } = parseSize(opts.size);
+  const colors = opts.palette ? (await readPalette(opts.palette)).colors : [];
+  const count = integer("count", opts.count, 1, 1000);
+  const many = count > 1;
+  if (opts.out && (many || (await isDirectory(opts.out)))) {
+    await fs.mkdir(opts.out, { recursive: true });
+  }
+
+  for (let i = 1; i <= count; i++) {
+    const s = many ? { ...settings, seed: `${settings.seed}-${i}` } : settings;
+    const pixels = generateSprite(width, height, s, colors);
+    const name = `kwaxel_${s.seed.replace(/[^\w-]+/g, "_")}.png`;
+    const file =
+      opts.out && !many && !(await isDirectory(opts.out))
+        ? opts.out
+        : path.join(opts.out ?? ".", name);
+    await fs.writeFile(file, new PixelBuffer(width, height, pixels).toPng());
+    console.log(`${formatGeneratorCode(s)} → ${file}`);
+  }
+}
+
+const COMMANDS = { convert, palette: applyPalette, upscale, sheet, generate };
+
+/* ── Main ───────────────────────────────────────────────────────────────── */
+
+async function main(argv) {
+  const [command, ...args] = argv;
+  if (
+    !command ||
+    command === "help" ||
+    command === "-h" ||
+    command === "--help"
+  ) {
+    console.log(USAGE);
+    return;
+  }
+  if (!Object.hasOwn(COMMANDS, command)) {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      options: { ...COMMON, ...OPTIONS[command] },
+      allowPositionals: true,
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  if (parsed.values.help) {
+    console.log(USAGE);
+    return;
+  }
+  await COMMANDS[command](parsed.positionals, parsed.values);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  if (err instanceof UsageError) {
+    console.error(`kwaxel: ${err.message}\nRun "kwaxel help" for usage.`);
+    process.exit(2);
+  }
+  console.error(`kwaxel: ${err.message}`);
+  process.exit(1);
+});
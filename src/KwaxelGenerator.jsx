@@ -7,63 +7,198 @@ import React, {
   useState,
 } from "react";
 import defaultSpriteUrl from "./assets/kwaxel_default.png";
+import CanvasSizeDialog from "./components/CanvasSizeDialog";
+import CollectionDialog from "./components/CollectionDialog";
+import ColorPicker from "./components/ColorPicker";
+import ExportDialog from "./components/ExportDialog";
+import FillOptionsBar from "./components/FillOptionsBar";
+import GalleryDialog from "./components/GalleryDialog";
+import GeneratorDialog from "./components/GeneratorDialog";
+import HistoryPanel from "./components/HistoryPanel";
+import ImageEffectDialog from "./components/ImageEffectDialog";
+import ImportDialog from "./components/ImportDialog";
+import LayersPanel from "./components/LayersPanel";
+import PalettePanel from "./components/PalettePanel";
+import PaletteSwapPanel from "./components/PaletteSwapPanel";
+import PreviewPane from "./components/PreviewPane";
+import ReferencePanel from "./components/ReferencePanel";
+import SpriteSheetDialog from "./components/SpriteSheetDialog";
+import SymmetryPanel from "./components/SymmetryPanel";
+import Timeline from "./components/Timeline";
+import UpscaleDialog from "./components/UpscaleDialog";
+import {
+  downloadBlob,
+  drawPixels,
+  imageDataToPixels,
+  imageElementToPixels,
+  loadImage,
+  loadReferenceImage,
+  pixelsFromImageElement,
+  pixelsToCanvas,
+  readClipboardImage,
+  writeClipboardImage,
+} from "./lib/canvas";
+import {
+  DEFAULT_COLLECTION,
+  collectionToJson,
+  parseCollection,
+} from "./lib/collection";
+import { argbToHex, hexToArgb } from "./lib/color";
+import {
+  canMergeDown,
+  celPixels,
+  compositeFrame,
+  createDocument,
+  createFrame,
+  duplicateFrame,
+  duplicateLayer,
+  flattenDocument,
+  insertFrame,
+  insertLayer,
+  mapCels,
+  mergeLayerDown,
+  moveFrame,
+  patchFrame,
+  removeFrame,
+  removeLayer,
+  resizeDocument,
+  resolveLayers,
+  setCel,
+} from "./lib/document";
+import {
+  DEFAULT_FILL_OPTIONS,
+  GRADIENT_PATTERNS,
+  floodRegion,
+  paintMask,
+  parseFillOptions,
+} from "./lib/fill";
+import { EXPORT_FORMATS } from "./lib/exporters";
+import { encodeGif } from "./lib/gif";
+import { amendLast, emptyHistory, pushEntry, seekHistory } from "./lib/history";
+import {
+  DEFAULT_GENERATOR_SETTINGS,
+  parseGeneratorSettings,
+} from "./lib/generator";
+import { compositeRect, createLayer, patchLayer } from "./lib/layers";
+import {
+  paletteSnapper,
+  parseSwapVariants,
+  replaceColor,
+  usedColors,
+} from "./lib/palette";
+import { PngFormatError, decodePng, encodePng } from "./lib/png";
+import {
+  PNG_PROJECT_KEY,
+  PROJECT_EXTENSION,
+  ProjectFormatError,
+  parseProject,
+  serializeProject,
+} from "./lib/project";
+import {
+  dragReference,
+  fitReference,
+  parseReference,
+  referenceHandleAt,
+  referenceHandles,
+  referenceToJson,
+  sampleReference,
+} from "./lib/reference";
+import { scalePixels } from "./lib/resize";
+import {
+  SELECT_TOOLS,
+  clearMasked,
+  clipToMask,
+  dropFloatingInto,
+  floatingFromPixels,
+  floatingMask,
+  liftSelection,
+  maskEdges,
+  polygonMask,
+  rectMask,
+  stampFloating,
+} from "./lib/selection";
+import { SHAPE_TOOLS, constrainShape, drawShape } from "./lib/shapes";
+import { beginStroke, strokeTo } from "./lib/stroke";
+import { SYMMETRY_MODES, symmetryAxis, symmetryMapper } from "./lib/symmetry";
+import {
+  dropShadow,
+  flipPixels,
+  offsetPixels,
+  outlinePixels,
+  rotatePixels,
+} from "./lib/transform";
+import {
+  MIN_ZOOM,
+  centerPan,
+  fitView,
+  maxZoom,
+  pinchView,
+  zoomPan,
+  zoomStep,
+} from "./lib/viewport";
+import {
+  getDocument,
+  getMeta,
+  newDocumentId,
+  putDocument,
+  setMeta,
+} from "./lib/storage";
 
 /**
- * Kwaxel Generator — 32×32 Pixel Art Studio
- * Tools: pencil | eraser | fill | eyedropper
- * Features: brush sizes, zoom, grid, undo/redo, import (PNG/JPG), export (×1/×2/×4/×8).
- * Pixels stored as 0xAARRGGBB (Uint32Array).
+ * Kwaxel Generator — Pixel Art Studio (32×32 by default, up to 256×256)
+ * Tools: pencil | eraser | fill | eyedropper | line | rect | ellipse
+ *        | marquee | lasso | wand | move
+ * Features: layers, animation frames, palettes, selections, symmetry, a
+ * pan/zoom viewport, projects with autosave, and PNG/GIF/sheet/other exports;
+ * see the lib/ and components/ modules for each.
+ * Pixels stored as 0xAARRGGBB (Uint32Array) in a { width, height, layers,
+ * frames } document (lib/document.js); tools paint the active cel.
  */
-
-const W = 32;
-const H = 32;
-const MAX_HISTORY = 200;
+const DEFAULT_W = 32;
+const DEFAULT_H = 32;
+const AUTOSAVE_DELAY_MS = 800;
+const LAST_DOC_KEY = "lastDocumentId";
+const UNTITLED = "Untitled kwaxel";
+const DEFAULT_PALETTE = {
+  name: "Kwaxel",
+  colors: [
+    "#000000",
+    "#ffffff",
+    "#ef4444",
+    "#f59e0b",
+    "#fbbf24",
+    "#10b981",
+    "#3b82f6",
+    "#8b5cf6",
+    "#ec4899",
+  ],
+};
 
 const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
-const toIndex = (x, y) => y * W + x;
-
-const hexToArgb = (hex) => {
-  // supports #rgb, #rrggbb, #aarrggbb
-  let s = hex.replace("#", "").trim();
-  if (s.length === 3) {
-    const r = s[0] + s[0],
-      g = s[1] + s[1],
-      b = s[2] + s[2];
-    return (
-      (0xff << 24) |
-      (parseInt(r, 16) << 16) |
-      (parseInt(g, 16) << 8) |
-      parseInt(b, 16)
-    );
-  }
-  if (s.length === 6) {
-    const r = s.slice(0, 2),
-      g = s.slice(2, 4),
-      b = s.slice(4, 6);
-    return (
-      (0xff << 24) |
-      (parseInt(r, 16) << 16) |
-      (parseInt(g, 16) << 8) |
-      parseInt(b, 16)
-    );
-  }
-  if (s.length === 8) {
-    const a = s.slice(0, 2),
-      r = s.slice(2, 4),
-      g = s.slice(4, 6),
-      b = s.slice(6, 8);
-    return (
-      (parseInt(a, 16) << 24) |
-      (parseInt(r, 16) << 16) |
-      (parseInt(g, 16) << 8) |
-      parseInt(b, 16)
-    );
-  }
-  return 0xff000000; // default black
-};
 
 const copyPixels = (src) => new Uint32Array(src);
 
+// Wheel delta (px) per zoom step — one mouse-wheel notch
+const WHEEL_NOTCH = 50;
+
+// Reference transform handles, in CSS px
+const HANDLE_PX = 8;
+const KNOB_GAP_PX = 24;
+
+/** PNG bytes of a w×h buffer scaled ×mult — PNG, collection and swap exports */
+const encodeScaledPng = (px, w, h, mult, opts) =>
+  encodePng(
+    scalePixels(px, w, h, w * mult, h * mult),
+    w * mult,
+    h * mult,
+    opts
+  );
+
+// Settings kept out of the project embedded in exported PNGs (they stay in
+// .kwaxel files and autosaves): editor-only data, too big to ship in a sprite
+// — and the reference image is never part of an export
+const PNG_OMITTED_SETTINGS = ["collection", "paletteSwaps", "reference"];
+
 function useDevicePixelRatio() {
   const [dpr, setDpr] = useState(() => window.devicePixelRatio || 1);
   useEffect(() => {
@@ -74,86 +209,132 @@ function useDevicePixelRatio() {
   return dpr;
 }
 
-/** Robust conversion: ARGB Uint32Array <-> ImageData (RGBA) */
-function pixelsToImageData(pixels, w = W, h = H) {
-  const data = new Uint8ClampedArray(w * h * 4);
-  for (let i = 0; i < w * h; i++) {
-    const argb = pixels[i] >>> 0;
-    const a = (argb >>> 24) & 0xff;
-    const r = (argb >>> 16) & 0xff;
-    const g = (argb >>> 8) & 0xff;
-    const b = argb & 0xff;
-    const o = i * 4;
-    data[o] = r;
-    data[o + 1] = g;
-    data[o + 2] = b;
-    data[o + 3] = a;
-  }
-  return new ImageData(data, w, h);
-}
-function imageDataToPixels(imageData) {
-  const { width: w, height: h, data } = imageData;
-  const out = new Uint32Array(w * h);
-  for (let i = 0; i < w * h; i++) {
-    const o = i * 4;
-    const r = data[o],
-      g = data[o + 1],
-      b = data[o + 2],
-      a = data[o + 3];
-    out[i] =
-      ((a & 0xff) << 24) |
-      ((r & 0xff) << 16) |
-      ((g & 0xff) << 8) |
-      (b & 0xff);
-  }
-  return out;
-}
-
-/** Helper: nearest-neighbor resample any <img> to W×H and return ImageData */
-function pixelsFromImageElement(img, targetW, targetH) {
-  // Stage original
-  const stage = document.createElement("canvas");
-  stage.width = img.width;
-  stage.height = img.height;
-  stage.getContext("2d").drawImage(img, 0, 0);
-
-  // Nearest-neighbor scale to target
-  const tmp = document.createElement("canvas");
-  tmp.width = targetW;
-  tmp.height = targetH;
-  const tctx = tmp.getContext("2d");
-  tctx.imageSmoothingEnabled = false;
-  tctx.drawImage(
-    stage,
-    0,
-    0,
-    stage.width,
-    stage.height,
-    0,
-    0,
-    targetW,
-    targetH
-  );
-
-  return tctx.getImageData(0, 0, targetW, targetH);
-}
-
 export default function KwaxelGenerator() {
-  const [pixels, setPixels] = useState(() => new Uint32Array(W * H)); // transparent start
-  const [tool, setTool] = useState("pencil"); // pencil | eraser | fill | eyedropper
+  const [doc, setDoc] = useState(() => createDocument(DEFAULT_W, DEFAULT_H)); // transparent start
+  const [activeLayerId, setActiveLayerId] = useState(null);
+  const [activeFrame, setActiveFrame] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [loop, setLoop] = useState(true);
+  const [onionSkin, setOnionSkin] = useState(false);
+  const [tool, setTool] = useState("pencil"); // see the header comment for the tool list
+  const [shapeFilled, setShapeFilled] = useState(false);
   const [brush, setBrush] = useState(1); // 1 | 2 | 4
+  const [pixelPerfect, setPixelPerfect] = useState(false);
+  const [fillOptions, setFillOptions] = useState(DEFAULT_FILL_OPTIONS); // lib/fill.js
+  const [fillTile, setFillTile] = useState(null); // { width, height, pixels } for tile fills
   const [color, setColor] = useState("#3b82f6");
+  const [palette, setPalette] = useState(DEFAULT_PALETTE);
+  const [paletteLocked, setPaletteLocked] = useState(false);
   const [showGrid, setShowGrid] = useState(true);
+  const [tilePreview, setTilePreview] = useState(false);
+  const [symmetry, setSymmetry] = useState({
+    mode: "none",
+    x: null, // axis in pixel-edge units; null = canvas centre
+    y: null,
+    n: 6,
+  });
   const [scale, setScale] = useState(16); // CSS px per pixel
+  const [pan, setPan] = useState({ x: 0, y: 0 }); // canvas offset in the viewport (lib/viewport.js)
+  const [spaceHeld, setSpaceHeld] = useState(false); // space + drag pans
+  const [previewOpen, setPreviewOpen] = useState(false);
   const [isPainting, setIsPainting] = useState(false);
-  const [history, setHistory] = useState([]); // Uint32Array snapshots
-  const [future, setFuture] = useState([]);
+  const [shapeDrag, setShapeDrag] = useState(null); // shape being dragged (see lib/shapes.js)
+  const [fillDrag, setFillDrag] = useState(null); // { x0, y0, x1, y1 } gradient fill direction
+  const [selection, setSelection] = useState(null); // W×H mask (lib/selection.js) or null
+  const [floating, setFloating] = useState(null); // lifted/pasted pixels + { layerId, frame }
+  const [selectDrag, setSelectDrag] = useState(null); // { tool, x0, y0, points } while selecting
+  const [antsPhase, setAntsPhase] = useState(0);
+  const [history, setHistory] = useState(emptyHistory); // deltas, see lib/history.js
+  const [sizeDialogOpen, setSizeDialogOpen] = useState(false);
+  const [sheetDialogOpen, setSheetDialogOpen] = useState(false);
+  const [exportFormat, setExportFormat] = useState(null); // ExportDialog format id
+  const [upscaleOpen, setUpscaleOpen] = useState(false);
+  const [importSource, setImportSource] = useState(null); // { pixels, width, height, name }
+  const [generator, setGenerator] = useState(DEFAULT_GENERATOR_SETTINGS); // lib/generator.js
+  const [generatorOpen, setGeneratorOpen] = useState(false);
+  const [collection, setCollection] = useState(DEFAULT_COLLECTION); // lib/collection.js
+  const [collectionOpen, setCollectionOpen] = useState(false);
+  const [swapVariants, setSwapVariants] = useState([]); // palette swaps, lib/palette.js
+  // Tracing image: { name, src, width, height, pixels, canvas, ...transform }
+  const [reference, setReference] = useState(null); // lib/reference.js
+  const [referenceEditing, setReferenceEditing] = useState(false);
+  const [referenceDrag, setReferenceDrag] = useState(null); // { mode, x0, y0, start }
+  const [imageDialog, setImageDialog] = useState(null); // "offset" | "outline" | "shadow"
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [galleryOpen, setGalleryOpen] = useState(false);
+  // Gallery entry of the working document ({ id, name }); null until first edit
+  const [docMeta, setDocMeta] = useState(null);
 
   const canvasRef = useRef(null);
   const overlayRef = useRef(null);
+  const tileRef = useRef(null);
+  const referenceRef = useRef(null);
+  const viewportRef = useRef(null);
+  const touchesRef = useRef(new Map()); // pointerId → { x, y } of touches down
+  const gestureRef = useRef(null); // pan / pinch in progress, see onViewportPointerDown
+  const wheelRef = useRef(0); // wheel delta not yet turned into a zoom step
   const inputFileRef = useRef(null);
+  const projectFileRef = useRef(null);
+  const moveRef = useRef(null); // { x, y, fx, fy } — move-tool drag origin
+  const clipboardRef = useRef(null); // last copy, for when the system clipboard is unavailable
+  const strokeRef = useRef(null); // { stroke, layers, doc, layerId, frame } while drawing
   const dpr = useDevicePixelRatio();
 
+  const { width: W, height: H, layers, frames } = doc;
+  const toIndex = (x, y) => y * W + x;
+
+  // Active layer/frame fall back to valid ones (e.g. after undoing their creation)
+  const activeLayer =
+    layers.find((l) => l.id === activeLayerId) ?? layers[layers.length - 1];
+  const frameCount = frames.length;
+  const frameIndex = Math.min(activeFrame, frameCount - 1);
+  const pixels = useMemo(
+    () => compositeFrame(doc, frameIndex),
+    [doc, frameIndex]
+  );
+
+  // Lock to palette: every painted/imported colour snaps to the nearest entry
+  const snapColor = useMemo(() => {
+    if (!paletteLocked) return (argb) => argb >>> 0;
+    return paletteSnapper(palette.colors);
+  }, [paletteLocked, palette.colors]);
+
+  const used = useMemo(
+    () => usedColors(frames.flatMap((f) => Object.values(f.cels))),
+    [frames]
+  );
+
+  // Onion skin: neighbouring frames (null at the ends / while playing)
+  const onionFrames = useMemo(() => {
+    if (!onionSkin || playing || frames.length < 2) return [];
+    return [frameIndex - 1, frameIndex + 1]
+      .filter((i) => i >= 0 && i < frames.length)
+      .map((i) => compositeFrame(doc, i));
+  }, [doc, frameIndex, frames.length, onionSkin, playing]);
+
+  const mirror = useMemo(
+    () => symmetryMapper(symmetry, W, H),
+    [symmetry, W, H]
+  );
+
+  // A mask from a different canvas size (resize, undo of a resize…) no longer applies
+  const selMask = selection?.length === W * H ? selection : null;
+  const antEdges = useMemo(() => {
+    if (floating) {
+      const { mask, width, height, x, y } = floating;
+      return maskEdges(mask, width, height, x, y);
+    }
+    return selMask ? maskEdges(selMask, W, H) : [];
+  }, [floating, selMask, W, H]);
+
+  // With the tile preview on, the editable canvas sits in the middle tile
+  const tileOffset = tilePreview
+    ? { left: `${W * scale}px`, top: `${H * scale}px` }
+    : null;
+  // Everything in the viewport: the canvas, or the 3×3 tiles around it
+  const tiles = tilePreview ? 3 : 1;
+  const zoomMax = maxZoom(Math.max(W, H) * tiles);
+
   // Checker background (for transparency) — used directly on canvas style
   const checkerPos = useMemo(
     () =>
@@ -161,17 +342,34 @@ export default function KwaxelGenerator() {
     [scale]
   );
 
-  /** Load default sprite once on mount (no history entry) */
+  /**
+   * On mount: recover the last autosaved document, or load the default sprite
+   * (no history entry) when there is none.
+   */
   useEffect(() => {
     let cancelled = false;
-    const img = new Image();
-    img.onload = () => {
-      if (cancelled) return;
-      const imageData = pixelsFromImageElement(img, W, H);
-      setPixels(imageDataToPixels(imageData));
+    const loadDefault = () => {
+      const img = new Image();
+      img.onload = () => {
+        if (cancelled) return;
+        const imageData = pixelsFromImageElement(img, DEFAULT_W, DEFAULT_H);
+        setDoc(
+          createDocument(DEFAULT_W, DEFAULT_H, {
+            pixels: imageDataToPixels(imageData),
+          })
+        );
+      };
+      img.onerror = (err) =>
+        console.error("Failed to load default sprite:", err);
+      img.src = defaultSpriteUrl; // local asset handled by Vite
     };
-    img.onerror = (err) => console.error("Failed to load default sprite:", err);
-    img.src = defaultSpriteUrl; // local asset handled by Vite
+    getMeta(LAST_DOC_KEY)
+      .then((id) => (id ? getDocument(id) : null))
+      .catch(() => null)
+      .then((record) => {
+        if (cancelled) return;
+        if (!record || !openRecord(record)) loadDefault();
+      });
     return () => {
       cancelled = true;
     };
@@ -193,16 +391,10 @@ export default function KwaxelGenerator() {
     ctx.imageSmoothingEnabled = false;
 
     // Draw pixels
-    const imageData = pixelsToImageData(pixels);
-    const tmp = document.createElement("canvas");
-    tmp.width = W;
-    tmp.height = H;
-    tmp.getContext("2d").putImageData(imageData, 0, 0);
+    drawPixels(ctx, pixels, W, H, 0, 0, scale);
+  }, [pixels, W, H, scale, dpr]);
 
-    ctx.drawImage(tmp, 0, 0, W, H, 0, 0, W * scale, H * scale);
-  }, [pixels, scale, dpr]);
-
-  /** DRAW — grid overlay */
+  /** DRAW — overlay above the art: onion skin, shape preview, then grid lines */
   const drawGrid = useCallback(() => {
     const canvas = overlayRef.current;
     const ctx = canvas.getContext("2d");
@@ -214,10 +406,125 @@ export default function KwaxelGenerator() {
     canvas.style.height = `${H * scale}px`;
 
     ctx.clearRect(0, 0, canvas.width, canvas.height);
-    
+    ctx.scale(dpr, dpr);
+    ctx.imageSmoothingEnabled = false;
+
+    ctx.globalAlpha = 0.3;
+    for (const onion of onionFrames) {
+      ctx.drawImage(pixelsToCanvas(onion, W, H), 0, 0, W * scale, H * scale);
+    }
+    ctx.globalAlpha = 1;
+
+    if (shapeDrag) {
+      const blank = new Uint32Array(W * H);
+      const preview = drawShape(blank, W, H, shapeDrag, mirror);
+      ctx.drawImage(pixelsToCanvas(preview, W, H), 0, 0, W * scale, H * scale);
+    }
+
+    if (fillDrag) {
+      const { x0, y0, x1, y1 } = fillDrag;
+      ctx.strokeStyle = "rgba(236,72,153,0.85)";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo((x0 + 0.5) * scale, (y0 + 0.5) * scale);
+      ctx.lineTo((x1 + 0.5) * scale, (y1 + 0.5) * scale);
+      ctx.stroke();
+    }
+
+    if (floating) {
+      const { pixels: fp, width: fw, height: fh, x: fx, y: fy } = floating;
+      ctx.drawImage(
+        pixelsToCanvas(fp, fw, fh),
+        fx * scale,
+        fy * scale,
+        fw * scale,
+        fh * scale
+      );
+    }
+
+    // Lasso path while dragging, then marching ants around the selection
+    ctx.lineWidth = 1;
+    if (selectDrag?.tool === "lasso") {
+      ctx.strokeStyle = "#000";
+      ctx.beginPath();
+      selectDrag.points.forEach(([x, y], i) =>
+        ctx[i ? "lineTo" : "moveTo"]((x + 0.5) * scale, (y + 0.5) * scale)
+      );
+      ctx.stroke();
+    }
+    if (antEdges.length) {
+      const ants = new Path2D();
+      for (const [x0, y0, x1, y1] of antEdges) {
+        ants.moveTo(x0 * scale + 0.5, y0 * scale + 0.5);
+        ants.lineTo(x1 * scale + 0.5, y1 * scale + 0.5);
+      }
+      ctx.strokeStyle = "#fff";
+      ctx.stroke(ants);
+      ctx.setLineDash([4, 4]);
+      ctx.lineDashOffset = -antsPhase;
+      ctx.strokeStyle = "#000";
+      ctx.stroke(ants);
+      ctx.setLineDash([]);
+    }
+
+    if (mirror) {
+      const { x: ax, y: ay } = symmetryAxis(symmetry, W, H);
+      const { mode, n } = symmetry;
+      ctx.strokeStyle = "rgba(236,72,153,0.85)";
+      ctx.beginPath();
+      if (mode === "radial") {
+        const len = Math.hypot(W, H) * scale;
+        for (let k = 0; k < n; k++) {
+          const a = (2 * Math.PI * k) / n - Math.PI / 2;
+          ctx.moveTo(ax * scale, ay * scale);
+          ctx.lineTo(
+            ax * scale + Math.cos(a) * len,
+            ay * scale + Math.sin(a) * len
+          );
+        }
+      }
+      if (mode === "vertical" || mode === "quad") {
+        ctx.moveTo(ax * scale, 0);
+        ctx.lineTo(ax * scale, H * scale);
+      }
+      if (mode === "horizontal" || mode === "quad") {
+        ctx.moveTo(0, ay * scale);
+        ctx.lineTo(W * scale, ay * scale);
+      }
+      ctx.stroke();
+    }
+
+    // Reference transform box: corner squares scale, the round knob rotates
+    if (referenceEditing && reference) {
+      const { corners, top, rotate } = referenceHandles(
+        reference,
+        reference.width,
+        reference.height,
+        KNOB_GAP_PX / scale
+      );
+      ctx.strokeStyle = "rgba(59,130,246,0.9)";
+      ctx.fillStyle = "#fff";
+      ctx.beginPath();
+      corners.forEach((p, i) =>
+        ctx[i ? "lineTo" : "moveTo"](p.x * scale, p.y * scale)
+      );
+      ctx.closePath();
+      ctx.moveTo(top.x * scale, top.y * scale);
+      ctx.lineTo(rotate.x * scale, rotate.y * scale);
+      ctx.stroke();
+      const h = HANDLE_PX;
+      for (const p of corners) {
+        ctx.fillRect(p.x * scale - h / 2, p.y * scale - h / 2, h, h);
+        ctx.strokeRect(p.x * scale - h / 2, p.y * scale - h / 2, h, h);
+      }
+      ctx.beginPath();
+      ctx.arc(rotate.x * scale, rotate.y * scale, h / 2, 0, 2 * Math.PI);
+      ctx.fill();
+      ctx.stroke();
+    }
+
     if (!showGrid) return;
 
-    ctx.scale(dpr, dpr);
     ctx.strokeStyle = "rgba(0,0,0,0.1)";
     ctx.lineWidth = 1;
 
@@ -238,7 +545,31 @@ export default function KwaxelGenerator() {
       ctx.lineTo(W * scale, py);
       ctx.stroke();
     }
-  }, [showGrid, scale, dpr]);
+  }, [
+    showGrid,
+    onionFrames,
+    shapeDrag,
+    fillDrag,
+    floating,
+    selectDrag,
+    antEdges,
+    antsPhase,
+    mirror,
+    symmetry,
+    reference,
+    referenceEditing,
+    W,
+    H,
+    scale,
+    dpr,
+  ]);
+
+  // March the ants while something is selected
+  useEffect(() => {
+    if (antEdges.length === 0) return;
+    const id = setInterval(() => setAntsPhase((p) => (p + 1) % 8), 120);
+    return () => clearInterval(id);
+  }, [antEdges.length]);
 
   // First paint must be aligned: run before browser paints
   useLayoutEffect(() => {
@@ -256,166 +587,1246 @@ export default function KwaxelGenerator() {
     return () => window.removeEventListener("resize", onResize);
   }, [redraw, drawGrid]);
 
-  /** History */
-  const pushHistory = useCallback((prevPixels) => {
-    setHistory((h) => {
-      const next = [...h, copyPixels(prevPixels)];
-      return next.length > MAX_HISTORY
-        ? next.slice(next.length - MAX_HISTORY)
-        : next;
-    });
-    setFuture([]);
-  }, []);
+  /** DRAW — 3×3 tile preview around the canvas (seams show at the edges) */
+  useLayoutEffect(() => {
+    if (!tilePreview) return;
+    const canvas = tileRef.current;
+    const ctx = canvas.getContext("2d");
+    canvas.width = 3 * W * scale * dpr;
+    canvas.height = 3 * H * scale * dpr;
+    ctx.scale(dpr, dpr);
+    ctx.imageSmoothingEnabled = false;
+    const tile = pixelsToCanvas(pixels, W, H);
+    for (let j = 0; j < 3; j++) {
+      for (let i = 0; i < 3; i++) {
+        ctx.drawImage(tile, i * W * scale, j * H * scale, W * scale, H * scale);
+      }
+    }
+  }, [tilePreview, pixels, W, H, scale, dpr]);
+
+  /** DRAW — reference image, smooth and at screen resolution */
+  useLayoutEffect(() => {
+    const canvas = referenceRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+    canvas.width = W * scale * dpr;
+    canvas.height = H * scale * dpr;
+    if (!reference?.visible) return;
+    const { cx, cy, rotation, width, height } = reference;
+    ctx.scale(dpr * scale, dpr * scale);
+    ctx.translate(cx, cy);
+    ctx.rotate((rotation * Math.PI) / 180);
+    ctx.scale(reference.scale, reference.scale);
+    ctx.globalAlpha = reference.opacity;
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(reference.canvas, -width / 2, -height / 2);
+  }, [reference, W, H, scale, dpr]);
+
+  /** History — one named delta entry per action (lib/history.js) */
+  const record = (label, before, after) =>
+    setHistory((h) => pushEntry(h, label, before, after));
 
+  // A change that belongs to the previous action (dropping the floating
+  // selection it lifted, dragging the opacity it started) amends its entry
+  const amendDoc = (next) => {
+    setHistory((h) => amendLast(h, doc, next));
+    setDoc(next);
+  };
+
+  // Undo while a selection floats cancels the move/paste that lifted it
   const undo = useCallback(() => {
-    setHistory((h) => {
-      if (h.length === 0) return h;
-      setFuture((f) => [copyPixels(pixels), ...f]);
-      setPixels(h[h.length - 1]);
-      return h.slice(0, -1);
-    });
-  }, [pixels]);
-
-  const redo = useCallback(() => {
-    setFuture((f) => {
-      if (f.length === 0) return f;
-      setHistory((h) => [...h, copyPixels(pixels)]);
-      setPixels(f[0]);
-      return f.slice(1);
+    const { entries, index } = history;
+    setFloating(null);
+    if (index === 0) return;
+    setDoc(seekHistory(history, doc, index - 1));
+    setHistory({
+      entries: floating ? entries.slice(0, index - 1) : entries,
+      index: index - 1,
     });
-  }, [pixels]);
+  }, [history, doc, floating]);
+
+  /** Jump to any point in the history; a floating selection is put down first */
+  const jumpTo = useCallback(
+    (target) => {
+      let h = history;
+      let d = doc;
+      if (floating) {
+        d = dropFloatingInto(doc, floating);
+        h = amendLast(h, doc, d);
+        setSelection(floatingMask(floating, W, H));
+        setFloating(null);
+      } else if (target === h.index) return;
+      const index = clamp(target, 0, h.entries.length);
+      setDoc(seekHistory(h, d, index));
+      setHistory({ ...h, index });
+    },
+    [history, doc, floating, W, H]
+  );
+
+  const redo = useCallback(
+    () => jumpTo(history.index + 1),
+    [jumpTo, history.index]
+  );
+
+  /** The composite of the active frame at history position `index` */
+  const historyThumbnail = useCallback(
+    (index) => {
+      const d = seekHistory(history, doc, index);
+      const f = Math.min(frameIndex, d.frames.length - 1);
+      const pixels = compositeFrame(d, f);
+      return pixelsToCanvas(pixels, d.width, d.height).toDataURL();
+    },
+    [history, doc, frameIndex]
+  );
 
   /** Painting */
+  // Client coordinates → sprite pixels through the viewport transform (pan,
+  // zoom and the tile preview offset); unrounded and unclamped
+  const cssToPoint = (clientX, clientY) => {
+    const rect = viewportRef.current.getBoundingClientRect();
+    const tile = tilePreview ? 1 : 0;
+    return {
+      x: (clientX - rect.left - pan.x) / scale - tile * W,
+      y: (clientY - rect.top - pan.y) / scale - tile * H,
+    };
+  };
   const cssToPixel = (clientX, clientY) => {
-    const rect = canvasRef.current.getBoundingClientRect();
-    const x = clamp(Math.floor((clientX - rect.left) / scale), 0, W - 1);
-    const y = clamp(Math.floor((clientY - rect.top) / scale), 0, H - 1);
-    return { x, y };
+    const p = cssToPoint(clientX, clientY);
+    return {
+      x: clamp(Math.floor(p.x), 0, W - 1),
+      y: clamp(Math.floor(p.y), 0, H - 1),
+    };
   };
 
-  const setPixel = (buf, x, y, argb) => {
-    if (x < 0 || y < 0 || x >= W || y >= H) return;
-    buf[toIndex(x, y)] = argb >>> 0;
+  const handlePaintAt = (x, y) => {
+    if (tool === "eyedropper" && reference?.visible && reference.sample) {
+      const argb = sampleReference(reference, reference, x, y);
+      if (argb !== null) setColor(argbToHex(argb));
+      return;
+    }
+    if (tool === "eyedropper") {
+      // Picks what you see (the composite), alpha included, not just the active layer
+      setColor(argbToHex(pixels[toIndex(x, y)] >>> 0));
+      return;
+    }
+    if (tool === "fill") commitFill(x, y);
   };
 
-  const drawBrush = (buf, x, y, argb) => {
-    const r = Math.floor(brush / 2);
-    for (let j = -r; j < brush - r; j++) {
-      for (let i = -r; i < brush - r; i++) {
-        setPixel(buf, x + i, y + j, argb);
-      }
+  /**
+   * Fill the region around (x, y) and its mirrored seeds in one pass, so
+   * patterns and gradients run unbroken across them. `to` is the end of a
+   * gradient drag (defaults to a click at the seed).
+   */
+  const commitFill = (x, y, to = { x, y }) => {
+    if (!activeLayer.visible || activeLayer.locked) return;
+    if (fillOptions.pattern === "tile" && !fillTile) {
+      setErrorMessage("Capture a tile first (Pattern → Capture tile).");
+      return;
+    }
+    const prev = celPixels(doc, frameIndex, activeLayer.id);
+    const mask = new Uint8Array(W * H);
+    for (const [sx, sy] of mirror ? mirror(x, y) : [[x, y]]) {
+      if (sx < 0 || sy < 0 || sx >= W || sy >= H || mask[sy * W + sx]) continue;
+      const region = floodRegion(prev, W, H, sx, sy, fillOptions);
+      for (let i = 0; i < mask.length; i++) mask[i] |= region[i];
     }
+    if (selMask) for (let i = 0; i < mask.length; i++) mask[i] &= selMask[i];
+    const next = paintMask(copyPixels(prev), W, H, mask, {
+      ...fillOptions,
+      argb: snapColor(hexToArgb(color)),
+      secondary: snapColor(hexToArgb(fillOptions.secondary)),
+      palette: palette.colors.map((c) => hexToArgb(c) >>> 0),
+      tile: fillTile,
+      from: { x, y },
+      to,
+    });
+    commitDoc(setCel(doc, frameIndex, activeLayer.id, next), "Fill");
   };
 
-  const floodFill = (buf, x, y, target, replacement) => {
-    if (target === replacement) return;
-    const stack = [[x, y]];
-    while (stack.length) {
-      const [cx, cy] = stack.pop();
-      if (cx < 0 || cy < 0 || cx >= W || cy >= H) continue;
-      const idx = toIndex(cx, cy);
-      if (buf[idx] !== target) continue;
-      buf[idx] = replacement;
-      stack.push([cx + 1, cy], [cx - 1, cy], [cx, cy + 1], [cx, cy - 1]);
+  /** The selection (or the whole layer) becomes the tile for pattern fills */
+  const captureFillTile = () => {
+    const clip =
+      floating ??
+      liftSelection(
+        celPixels(doc, frameIndex, activeLayer.id),
+        selMask ?? fullMask(),
+        W,
+        H
+      );
+    if (clip) setFillTile({ ...clip, pixels: clip.pixels.slice() });
+  };
+
+  /**
+   * Freehand strokes (pencil / eraser) paint into a working copy of the cel and
+   * redraw only what changed; the document is updated once, on pointer up.
+   */
+  const startStroke = (x, y) => {
+    if (!activeLayer.visible || activeLayer.locked) return;
+    const stroke = beginStroke(
+      celPixels(doc, frameIndex, activeLayer.id),
+      W,
+      H,
+      {
+        argb: tool === "eraser" ? 0x00000000 : snapColor(hexToArgb(color)),
+        size: brush,
+        mirror,
+        mask: selMask,
+        pixelPerfect,
+      }
+    );
+    // The working buffer stands in for the active cel while compositing
+    const layersNow = resolveLayers(doc, frameIndex).map((l) =>
+      l.id === activeLayer.id ? { ...l, pixels: stroke.buf } : l
+    );
+    strokeRef.current = {
+      stroke,
+      layers: layersNow,
+      doc,
+      layerId: activeLayer.id,
+      frame: frameIndex,
+      label: tool === "eraser" ? "Eraser stroke" : "Pencil stroke",
+    };
+    continueStroke(x, y);
+  };
+  const continueStroke = (x, y) => {
+    const s = strokeRef.current;
+    const rect = strokeTo(s.stroke, x, y);
+    if (!rect) return;
+    const ctx = canvasRef.current.getContext("2d", {
+      willReadFrequently: true,
+    });
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.imageSmoothingEnabled = false;
+    const { x: rx, y: ry, width: rw, height: rh } = rect;
+    const px = compositeRect(s.layers, W, rect);
+    ctx.clearRect(rx * scale, ry * scale, rw * scale, rh * scale);
+    drawPixels(ctx, px, rw, rh, rx * scale, ry * scale, scale);
+  };
+  const endStroke = () => {
+    const s = strokeRef.current;
+    strokeRef.current = null;
+    if (!s?.stroke.changed) return;
+    const next = setCel(s.doc, s.frame, s.layerId, s.stroke.buf);
+    record(s.label, s.doc, next);
+    setDoc(next);
+  };
+
+  /** Shapes — previewed on the overlay while dragging, committed on pointer up */
+  const dragShapeTo = (x, y, constrain) => {
+    setShapeDrag((s) => {
+      if (!s) return s;
+      const end = constrain
+        ? constrainShape(s.tool, s.x0, s.y0, x, y)
+        : { x1: x, y1: y };
+      return { ...s, ...end };
+    });
+  };
+  const commitShape = (shape) => {
+    if (!activeLayer.visible || activeLayer.locked) return;
+    const prev = celPixels(doc, frameIndex, activeLayer.id);
+    const next = drawShape(copyPixels(prev), W, H, shape, mirror);
+    commitDoc(
+      setCel(
+        doc,
+        frameIndex,
+        activeLayer.id,
+        selMask ? clipToMask(prev, next, selMask) : next
+      ),
+      SHAPE_LABELS[shape.tool]
+    );
+  };
+
+  /** Selections — marquee / lasso / wand masks, floating move, clipboard */
+  const fullMask = () => new Uint8Array(W * H).fill(1);
+
+  // Dropping completes the lift or paste that made it, so it adds no entry
+  const dropFloating = () => {
+    if (!floating) return;
+    amendDoc(dropFloatingInto(doc, floating));
+    setSelection(floatingMask(floating, W, H));
+    setFloating(null);
+  };
+  const deselect = () => {
+    dropFloating();
+    setSelection(null);
+  };
+  const selectAll = () => {
+    dropFloating();
+    setSelection(fullMask());
+  };
+
+  /** Lift the selection (or the whole cel) off the active layer to move it */
+  const liftForMove = () => {
+    if (floating) return floating;
+    if (!activeLayer.visible || activeLayer.locked) return null;
+    const mask = selMask ?? fullMask();
+    const cel = celPixels(doc, frameIndex, activeLayer.id);
+    const lifted = liftSelection(cel, mask, W, H);
+    if (!lifted) return null;
+    commitDoc(
+      setCel(doc, frameIndex, activeLayer.id, clearMasked(cel, mask)),
+      "Move selection"
+    );
+    const f = { ...lifted, layerId: activeLayer.id, frame: frameIndex };
+    setFloating(f);
+    return f;
+  };
+
+  const clearSelected = () => {
+    if (floating) {
+      // Its pixels are already off the layer; dropping nothing deletes them
+      setSelection(floatingMask(floating, W, H));
+      setFloating(null);
+      return;
     }
+    if (!selMask || !activeLayer.visible || activeLayer.locked) return;
+    const cel = celPixels(doc, frameIndex, activeLayer.id);
+    commitDoc(
+      setCel(doc, frameIndex, activeLayer.id, clearMasked(cel, selMask)),
+      "Delete selection"
+    );
   };
 
-  const handlePaintAt = (x, y, withHistory = false) => {
-    setPixels((prev) => {
-      const next = copyPixels(prev);
-      const current = prev[toIndex(x, y)];
-      const argb = tool === "eraser" ? 0x00000000 : hexToArgb(color);
+  const copySelection = async () => {
+    const clip =
+      floating ??
+      liftSelection(
+        celPixels(doc, frameIndex, activeLayer.id),
+        selMask ?? fullMask(),
+        W,
+        H
+      );
+    if (!clip) return false;
+    clipboardRef.current = clip;
+    try {
+      await writeClipboardImage(clip.pixels, clip.width, clip.height);
+    } catch (err) {
+      console.warn(err);
+      setErrorMessage(
+        "Couldn't reach the system clipboard — the copy is only available inside Kwaxel."
+      );
+    }
+    return true;
+  };
+  const cutSelection = async () => {
+    if (await copySelection()) selectionCommandsRef.current.clearSelected();
+  };
 
-      if (withHistory) pushHistory(prev);
+  /** Paste as a floating selection on the active layer (one undo step) */
+  const placePasted = (clip) => {
+    const base = floating ? dropFloatingInto(doc, floating) : doc;
+    if (floating) amendDoc(base);
+    record("Paste", base, base); // filled in when the pasted pixels are dropped
+    const { pixels: cp, width: cw, height: ch, x: cx = 0, y: cy = 0 } = clip;
+    setFloating({
+      ...floatingFromPixels(cp, cw, ch, cx, cy),
+      ...(clip.mask && { mask: clip.mask }),
+      layerId: activeLayer.id,
+      frame: frameIndex,
+    });
+    setTool("move");
+  };
+  const pasteClipboard = async () => {
+    let clip = null;
+    try {
+      clip = await readClipboardImage();
+    } catch (err) {
+      console.warn(err);
+    }
+    const own = clipboardRef.current;
+    if (clip && own && clip.width === own.width && clip.height === own.height) {
+      // Our own copy round-tripped: paste it back where it came from
+      clip = { ...clip, x: own.x, y: own.y };
+    }
+    clip ??= own;
+    if (!clip) {
+      setErrorMessage("Nothing to paste — copy some pixels or an image first.");
+      return;
+    }
+    selectionCommandsRef.current.placePasted(clip);
+  };
 
-      if (tool === "pencil" || tool === "eraser") {
-        drawBrush(next, x, y, argb);
-      } else if (tool === "fill") {
-        floodFill(next, x, y, current, argb);
-      } else if (tool === "eyedropper") {
-        const picked = prev[toIndex(x, y)];
-        const r = (picked >>> 16) & 0xff;
-        const g = (picked >>> 8) & 0xff;
-        const b = picked & 0xff;
-        setColor(
-          `#${[r, g, b].map((n) => n.toString(16).padStart(2, "0")).join("")}`
-        );
-        return prev; // no pixel change
+  /**
+   * Image menu. Flip/rotate/offset move the whole canvas (every layer and
+   * frame) or, with a selection, just the selected pixels of the active cel;
+   * outline and shadow draw on the active cel, clipped to the selection.
+   */
+  const transformRegion = (op, px, w, h) => {
+    if (op.kind === "rotate") return rotatePixels(px, w, h, op.turns);
+    const out =
+      op.kind === "flip"
+        ? flipPixels(px, w, h, op.axis)
+        : offsetPixels(px, w, h, op.dx, op.dy, op.wrap);
+    return { pixels: out, width: w, height: h };
+  };
+  const applyImageOp = (op) => {
+    // A floating selection is put down first; the op is its own undo step
+    const base = floating ? dropFloatingInto(doc, floating) : doc;
+    const mask = floating ? floatingMask(floating, W, H) : selMask;
+    const geometric = ["flip", "rotate", "offset"].includes(op.kind);
+    let next;
+    if (geometric && !mask) {
+      const turned = op.kind === "rotate" && op.turns % 2 !== 0;
+      next = mapCels(base, (px) => transformRegion(op, px, W, H).pixels);
+      if (turned) next = { ...next, width: H, height: W };
+    } else {
+      if (!activeLayer.visible || activeLayer.locked) return;
+      const cel = celPixels(base, frameIndex, activeLayer.id);
+      let out;
+      if (geometric) {
+        const region = liftSelection(cel, mask, W, H);
+        if (!region) return;
+        const t = (px) => transformRegion(op, px, region.width, region.height);
+        const turned = t(region.pixels);
+        const moved = {
+          ...turned,
+          mask: t(region.mask).pixels,
+          // Rotations turn about the centre of the selection's bounds
+          x: region.x + Math.floor((region.width - turned.width) / 2),
+          y: region.y + Math.floor((region.height - turned.height) / 2),
+        };
+        out = stampFloating(clearMasked(cel, mask), W, H, moved);
+        setSelection(floatingMask(moved, W, H));
+      } else {
+        out =
+          op.kind === "outline"
+            ? outlinePixels(cel, W, H, snapColor(hexToArgb(color)), op)
+            : dropShadow(cel, W, H, {
+                dx: op.dx,
+                dy: op.dy,
+                argb:
+                  ((Math.round(op.opacity * 255) << 24) |
+                    (hexToArgb(op.color) & 0xffffff)) >>>
+                  0,
+              });
+        if (mask) out = clipToMask(cel, out, mask);
       }
-      return next;
-    });
+      next = setCel(base, frameIndex, activeLayer.id, out);
+    }
+    if (floating) {
+      amendDoc(base);
+      setFloating(null);
+    }
+    if (!mask) setSelection(null);
+    record(IMAGE_OP_LABELS[op.kind], base, next);
+    setDoc(next);
+    setImageDialog(null);
   };
 
   /** Pointer events */
   const onPointerDown = (e) => {
     e.preventDefault();
-    setIsPainting(true);
+    setPlaying(false);
+    if (referenceEditing && reference) {
+      // Transform mode: the canvas drives the reference handles, not the tools
+      e.currentTarget.setPointerCapture(e.pointerId);
+      const { x, y } = cssToPoint(e.clientX, e.clientY);
+      const mode = referenceHandleAt(
+        reference,
+        reference.width,
+        reference.height,
+        x,
+        y,
+        HANDLE_PX / scale,
+        KNOB_GAP_PX / scale
+      );
+      setReferenceDrag({ mode, x0: x, y0: y, start: reference });
+      return;
+    }
+    if (e.altKey && mirror) {
+      // Alt+click moves the symmetry axis to the nearest half pixel
+      const p = cssToPoint(e.clientX, e.clientY);
+      setSymmetry((sym) => ({
+        ...sym,
+        x: Math.round(p.x * 2) / 2,
+        y: Math.round(p.y * 2) / 2,
+      }));
+      return;
+    }
     const { x, y } = cssToPixel(e.clientX, e.clientY);
-    handlePaintAt(x, y, true);
+    if (floating && tool !== "move") {
+      // First click with another tool puts the floating pixels down
+      dropFloating();
+      if (!SELECT_TOOLS.includes(tool)) return;
+    }
+    setIsPainting(true);
+    const gradientFill =
+      tool === "fill" && GRADIENT_PATTERNS.includes(fillOptions.pattern);
+    if (
+      SHAPE_TOOLS.includes(tool) ||
+      SELECT_TOOLS.includes(tool) ||
+      tool === "move" ||
+      gradientFill
+    ) {
+      // Keep receiving moves (clamped to the edges) when dragging off-canvas
+      e.currentTarget.setPointerCapture(e.pointerId);
+    }
+    if (SHAPE_TOOLS.includes(tool)) {
+      setShapeDrag({
+        tool,
+        x0: x,
+        y0: y,
+        x1: x,
+        y1: y,
+        filled: shapeFilled,
+        size: brush,
+        argb: snapColor(hexToArgb(color)),
+      });
+      return;
+    }
+    if (gradientFill) {
+      setFillDrag({ x0: x, y0: y, x1: x, y1: y });
+      return;
+    }
+    if (tool === "marquee") {
+      setSelectDrag({ tool, x0: x, y0: y });
+      setSelection(rectMask(W, H, x, y, x, y));
+      return;
+    }
+    if (tool === "lasso") {
+      setSelectDrag({ tool, points: [[x, y]] });
+      setSelection(null);
+      return;
+    }
+    if (tool === "wand") {
+      // Same tolerance and connectivity as the fill tool, on the active layer
+      setSelection(
+        floodRegion(
+          celPixels(doc, frameIndex, activeLayer.id),
+          W,
+          H,
+          x,
+          y,
+          fillOptions
+        )
+      );
+      setIsPainting(false);
+      return;
+    }
+    if (tool === "move") {
+      const f = liftForMove();
+      moveRef.current = f && { x, y, fx: f.x, fy: f.y };
+      return;
+    }
+    if (tool === "pencil" || tool === "eraser") {
+      startStroke(x, y);
+      return;
+    }
+    handlePaintAt(x, y);
   };
   const onPointerMove = (e) => {
+    if (referenceDrag) {
+      const { x, y } = cssToPoint(e.clientX, e.clientY);
+      setReference(dragReference(referenceDrag, x, y, { snap: e.shiftKey }));
+      return;
+    }
     if (!isPainting) return;
     const { x, y } = cssToPixel(e.clientX, e.clientY);
-    handlePaintAt(x, y, false);
+    if (strokeRef.current) continueStroke(x, y);
+    else if (shapeDrag) dragShapeTo(x, y, e.shiftKey);
+    else if (fillDrag) setFillDrag({ ...fillDrag, x1: x, y1: y });
+    else if (selectDrag?.tool === "marquee") {
+      setSelection(rectMask(W, H, selectDrag.x0, selectDrag.y0, x, y));
+    } else if (selectDrag?.tool === "lasso") {
+      const [lx, ly] = selectDrag.points[selectDrag.points.length - 1];
+      if (lx !== x || ly !== y) {
+        setSelectDrag({
+          ...selectDrag,
+          points: [...selectDrag.points, [x, y]],
+        });
+      }
+    } else if (tool === "move") {
+      const m = moveRef.current;
+      if (m) {
+        setFloating((f) => f && { ...f, x: m.fx + x - m.x, y: m.fy + y - m.y });
+      }
+    } else if (tool === "eyedropper") handlePaintAt(x, y);
+  };
+  const onPointerUp = (e) => {
+    if (referenceDrag) {
+      setReferenceDrag(null);
+      return;
+    }
+    setIsPainting(false);
+    moveRef.current = null;
+    endStroke();
+    if (selectDrag) {
+      const { x, y } = cssToPixel(e.clientX, e.clientY);
+      if (
+        selectDrag.tool === "marquee" &&
+        x === selectDrag.x0 &&
+        y === selectDrag.y0
+      ) {
+        setSelection(null); // a click without a drag deselects
+      } else if (selectDrag.tool === "lasso") {
+        const pts = selectDrag.points;
+        setSelection(pts.length < 3 ? null : polygonMask(W, H, pts));
+      }
+      setSelectDrag(null);
+      return;
+    }
+    if (fillDrag) {
+      const { x, y } = cssToPixel(e.clientX, e.clientY);
+      commitFill(fillDrag.x0, fillDrag.y0, { x, y });
+      setFillDrag(null);
+      return;
+    }
+    if (!shapeDrag) return;
+    const { x, y } = cssToPixel(e.clientX, e.clientY);
+    const { x1, y1 } = e.shiftKey
+      ? constrainShape(shapeDrag.tool, shapeDrag.x0, shapeDrag.y0, x, y)
+      : { x1: x, y1: y };
+    commitShape({ ...shapeDrag, x1, y1 });
+    setShapeDrag(null);
+  };
+
+  /**
+   * Viewport — pan and zoom. Space-drag, the middle button and two fingers
+   * take the pointer before the canvas tools see it (capture phase); a second
+   * finger ends whatever the first one started.
+   */
+  const viewportPoint = (clientX, clientY) => {
+    const rect = viewportRef.current.getBoundingClientRect();
+    return { x: clientX - rect.left, y: clientY - rect.top };
+  };
+  const zoomAt = (next, point) => {
+    const z = clamp(next, MIN_ZOOM, zoomMax);
+    if (z === scale) return;
+    const vp = viewportRef.current;
+    const p = point ?? { x: vp.clientWidth / 2, y: vp.clientHeight / 2 };
+    setPan(zoomPan(pan, scale, z, p.x, p.y));
+    setScale(z);
+  };
+  const fitToWindow = () => {
+    const { clientWidth: vw, clientHeight: vh } = viewportRef.current;
+    const view = fitView(vw, vh, W * tiles, H * tiles, { max: zoomMax });
+    setScale(view.scale);
+    setPan(view.pan);
+  };
+  // Midpoint and spread of the touches (or the one mouse pointer)
+  const gesturePoints = (pointers) => {
+    const pts = [...pointers.values()].map((p) => viewportPoint(p.x, p.y));
+    const mid = {
+      x: pts.reduce((n, p) => n + p.x, 0) / pts.length,
+      y: pts.reduce((n, p) => n + p.y, 0) / pts.length,
+    };
+    const spread =
+      pts.length > 1 ? Math.hypot(pts[0].x - pts[1].x, pts[0].y - pts[1].y) : 0;
+    return { mid, spread };
+  };
+  const startGesture = (pointers) => {
+    const { mid, spread } = gesturePoints(pointers);
+    gestureRef.current = { pointers, pan, scale, mid, spread };
+  };
+  const onViewportPointerDown = (e) => {
+    const touches = touchesRef.current;
+    if (e.pointerType === "touch") {
+      touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    }
+    const pinch = touches.size >= 2;
+    if (!pinch && e.button !== 1 && !spaceHeld) return;
+    e.preventDefault();
+    e.stopPropagation();
+    onPointerUp(e); // finish whatever the first finger was doing
+    viewportRef.current.setPointerCapture(e.pointerId);
+    startGesture(
+      pinch
+        ? new Map([...touches].slice(0, 2))
+        : new Map([[e.pointerId, { x: e.clientX, y: e.clientY }]])
+    );
+  };
+  const onViewportPointerMove = (e) => {
+    if (touchesRef.current.has(e.pointerId)) {
+      touchesRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    }
+    const g = gestureRef.current;
+    if (!g) return;
+    e.stopPropagation();
+    if (!g.pointers.has(e.pointerId)) return;
+    g.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const { mid, spread } = gesturePoints(g.pointers);
+    const view = pinchView(g, mid, spread, zoomMax);
+    setPan(view.pan);
+    setScale(view.scale);
+  };
+  const onViewportPointerUp = (e) => {
+    touchesRef.current.delete(e.pointerId);
+    const g = gestureRef.current;
+    if (!g) return;
+    e.stopPropagation();
+    if (g.pointers.has(e.pointerId)) gestureRef.current = null;
   };
-  const onPointerUp = () => setIsPainting(false);
 
-  /** Import (user-chosen file; nearest-neighbor to 32×32) */
+  // Wheel zoom centred on the cursor — a native listener, since React's
+  // wheel events are passive and can't stop the page from scrolling
+  const wheelZoomRef = useRef(null);
+  useEffect(() => {
+    wheelZoomRef.current = (e) => {
+      // Lines / pages to pixels, then one zoom step per notch-sized chunk
+      const unit = [1, 16, 400][e.deltaMode] ?? 1;
+      wheelRef.current += e.deltaY * unit * (e.ctrlKey ? 4 : 1);
+      if (Math.abs(wheelRef.current) < WHEEL_NOTCH) return;
+      const dir = wheelRef.current < 0 ? 1 : -1;
+      wheelRef.current = 0;
+      const point = viewportPoint(e.clientX, e.clientY);
+      zoomAt(zoomStep(scale, dir, zoomMax), point);
+    };
+  });
+  useEffect(() => {
+    const vp = viewportRef.current;
+    const onWheel = (e) => {
+      e.preventDefault();
+      wheelZoomRef.current(e);
+    };
+    vp.addEventListener("wheel", onWheel, { passive: false });
+    return () => vp.removeEventListener("wheel", onWheel);
+  }, []);
+
+  // Centre the canvas when its size changes (and on the first render), and
+  // keep the zoom within what a canvas that size can be drawn at
+  useLayoutEffect(() => {
+    const vp = viewportRef.current;
+    const z = Math.min(scale, zoomMax);
+    setScale(z);
+    setPan(centerPan(vp.clientWidth, vp.clientHeight, W * tiles, H * tiles, z));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [W, H, tiles]);
+
+  /** Document edits that land as one history entry */
+  const commitDoc = (nextDoc, label) => {
+    record(label, doc, nextDoc);
+    setDoc(nextDoc);
+  };
+  const commitLayers = (nextLayers, label) =>
+    commitDoc({ ...doc, layers: nextLayers }, label);
+
+  /**
+   * Import (user-chosen file → import dialog → new layer in the current frame).
+   * PNGs exported by the editor carry their project and reopen it instead.
+   */
   const importFromFile = async (file) => {
+    const name = file.name.replace(/\.[^.]+$/, "") || "Imported";
+    if (file.type === "image/png" || /\.png$/i.test(file.name)) {
+      let png = null;
+      try {
+        png = decodePng(new Uint8Array(await file.arrayBuffer()));
+      } catch (err) {
+        if (!(err instanceof PngFormatError)) throw err;
+      }
+      const embedded = png?.text[PNG_PROJECT_KEY];
+      // A broken embedded project falls back to the flattened pixels
+      if (embedded && loadProject(embedded, file.name)) return;
+      if (png) {
+        const { pixels: px, width, height } = png;
+        setImportSource({ pixels: px, width, height, name });
+        return;
+      }
+    }
+    const url = URL.createObjectURL(file);
+    let img;
+    try {
+      img = await loadImage(url);
+    } catch {
+      setErrorMessage(`Couldn't read "${file.name}" as an image.`);
+      return;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+    setImportSource({ ...imageElementToPixels(img), name });
+  };
+  const applyImport = (pixels) => {
+    const layer = createLayer({ name: importSource.name });
+    const at = layers.indexOf(activeLayer) + 1;
+    commitDoc(
+      insertLayer(doc, at, layer, {
+        [frameIndex]: paletteLocked ? pixels.map(snapColor) : pixels,
+      }),
+      "Import image"
+    );
+    setActiveLayerId(layer.id);
+    setImportSource(null);
+  };
+
+  /** Reference image — fitted to the canvas, kept out of the document */
+  const loadReference = async (file) => {
     const url = URL.createObjectURL(file);
-    const img = new Image();
-    await new Promise((res, rej) => {
-      img.onload = res;
-      img.onerror = rej;
-      img.src = url;
+    try {
+      const image = await loadReferenceImage(url);
+      setReference(
+        fitReference(image.width, image.height, W, H, {
+          ...image,
+          name: file.name,
+        })
+      );
+    } catch {
+      setErrorMessage(`Couldn't read "${file.name}" as an image.`);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  };
+
+  /** Procedural sprites land on a new layer, named after their seed */
+  const applyGenerated = (pixels, next) => {
+    const layer = createLayer({ name: `Generated ${next.seed}` });
+    commitDoc(
+      insertLayer(doc, layers.indexOf(activeLayer) + 1, layer, {
+        [frameIndex]: paletteLocked ? pixels.map(snapColor) : pixels,
+      }),
+      "Generate kwaxel"
+    );
+    setActiveLayerId(layer.id);
+    setGenerator(next);
+    setGeneratorOpen(false);
+  };
+
+  /** Project files (.kwaxel) — document, settings and undo/redo history */
+  const collectionJson = useMemo(
+    () => collectionToJson(collection),
+    [collection]
+  );
+  const referenceJson = useMemo(() => referenceToJson(reference), [reference]);
+  const settings = useMemo(
+    () => ({
+      tool,
+      shapeFilled,
+      color,
+      brush,
+      pixelPerfect,
+      fillOptions,
+      generator,
+      collection: collectionJson,
+      paletteSwaps: swapVariants,
+      reference: referenceJson,
+      scale,
+      showGrid,
+      tilePreview,
+      symmetry,
+      palette,
+      paletteLocked,
+      loop,
+      onionSkin,
+      activeLayerId: activeLayer.id,
+      activeFrame: frameIndex,
+    }),
+    [
+      tool,
+      shapeFilled,
+      color,
+      brush,
+      pixelPerfect,
+      fillOptions,
+      generator,
+      collectionJson,
+      swapVariants,
+      referenceJson,
+      scale,
+      showGrid,
+      tilePreview,
+      symmetry,
+      palette,
+      paletteLocked,
+      loop,
+      onionSkin,
+      activeLayer.id,
+      frameIndex,
+    ]
+  );
+
+  const saveProject = () => {
+    const text = serializeProject({
+      doc,
+      settings,
+      history,
     });
-    const imageData = pixelsFromImageElement(img, W, H);
-    pushHistory(pixels);
-    setPixels(imageDataToPixels(imageData));
-    URL.revokeObjectURL(url);
+    downloadBlob(
+      new Blob([text], { type: "application/json" }),
+      `kwaxel_${W}x${H}${PROJECT_EXTENSION}`
+    );
   };
 
-  /** Export PNG at ×1/×2/×4/×8 */
-  const exportPng = (mult = 1) => {
-    const out = document.createElement("canvas");
-    out.width = W * mult;
-    out.height = H * mult;
-    const octx = out.getContext("2d");
-    octx.imageSmoothingEnabled = false;
+  /** Parse project text; reports errors in the banner and returns null */
+  const readProject = (text, label) => {
+    try {
+      return parseProject(text);
+    } catch (err) {
+      setErrorMessage(
+        err instanceof ProjectFormatError
+          ? `Couldn't open "${label}": ${err.message}.`
+          : `Couldn't open "${label}".`
+      );
+      if (!(err instanceof ProjectFormatError)) console.error(err);
+      return null;
+    }
+  };
+
+  /** Open project text as a new local document; false if it can't be read */
+  const loadProject = (text, fileName) => {
+    const project = readProject(text, fileName);
+    if (!project) return false;
+    applyProject(project);
+    setDocMeta({
+      id: newDocumentId(),
+      name: fileName.replace(/\.[^.]+$/, "") || UNTITLED,
+    });
+    return true;
+  };
+
+  const openProject = async (file) => loadProject(await file.text(), file.name);
+
+  const applyProject = (project) => {
+    const { doc: loaded, settings: st, history: h } = project;
+    setDoc(loaded);
+    setSelection(null);
+    setFloating(null);
+    setHistory(h);
+    setPlaying(false);
+    setErrorMessage(null);
+    if (typeof st.tool === "string") setTool(st.tool);
+    if (typeof st.shapeFilled === "boolean") setShapeFilled(st.shapeFilled);
+    if (typeof st.color === "string") setColor(st.color);
+    if ([1, 2, 4].includes(st.brush)) setBrush(st.brush);
+    if (typeof st.pixelPerfect === "boolean") setPixelPerfect(st.pixelPerfect);
+    setFillOptions(parseFillOptions(st.fillOptions));
+    setGenerator(parseGeneratorSettings(st.generator));
+    setCollection(parseCollection(st.collection));
+    setSwapVariants(parseSwapVariants(st.paletteSwaps));
+    const ref = parseReference(st.reference);
+    setReference(null);
+    setReferenceEditing(false);
+    if (ref) {
+      loadReferenceImage(ref.src).then(
+        (image) => setReference({ ...image, ...ref }),
+        () => setErrorMessage("Couldn't restore the reference image.")
+      );
+    }
+    if (Number.isFinite(st.scale)) {
+      const max = maxZoom(Math.max(loaded.width, loaded.height) * 3);
+      setScale(clamp(Math.round(st.scale), MIN_ZOOM, max));
+    }
+    if (typeof st.showGrid === "boolean") setShowGrid(st.showGrid);
+    if (typeof st.tilePreview === "boolean") setTilePreview(st.tilePreview);
+    if (SYMMETRY_MODES.some((m) => m.id === st.symmetry?.mode)) {
+      const { mode, x, y, n } = st.symmetry;
+      setSymmetry({
+        mode,
+        x: Number.isFinite(x) ? x : null,
+        y: Number.isFinite(y) ? y : null,
+        n: Number.isInteger(n) ? n : 6,
+      });
+    }
+    if (Array.isArray(st.palette?.colors)) {
+      setPalette({
+        name: String(st.palette.name ?? DEFAULT_PALETTE.name),
+        colors: st.palette.colors.map(String),
+      });
+    }
+    if (typeof st.paletteLocked === "boolean") {
+      setPaletteLocked(st.paletteLocked);
+    }
+    if (typeof st.loop === "boolean") setLoop(st.loop);
+    if (typeof st.onionSkin === "boolean") setOnionSkin(st.onionSkin);
+    setActiveLayerId(st.activeLayerId ?? null);
+    setActiveFrame(Number.isInteger(st.activeFrame) ? st.activeFrame : 0);
+  };
+
+  /** Local documents (IndexedDB) */
+  const persist = async (meta) => {
+    const existing = await getDocument(meta.id);
+    const now = Date.now();
+    await putDocument({
+      id: meta.id,
+      name: existing?.name ?? meta.name, // may have been renamed in the gallery
+      createdAt: existing?.createdAt ?? now,
+      updatedAt: now,
+      width: W,
+      height: H,
+      thumbnail: pixelsToCanvas(compositeFrame(doc, 0), W, H).toDataURL(),
+      project: serializeProject({
+        doc,
+        settings,
+        history,
+      }),
+    });
+    await setMeta(LAST_DOC_KEY, meta.id);
+  };
 
-    const img = pixelsToImageData(pixels, W, H);
-    const tmp = document.createElement("canvas");
-    tmp.width = W;
-    tmp.height = H;
-    const tctx = tmp.getContext("2d");
-    tctx.putImageData(img, 0, 0);
+  /** Returns false if the stored project can't be read */
+  const openRecord = (record) => {
+    const project = readProject(record.project, record.name);
+    if (!project) return false;
+    applyProject(project);
+    setDocMeta({ id: record.id, name: record.name });
+    return true;
+  };
 
-    octx.drawImage(tmp, 0, 0, W, H, 0, 0, W * mult, H * mult);
+  const switchDocument = async (open) => {
+    setGalleryOpen(false);
+    if (docMeta) await persist(docMeta).catch((err) => console.error(err));
+    open();
+  };
 
-    const link = document.createElement("a");
-    link.href = out.toDataURL("image/png");
-    link.download = `kwaxel_${W}x${H}_x${mult}.png`;
-    link.click();
+  const newDocument = () => {
+    setDoc(createDocument(DEFAULT_W, DEFAULT_H));
+    setSelection(null);
+    setFloating(null);
+    setHistory(emptyHistory());
+    setActiveLayerId(null);
+    setActiveFrame(0);
+    setPlaying(false);
+    setDocMeta(null);
   };
 
+  // Autosave: debounced after every change, once the document has been touched
+  useEffect(() => {
+    if (!docMeta && history.entries.length === 0) return;
+    const t = setTimeout(() => {
+      const meta = docMeta ?? { id: newDocumentId(), name: UNTITLED };
+      if (!docMeta) setDocMeta(meta);
+      persist(meta).catch((err) => console.error("Autosave failed:", err));
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(t);
+    // persist closes over exactly these values
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [doc, history, settings, docMeta]);
+
+  /** New / Resize canvas (one history entry, so undo restores the old size) */
+  const applyCanvasSize = ({ width, height, action, mode, anchor }) => {
+    commitDoc(
+      action === "new"
+        ? createDocument(width, height)
+        : resizeDocument(doc, width, height, { mode, anchor }),
+      action === "new" ? "New canvas" : "Resize canvas"
+    );
+    if (action === "new") setActiveFrame(0);
+    setSizeDialogOpen(false);
+  };
+
+  /** Layers */
+  const addLayer = () => {
+    const layer = createLayer({ name: `Layer ${layers.length + 1}` });
+    commitDoc(
+      insertLayer(doc, layers.indexOf(activeLayer) + 1, layer),
+      "New layer"
+    );
+    setActiveLayerId(layer.id);
+  };
+  const duplicateActiveLayer = () => {
+    const [next, copyId] = duplicateLayer(doc, activeLayer.id);
+    commitDoc(next, "Duplicate layer");
+    setActiveLayerId(copyId);
+  };
+  const deleteLayer = () => {
+    if (layers.length <= 1) return;
+    const at = layers.indexOf(activeLayer);
+    commitDoc(removeLayer(doc, activeLayer.id), "Delete layer");
+    setActiveLayerId(layers[at === 0 ? 1 : at - 1].id);
+  };
+  const moveLayer = (id, dir) => {
+    const from = layers.findIndex((l) => l.id === id);
+    const to = from + dir;
+    if (from < 0 || to < 0 || to >= layers.length) return;
+    const next = [...layers];
+    [next[from], next[to]] = [next[to], next[from]];
+    commitLayers(next, "Move layer");
+  };
+  // record = false folds the change into the entry opened by beginLayerEdit
+  const updateLayer = (id, patch, record = true) => {
+    const next = patchLayer(layers, id, patch);
+    if (record) commitLayers(next, layerEditLabel(patch));
+    else amendDoc({ ...doc, layers: next });
+  };
+  const beginLayerEdit = () => commitDoc(doc, "Layer opacity");
+  const mergeActiveDown = () => {
+    if (!canMergeDown(layers, activeLayer.id)) return;
+    const at = layers.indexOf(activeLayer);
+    commitDoc(mergeLayerDown(doc, activeLayer.id), "Merge down");
+    setActiveLayerId(layers[at - 1].id);
+  };
+  const flatten = () => {
+    const next = flattenDocument(doc);
+    commitDoc(next, "Flatten");
+    setActiveLayerId(next.layers[0].id);
+  };
+
+  /** Palette — global colour replace across every layer and frame */
+  const replaceColorEverywhere = (fromArgb, toHex) => {
+    const to = snapColor(hexToArgb(toHex));
+    commitDoc(
+      mapCels(doc, (px) => replaceColor(px, fromArgb, to)),
+      "Replace colour"
+    );
+  };
+
+  /** Frames */
+  const addFrame = () => {
+    commitDoc(insertFrame(doc, frameIndex + 1, createFrame()), "New frame");
+    setActiveFrame(frameIndex + 1);
+  };
+  const duplicateActiveFrame = () => {
+    commitDoc(duplicateFrame(doc, frameIndex), "Duplicate frame");
+    setActiveFrame(frameIndex + 1);
+  };
+  const deleteFrame = () => {
+    if (frames.length <= 1) return;
+    commitDoc(removeFrame(doc, frameIndex), "Delete frame");
+    setActiveFrame(Math.max(0, frameIndex - 1));
+  };
+  const moveActiveFrame = (from, to) => {
+    if (to < 0 || to >= frames.length) return;
+    commitDoc(moveFrame(doc, from, to), "Move frame");
+    setActiveFrame(to);
+  };
+  const setFrameDuration = (index, duration) =>
+    commitDoc(patchFrame(doc, index, { duration }), "Frame duration");
+
+  /** Playback — advance after each frame's own duration */
+  useEffect(() => {
+    if (!playing) return;
+    const t = setTimeout(() => {
+      if (frameIndex + 1 < frames.length) setActiveFrame(frameIndex + 1);
+      else if (loop) setActiveFrame(0);
+      else setPlaying(false);
+    }, frames[frameIndex].duration);
+    return () => clearTimeout(t);
+  }, [playing, loop, frameIndex, frames]);
+
+  /**
+   * Export PNG at ×1/×2/×4/×8, with the project (minus history and
+   * PNG_OMITTED_SETTINGS) embedded
+   */
+  const exportPng = (mult = 1) => {
+    const embedded = Object.fromEntries(
+      Object.entries(settings).filter(
+        ([key]) => !PNG_OMITTED_SETTINGS.includes(key)
+      )
+    );
+    const project = serializeProject({ doc, settings: embedded });
+    downloadBlob(
+      new Blob(
+        [
+          encodeScaledPng(pixels, W, H, mult, {
+            text: { [PNG_PROJECT_KEY]: project },
+          }),
+        ],
+        { type: "image/png" }
+      ),
+      `kwaxel_${W}x${H}_x${mult}.png`
+    );
+  };
+
+  /** Export animated GIF (all frames, encoded in the browser) */
+  const exportGif = (mult = 1) => {
+    const gif = encodeGif(
+      frames.map((f, i) => ({
+        pixels: compositeFrame(doc, i),
+        duration: f.duration,
+      })),
+      W,
+      H,
+      { scale: mult, loop }
+    );
+    downloadBlob(
+      new Blob([gif], { type: "image/gif" }),
+      `kwaxel_${W}x${H}_x${mult}.gif`
+    );
+  };
+
+  // Latest saveProject for the keyboard handler (it closes over all settings)
+  const saveProjectRef = useRef(saveProject);
+  useEffect(() => {
+    saveProjectRef.current = saveProject;
+  });
+
+  // Latest selection/clipboard commands for the keyboard handler
+  const selectionCommandsRef = useRef(null);
+  useEffect(() => {
+    selectionCommandsRef.current = {
+      copySelection,
+      cutSelection,
+      pasteClipboard,
+      placePasted,
+      selectAll,
+      deselect,
+      clearSelected,
+    };
+  });
+
   /** Keyboard shortcuts */
   useEffect(() => {
     const onKey = (e) => {
       const k = e.key.toLowerCase();
+      const sel = selectionCommandsRef.current;
+      const typing = e.target.closest?.("input, textarea, select");
       if ((e.ctrlKey || e.metaKey) && k === "z") {
         e.preventDefault();
         e.shiftKey ? redo() : undo();
       } else if ((e.ctrlKey || e.metaKey) && k === "y") {
         e.preventDefault();
         redo();
-      } else if (k === "b") setTool("pencil");
+      } else if ((e.ctrlKey || e.metaKey) && k === "s") {
+        e.preventDefault();
+        saveProjectRef.current();
+      } else if ((e.ctrlKey || e.metaKey) && k === "o") {
+        e.preventDefault();
+        projectFileRef.current?.click();
+      } else if (typing) {
+        return;
+      } else if ((e.ctrlKey || e.metaKey) && k === "c") {
+        e.preventDefault();
+        sel.copySelection();
+      } else if ((e.ctrlKey || e.metaKey) && k === "x") {
+        e.preventDefault();
+        sel.cutSelection();
+      } else if ((e.ctrlKey || e.metaKey) && k === "v") {
+        e.preventDefault();
+        sel.pasteClipboard();
+      } else if ((e.ctrlKey || e.metaKey) && k === "a") {
+        e.preventDefault();
+        sel.selectAll();
+      } else if ((e.ctrlKey || e.metaKey) && k === "d") {
+        e.preventDefault();
+        sel.deselect();
+      } else if (k === " ") {
+        e.preventDefault();
+        setSpaceHeld(true);
+      } else if (k === "escape") sel.deselect();
+      else if (k === "delete" || k === "backspace") sel.clearSelected();
+      else if (k === "b") setTool("pencil");
       else if (k === "e") setTool("eraser");
       else if (k === "g") setTool("fill");
       else if (k === "i") setTool("eyedropper");
+      else if (k === "l") setTool("line");
+      else if (k === "r" && e.shiftKey) {
+        setReference((r) => r && { ...r, visible: !r.visible });
+      } else if (k === "r") setTool("rect");
+      else if (k === "o") setTool("ellipse");
+      else if (k === "m") setTool("marquee");
+      else if (k === "a") setTool("lasso");
+      else if (k === "w") setTool("wand");
+      else if (k === "v") setTool("move");
+      else if (k === "t") setTilePreview((t) => !t);
+      else if (k === ",") setActiveFrame((f) => Math.max(0, f - 1));
+      else if (k === ".")
+        setActiveFrame((f) => Math.min(frameCount - 1, f + 1));
+      else if (k === "enter") setPlaying((p) => !p);
     };
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [undo, redo]);
+  }, [undo, redo, frameCount]);
+
+  // Space pans only while held — including when focus leaves the window
+  useEffect(() => {
+    const release = (e) => {
+      if (e.type === "blur" || e.key === " ") setSpaceHeld(false);
+    };
+    window.addEventListener("keyup", release);
+    window.addEventListener("blur", release);
+    return () => {
+      window.removeEventListener("keyup", release);
+      window.removeEventListener("blur", release);
+    };
+  }, []);
 
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50">
@@ -450,159 +1861,541 @@ export default function KwaxelGenerator() {
           >
             🎯
           </ToolButton>
+          <ToolButton
+            active={tool === "line"}
+            onClick={() => setTool("line")}
+            title="Line (L) — Shift snaps to 45°"
+          >
+            ╱
+          </ToolButton>
+          <ToolButton
+            active={tool === "rect"}
+            onClick={() => setTool("rect")}
+            title="Rectangle (R) — Shift for a square"
+          >
+            ▭
+          </ToolButton>
+          <ToolButton
+            active={tool === "ellipse"}
+            onClick={() => setTool("ellipse")}
+            title="Ellipse (O) — Shift for a circle"
+          >
+            ◯
+          </ToolButton>
+          <ToolButton
+            active={tool === "marquee"}
+            onClick={() => setTool("marquee")}
+            title="Rectangle select (M)"
+          >
+            ⬚
+          </ToolButton>
+          <ToolButton
+            active={tool === "lasso"}
+            onClick={() => setTool("lasso")}
+            title="Lasso select (A)"
+          >
+            ➰
+          </ToolButton>
+          <ToolButton
+            active={tool === "wand"}
+            onClick={() => setTool("wand")}
+            title="Magic wand (W)"
+          >
+            🪄
+          </ToolButton>
+          <ToolButton
+            active={tool === "move"}
+            onClick={() => setTool("move")}
+            title="Move selection (V)"
+          >
+            ✥
+          </ToolButton>
+          <label className="inline-flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={shapeFilled}
+              onChange={(e) => setShapeFilled(e.target.checked)}
+            />
+            Filled
+          </label>
+          <label
+            className="inline-flex items-center gap-2 text-sm"
+            title="Remove L-shaped corners from 1px freehand lines"
+          >
+            <input
+              type="checkbox"
+              checked={pixelPerfect}
+              onChange={(e) => setPixelPerfect(e.target.checked)}
+            />
+            Pixel-perfect
+          </label>
 
-        <div className="h-6 w-px bg-gray-300 mx-2" />
+          <div className="h-6 w-px bg-gray-300 mx-2" />
 
-        <label className="inline-flex items-center gap-2 text-sm">
-          Color
-          <input
-            type="color"
-            value={color}
-            onChange={(e) => setColor(e.target.value)}
-            className="w-10 h-8 p-0 border rounded cursor-pointer"
-            aria-label="Current color"
-          />
-        </label>
-
-        <label className="inline-flex items-center gap-2 text-sm">
-          Brush
-          <select
-            value={brush}
-            onChange={(e) => setBrush(parseInt(e.target.value, 10))}
-            className="border rounded px-2 py-1"
-            aria-label="Brush size"
-          >
-            <option value={1}>1×1</option>
-            <option value={2}>2×2</option>
-            <option value={4}>4×4</option>
-          </select>
-        </label>
-
-        <label className="inline-flex items-center gap-2 text-sm">
-          Zoom
-          <input
-            type="range"
-            min={8}
-            max={32}
-            step={1}
-            value={scale}
-            onChange={(e) => setScale(parseInt(e.target.value, 10))}
-            aria-label="Zoom"
-          />
-          <span className="tabular-nums text-xs">{scale}x</span>
-        </label>
-
-        <label className="inline-flex items-center gap-2 text-sm">
-          <input
-            type="checkbox"
-            checked={showGrid}
-            onChange={(e) => setShowGrid(e.target.checked)}
-          />
-          Grid
-        </label>
+          <div className="inline-flex items-center gap-2 text-sm">
+            Color
+            <ColorPicker
+              value={color}
+              onChange={setColor}
+              label="Current color"
+            />
+          </div>
+
+          <label className="inline-flex items-center gap-2 text-sm">
+            Brush
+            <select
+              value={brush}
+              onChange={(e) => setBrush(parseInt(e.target.value, 10))}
+              className="border rounded px-2 py-1"
+              aria-label="Brush size"
+            >
+              <option value={1}>1×1</option>
+              <option value={2}>2×2</option>
+              <option value={4}>4×4</option>
+            </select>
+          </label>
 
-        <div className="ml-auto flex items-center gap-2">
+          <label className="inline-flex items-center gap-2 text-sm">
+            Zoom
+            <input
+              type="range"
+              min={MIN_ZOOM}
+              max={zoomMax}
+              step={1}
+              value={scale}
+              onChange={(e) => zoomAt(parseInt(e.target.value, 10))}
+              aria-label="Zoom"
+            />
+            <span className="tabular-nums text-xs">{scale}x</span>
+          </label>
           <button
             className="px-3 py-1.5 text-sm rounded border hover:bg-gray-50"
-            onClick={() => undo()}
+            onClick={fitToWindow}
+            title="Zoom to fit the window (wheel zooms, space-drag pans)"
           >
-            Undo
+            Fit
           </button>
-          <button
-            className="px-3 py-1.5 text-sm rounded border hover:bg-gray-50"
-            onClick={() => redo()}
+
+          <label className="inline-flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={showGrid}
+              onChange={(e) => setShowGrid(e.target.checked)}
+            />
+            Grid
+          </label>
+
+          <label
+            className="inline-flex items-center gap-2 text-sm"
+            title="Tile preview (T)"
           >
-            Redo
-          </button>
-          <input
-            ref={inputFileRef}
-            type="file"
-            accept="image/*"
-            className="hidden"
-            onChange={(e) =>
-              e.target.files?.[0] && importFromFile(e.target.files[0])
-            }
-          />
-          <button
-            className="px-3 py-1.5 text-sm rounded border hover:bg-gray-50"
-            onClick={() => inputFileRef.current?.click()}
+            <input
+              type="checkbox"
+              checked={tilePreview}
+              onChange={(e) => setTilePreview(e.target.checked)}
+            />
+            Tile 3×3
+          </label>
+
+          <ToolButton
+            active={previewOpen}
+            onClick={() => setPreviewOpen((o) => !o)}
+            aria-pressed={previewOpen}
+            title="Floating preview at 1×, 2× and 4×"
           >
-            Import
-          </button>
-          <div className="relative">
-            <ExportMenu onExport={exportPng} />
+            Preview
+          </ToolButton>
+
+          <div className="ml-auto flex items-center gap-2">
+            <button
+              className="px-3 py-1.5 text-sm rounded border hover:bg-gray-50"
+              onClick={() => undo()}
+            >
+              Undo
+            </button>
+            <button
+              className="px-3 py-1.5 text-sm rounded border hover:bg-gray-50"
+              onClick={() => redo()}
+            >
+              Redo
+            </button>
+            <button
+              className="px-3 py-1.5 text-sm rounded border hover:bg-gray-50"
+              onClick={cutSelection}
+              title="Cut selection (Ctrl+X)"
+            >
+              Cut
+            </button>
+            <button
+              className="px-3 py-1.5 text-sm rounded border hover:bg-gray-50"
+              onClick={copySelection}
+              title="Copy selection, or the layer, as PNG (Ctrl+C)"
+            >
+              Copy
+            </button>
+            <button
+              className="px-3 py-1.5 text-sm rounded border hover:bg-gray-50"
+              onClick={pasteClipboard}
+              title="Paste image (Ctrl+V)"
+            >
+              Paste
+            </button>
+            <input
+              ref={inputFileRef}
+              type="file"
+              accept="image/*"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files?.[0]) importFromFile(e.target.files[0]);
+                e.target.value = "";
+              }}
+            />
+            <button
+              className="px-3 py-1.5 text-sm rounded border hover:bg-gray-50"
+              onClick={() => setSizeDialogOpen(true)}
+              title="New / Resize canvas"
+            >
+              {W}×{H}
+            </button>
+            <button
+              className="px-3 py-1.5 text-sm rounded border hover:bg-gray-50"
+              onClick={() => setGeneratorOpen(true)}
+              title="Generate a sprite from a seed"
+            >
+              Generate
+            </button>
+            <button
+              className="px-3 py-1.5 text-sm rounded border hover:bg-gray-50"
+              onClick={() => setCollectionOpen(true)}
+              title="Build a collection of trait combinations"
+            >
+              Collection
+            </button>
+            <button
+              className="px-3 py-1.5 text-sm rounded border hover:bg-gray-50"
+              onClick={() => inputFileRef.current?.click()}
+            >
+              Import
+            </button>
+            <input
+              ref={projectFileRef}
+              type="file"
+              accept={`${PROJECT_EXTENSION},application/json`}
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files?.[0]) openProject(e.target.files[0]);
+                e.target.value = "";
+              }}
+            />
+            <button
+              className="px-3 py-1.5 text-sm rounded border hover:bg-gray-50"
+              onClick={() => setGalleryOpen(true)}
+              title="Saved kwaxels"
+            >
+              Gallery
+            </button>
+            <button
+              className="px-3 py-1.5 text-sm rounded border hover:bg-gray-50"
+              onClick={() => projectFileRef.current?.click()}
+              title="Open project (Ctrl+O)"
+            >
+              Open
+            </button>
+            <button
+              className="px-3 py-1.5 text-sm rounded border hover:bg-gray-50"
+              onClick={saveProject}
+              title="Save project (Ctrl+S)"
+            >
+              Save
+            </button>
+            <div className="relative">
+              <ImageMenu
+                hasSelection={!!(selMask || floating)}
+                onOp={applyImageOp}
+                onDialog={setImageDialog}
+              />
+            </div>
+            <div className="relative">
+              <ExportMenu
+                onExport={exportPng}
+                onExportGif={exportGif}
+                onSpriteSheet={() => setSheetDialogOpen(true)}
+                onFormat={setExportFormat}
+                onUpscale={() => setUpscaleOpen(true)}
+              />
+            </div>
           </div>
         </div>
-      </div>
 
-        {/* Canvas block — wrapper uses exact content size so overlay fits perfectly */}
-        <div
-          className="canvas-container"
-          style={{
-            width: `${W * scale}px`,
-            height: `${H * scale}px`,
-          }}
-        >
-          <canvas
-            ref={overlayRef}
-            width={W * scale * dpr}
-            height={H * scale * dpr}
-            className="pointer-events-none"
-            style={{
-              width: `${W * scale}px`,
-              height: `${H * scale}px`,
-              zIndex: 1
-            }}
-            aria-hidden
+        {(tool === "fill" || tool === "wand") && (
+          <FillOptionsBar
+            options={fillOptions}
+            onChange={setFillOptions}
+            showPatterns={tool === "fill"}
+            tile={fillTile}
+            onCaptureTile={captureFillTile}
           />
-          <canvas
-            ref={canvasRef}
-            width={W * scale * dpr}
-            height={H * scale * dpr}
-            style={{
-              width: `${W * scale}px`,
-              height: `${H * scale}px`,
-              zIndex: 2,
-              backgroundImage:
-                "linear-gradient(45deg, rgba(0,0,0,.08) 25%, transparent 25%)," +
-                "linear-gradient(-45deg, rgba(0,0,0,.08) 25%, transparent 25%)," +
-                "linear-gradient(45deg, transparent 75%, rgba(0,0,0,.08) 75%)," +
-                "linear-gradient(-45deg, transparent 75%, rgba(0,0,0,.08) 75%)",
-              backgroundSize: `${scale}px ${scale}px`,
-              backgroundPosition: checkerPos,
-            }}
-            onPointerDown={onPointerDown}
-            onPointerMove={onPointerMove}
-            onPointerUp={onPointerUp}
-            onPointerLeave={onPointerUp}
-            role="img"
-            aria-label="32 by 32 pixel canvas"
-          />
-        </div>
+        )}
 
-        {/* Swatches */}
-        <div className="flex flex-wrap gap-2">
-          {[
-            "#000000",
-            "#ffffff",
-            "#ef4444",
-            "#f59e0b",
-            "#fbbf24",
-            "#10b981",
-            "#3b82f6",
-            "#8b5cf6",
-            "#ec4899",
-          ].map((sw) => (
-            <button
-              key={sw}
-              className="w-6 h-6 rounded border"
-              style={{ background: sw }}
-              onClick={() => setColor(sw)}
-              aria-label={`Set color ${sw}`}
-              title={sw}
+        {errorMessage && (
+          <div className="error-banner" role="alert">
+            <span>{errorMessage}</span>
+            <button onClick={() => setErrorMessage(null)} aria-label="Dismiss">
+              ✕
+            </button>
+          </div>
+        )}
+
+        <div className="workspace">
+          {/* Viewport — clips the canvas block and moves it by `pan` */}
+          <div
+            ref={viewportRef}
+            className={`viewport ${spaceHeld ? "is-panning" : ""}`}
+            onPointerDownCapture={onViewportPointerDown}
+            onPointerMoveCapture={onViewportPointerMove}
+            onPointerUpCapture={onViewportPointerUp}
+            onPointerCancelCapture={onViewportPointerUp}
+            onAuxClick={(e) => e.preventDefault()}
+          >
+            {/* Canvas block — wrapper uses exact content size so overlay fits perfectly */}
+            <div
+              className="canvas-container"
+              style={{
+                width: `${W * scale * tiles}px`,
+                height: `${H * scale * tiles}px`,
+                transform: `translate(${pan.x}px, ${pan.y}px)`,
+              }}
+            >
+              {tilePreview && (
+                <canvas
+                  ref={tileRef}
+                  className="pointer-events-none"
+                  style={{
+                    width: `${3 * W * scale}px`,
+                    height: `${3 * H * scale}px`,
+                    zIndex: 0,
+                  }}
+                  aria-hidden
+                />
+              )}
+              <canvas
+                ref={referenceRef}
+                className="pointer-events-none"
+                style={{
+                  width: `${W * scale}px`,
+                  height: `${H * scale}px`,
+                  zIndex: reference?.above ? 3 : 1,
+                  ...tileOffset,
+                }}
+                aria-hidden
+              />
+              <canvas
+                ref={overlayRef}
+                width={W * scale * dpr}
+                height={H * scale * dpr}
+                className="pointer-events-none"
+                style={{
+                  width: `${W * scale}px`,
+                  height: `${H * scale}px`,
+                  zIndex: 3,
+                  ...tileOffset,
+                }}
+                aria-hidden
+              />
+              <canvas
+                ref={canvasRef}
+                width={W * scale * dpr}
+                height={H * scale * dpr}
+                style={{
+                  width: `${W * scale}px`,
+                  height: `${H * scale}px`,
+                  zIndex: 2,
+                  ...tileOffset,
+                  backgroundImage:
+                    "linear-gradient(45deg, rgba(0,0,0,.08) 25%, transparent 25%)," +
+                    "linear-gradient(-45deg, rgba(0,0,0,.08) 25%, transparent 25%)," +
+                    "linear-gradient(45deg, transparent 75%, rgba(0,0,0,.08) 75%)," +
+                    "linear-gradient(-45deg, transparent 75%, rgba(0,0,0,.08) 75%)",
+                  backgroundSize: `${scale}px ${scale}px`,
+                  backgroundPosition: checkerPos,
+                }}
+                onPointerDown={onPointerDown}
+                onPointerMove={onPointerMove}
+                onPointerUp={onPointerUp}
+                onPointerLeave={onPointerUp}
+                role="img"
+                aria-label={`${W} by ${H} pixel canvas`}
+              />
+            </div>
+          </div>
+
+          <div className="side-panels">
+            <LayersPanel
+              layers={layers}
+              activeId={activeLayer.id}
+              onSelect={setActiveLayerId}
+              onAdd={addLayer}
+              onDelete={deleteLayer}
+              onDuplicate={duplicateActiveLayer}
+              onMove={moveLayer}
+              onUpdate={updateLayer}
+              onBeginEdit={beginLayerEdit}
+              onMergeDown={mergeActiveDown}
+              onFlatten={flatten}
             />
-          ))}
+            <PalettePanel
+              palette={palette}
+              onChange={setPalette}
+              color={color}
+              onPickColor={setColor}
+              locked={paletteLocked}
+              onLockedChange={setPaletteLocked}
+              used={used}
+              onReplaceColor={replaceColorEverywhere}
+              onError={setErrorMessage}
+            />
+            <PaletteSwapPanel
+              pixels={pixels}
+              width={W}
+              height={H}
+              variants={swapVariants}
+              onChange={setSwapVariants}
+              toPng={encodeScaledPng}
+            />
+            <ReferencePanel
+              reference={reference}
+              width={W}
+              height={H}
+              onChange={setReference}
+              onLoad={loadReference}
+              editing={referenceEditing}
+              onEditingChange={setReferenceEditing}
+            />
+            <SymmetryPanel
+              symmetry={symmetry}
+              width={W}
+              height={H}
+              onChange={setSymmetry}
+            />
+            <HistoryPanel
+              entries={history.entries}
+              index={history.index}
+              onJump={jumpTo}
+              thumbnailAt={historyThumbnail}
+            />
+          </div>
         </div>
+
+        <Timeline
+          doc={doc}
+          frameIndex={frameIndex}
+          onSelect={setActiveFrame}
+          onAdd={addFrame}
+          onDuplicate={duplicateActiveFrame}
+          onDelete={deleteFrame}
+          onMove={moveActiveFrame}
+          onDuration={setFrameDuration}
+          playing={playing}
+          onTogglePlay={() => setPlaying((p) => !p)}
+          loop={loop}
+          onLoopChange={setLoop}
+          onion={onionSkin}
+          onOnionChange={setOnionSkin}
+        />
+
+        {sizeDialogOpen && (
+          <CanvasSizeDialog
+            width={W}
+            height={H}
+            onApply={applyCanvasSize}
+            onClose={() => setSizeDialogOpen(false)}
+          />
+        )}
+
+        {galleryOpen && (
+          <GalleryDialog
+            currentId={docMeta?.id}
+            onOpen={(record) => switchDocument(() => openRecord(record))}
+            onNew={() => switchDocument(newDocument)}
+            onClose={() => setGalleryOpen(false)}
+          />
+        )}
+
+        {sheetDialogOpen && (
+          <SpriteSheetDialog
+            doc={doc}
+            onClose={() => setSheetDialogOpen(false)}
+          />
+        )}
+        {upscaleOpen && (
+          <UpscaleDialog
+            pixels={pixels}
+            width={W}
+            height={H}
+            onClose={() => setUpscaleOpen(false)}
+          />
+        )}
+        {exportFormat && (
+          <ExportDialog
+            format={exportFormat}
+            pixels={pixels}
+            width={W}
+            height={H}
+            onClose={() => setExportFormat(null)}
+          />
+        )}
+        {imageDialog && (
+          <ImageEffectDialog
+            kind={imageDialog}
+            width={W}
+            height={H}
+            color={color}
+            onApply={applyImageOp}
+            onClose={() => setImageDialog(null)}
+          />
+        )}
+        {importSource && (
+          <ImportDialog
+            source={importSource}
+            width={W}
+            height={H}
+            palette={palette}
+            paletteLocked={paletteLocked}
+            onApply={applyImport}
+            onClose={() => setImportSource(null)}
+          />
+        )}
+        {generatorOpen && (
+          <GeneratorDialog
+            settings={generator}
+            width={W}
+            height={H}
+            palette={palette}
+            onApply={applyGenerated}
+            onClose={() => setGeneratorOpen(false)}
+          />
+        )}
+        {collectionOpen && (
+          <CollectionDialog
+            collection={collection}
+            onChange={setCollection}
+            layer={{
+              name: activeLayer.name,
+              width: W,
+              height: H,
+              pixels: celPixels(doc, frameIndex, activeLayer.id),
+            }}
+            toPng={encodeScaledPng}
+            onClose={() => setCollectionOpen(false)}
+          />
+        )}
+        {previewOpen && (
+          <PreviewPane
+            doc={doc}
+            frameIndex={frameIndex}
+            onClose={() => setPreviewOpen(false)}
+          />
+        )}
       </div>
     </div>
   );
@@ -622,7 +2415,13 @@ function ToolButton({ active, children, ...rest }) {
   );
 }
 
-function ExportMenu({ onExport }) {
+function ExportMenu({
+  onExport,
+  onExportGif,
+  onSpriteSheet,
+  onFormat,
+  onUpscale,
+}) {
   const [open, setOpen] = useState(false);
   useEffect(() => {
     const onDocClick = () => setOpen(false);
@@ -638,13 +2437,14 @@ function ExportMenu({ onExport }) {
           setOpen((v) => !v);
         }}
       >
-        Export PNG
+        Export
       </button>
       {open && (
         <div
           className="absolute right-0 mt-1 w-40 rounded-lg border bg-white shadow-lg overflow-hidden z-10"
           onClick={(e) => e.stopPropagation()}
         >
+          <div className="menu-heading">PNG (current frame)</div>
           {[1, 2, 4, 8].map((m) => (
             <button
               key={m}
@@ -654,6 +2454,117 @@ function ExportMenu({ onExport }) {
               {`Download ×${m}`}
             </button>
           ))}
+          <button
+            className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+            onClick={onUpscale}
+          >
+            Upscaled (xBR, hqx…)…
+          </button>
+          <div className="menu-heading">Animated GIF</div>
+          {[1, 2, 4, 8].map((m) => (
+            <button
+              key={`gif${m}`}
+              className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+              onClick={() => onExportGif(m)}
+            >
+              {`GIF ×${m}`}
+            </button>
+          ))}
+          <div className="menu-heading">Game engine</div>
+          <button
+            className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+            onClick={onSpriteSheet}
+          >
+            Sprite sheet + JSON…
+          </button>
+          <div className="menu-heading">More formats</div>
+          {EXPORT_FORMATS.map((f) => (
+            <button
+              key={f.id}
+              className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+              onClick={() => onFormat(f.id)}
+            >
+              {`${f.label}…`}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** History label for a layer property change */
+function layerEditLabel(patch) {
+  if ("name" in patch) return "Rename layer";
+  if ("visible" in patch) return patch.visible ? "Show layer" : "Hide layer";
+  if ("locked" in patch) return patch.locked ? "Lock layer" : "Unlock layer";
+  if ("blend" in patch) return "Blend mode";
+  return "Layer properties";
+}
+
+const SHAPE_LABELS = { line: "Line", rect: "Rectangle", ellipse: "Ellipse" };
+
+const IMAGE_OP_LABELS = {
+  flip: "Flip",
+  rotate: "Rotate",
+  offset: "Offset",
+  outline: "Auto-outline",
+  shadow: "Drop shadow",
+};
+
+const IMAGE_OPS = [
+  { label: "Flip horizontal", op: { kind: "flip", axis: "horizontal" } },
+  { label: "Flip vertical", op: { kind: "flip", axis: "vertical" } },
+  { label: "Rotate 90° clockwise", op: { kind: "rotate", turns: 1 } },
+  { label: "Rotate 90° counter-clockwise", op: { kind: "rotate", turns: 3 } },
+  { label: "Rotate 180°", op: { kind: "rotate", turns: 2 } },
+];
+
+function ImageMenu({ hasSelection, onOp, onDialog }) {
+  const [open, setOpen] = useState(false);
+  useEffect(() => {
+    const onDocClick = () => setOpen(false);
+    if (open) document.addEventListener("click", onDocClick, { once: true });
+    return () => document.removeEventListener("click", onDocClick);
+  }, [open]);
+  const item = (label, onClick) => (
+    <button
+      key={label}
+      className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+      onClick={() => {
+        setOpen(false);
+        onClick();
+      }}
+    >
+      {label}
+    </button>
+  );
+  return (
+    <div>
+      <button
+        className="px-3 py-1.5 text-sm rounded border hover:bg-gray-50"
+        onClick={(e) => {
+          e.stopPropagation();
+          setOpen((v) => !v);
+        }}
+      >
+        Image
+      </button>
+      {open && (
+        <div
+          className="absolute right-0 mt-1 w-56 rounded-lg border bg-white shadow-lg overflow-hidden z-10"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="menu-heading">
+            {hasSelection ? "Selection" : "Whole canvas"}
+          </div>
+          {IMAGE_OPS.map(({ label, op }) => item(label, () => onOp(op)))}
+          {item("Offset…", () => onDialog("offset"))}
+          <div className="menu-heading">
+            {hasSelection ? "Active layer, in selection" : "Active layer"}
+          </div>
+          {item("Auto-outline…", () => onDialog("outline"))}
+          {item("Drop shadow…", () => onDialog("shadow"))}
         </div>
       )}
     </div>
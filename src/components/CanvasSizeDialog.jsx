@@ -0,0 +1,134 @@
+import React, { useState } from "react";
+import {
+  ANCHORS,
+  MAX_SIZE,
+  MIN_SIZE,
+  SIZE_PRESETS,
+} from "../lib/resize";
+
+const ANCHOR_ARROWS = ["↖", "↑", "↗", "←", "•", "→", "↙", "↓", "↘"];
+
+/**
+ * New / Resize canvas dialog.
+ * onApply({ width, height, action: "new" | "resize", mode: "scale" | "crop", anchor })
+ */
+export default function CanvasSizeDialog({ width, height, onApply, onClose }) {
+  const [w, setW] = useState(width);
+  const [h, setH] = useState(height);
+  const [mode, setMode] = useState("crop");
+  const [anchor, setAnchor] = useState("center");
+
+  const valid = (n) => Number.isInteger(n) && n >= MIN_SIZE && n <= MAX_SIZE;
+  const ok = valid(w) && valid(h);
+
+  const apply = (action) => {
+    if (!ok) return;
+    onApply({ width: w, height: h, action, mode, anchor });
+  };
+
+  return (
+    <div className="dialog-backdrop" onClick={onClose}>
+      <div
+        className="dialog"
+        role="dialog"
+        aria-label="New / Resize canvas"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="dialog-title">Canvas size</h2>
+
+        <div className="flex flex-wrap gap-2">
+          {SIZE_PRESETS.map((p) => (
+            <button
+              key={p.label}
+              className={`px-3 py-1.5 text-sm rounded border ${
+                p.width === w && p.height === h ? "is-active" : ""
+              }`}
+              onClick={() => {
+                setW(p.width);
+                setH(p.height);
+              }}
+            >
+              {p.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-2 text-sm">
+          <label className="inline-flex items-center gap-2">
+            Width
+            <input
+              type="number"
+              min={MIN_SIZE}
+              max={MAX_SIZE}
+              value={w}
+              onChange={(e) => setW(parseInt(e.target.value, 10))}
+              className="num-input"
+            />
+          </label>
+          <label className="inline-flex items-center gap-2">
+            Height
+            <input
+              type="number"
+              min={MIN_SIZE}
+              max={MAX_SIZE}
+              value={h}
+              onChange={(e) => setH(parseInt(e.target.value, 10))}
+              className="num-input"
+            />
+          </label>
+          <span className="text-xs muted">
+            (current {width}×{height}, max {MAX_SIZE})
+          </span>
+        </div>
+
+        <fieldset className="flex items-center gap-4 text-sm">
+          <legend className="text-xs muted">When resizing</legend>
+          <label className="inline-flex items-center gap-2">
+            <input
+              type="radio"
+              checked={mode === "scale"}
+              onChange={() => setMode("scale")}
+            />
+            Scale art
+          </label>
+          <label className="inline-flex items-center gap-2">
+            <input
+              type="radio"
+              checked={mode === "crop"}
+              onChange={() => setMode("crop")}
+            />
+            Crop / extend
+          </label>
+        </fieldset>
+
+        <div
+          className={`anchor-grid ${mode === "scale" ? "is-disabled" : ""}`}
+          aria-label="Anchor"
+        >
+          {ANCHORS.map((a, i) => (
+            <button
+              key={a}
+              className={a === anchor ? "is-active" : ""}
+              disabled={mode === "scale"}
+              onClick={() => setAnchor(a)}
+              title={a}
+              aria-label={`Anchor ${a}`}
+            >
+              {ANCHOR_ARROWS[i]}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-2 dialog-actions">
+          <button onClick={onClose}>Cancel</button>
+          <button disabled={!ok} onClick={() => apply("new")}>
+            New blank
+          </button>
+          <button disabled={!ok} onClick={() => apply("resize")}>
+            Resize
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
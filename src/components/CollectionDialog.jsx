@@ -0,0 +1,494 @@
+import React, { useMemo, useRef, useState } from "react";
+import { downloadBlob } from "../lib/canvas";
+import {
+  COLLECTION_SCALES,
+  DEFAULT_COLLECTION,
+  MAX_COLLECTION_ITEMS,
+  MAX_TRAIT_WEIGHT,
+  buildCollection,
+  collectionFiles,
+  collectionSize,
+  combinationCount,
+  composeItem,
+  createCategory,
+  createTrait,
+  findTrait,
+} from "../lib/collection";
+import { randomSeed } from "../lib/generator";
+import { PngFormatError, decodePng } from "../lib/png";
+import { createZip } from "../lib/zip";
+import PixelThumb from "./PixelThumb";
+
+const PREVIEW_ITEMS = 24;
+
+const swap = (list, i, j) => {
+  const next = [...list];
+  [next[i], next[j]] = [next[j], next[i]];
+  return next;
+};
+
+const intIn = (value, min, max) => {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+};
+
+/**
+ * Collection builder — trait categories (stacked in list order) with weighted
+ * trait images, "never together" rules, and a seeded build of unique
+ * combinations previewed here and exported as one ZIP: a PNG per item at the
+ * PNG export scale, its metadata JSON and a rarity report. Edits go straight
+ * to `onChange`, so the collection is saved with the project.
+ * toPng(pixels, w, h, mult) is the editor's scaled PNG encoder.
+ */
+export default function CollectionDialog({
+  collection: c,
+  onChange,
+  layer,
+  toPng,
+  onClose,
+}) {
+  const [error, setError] = useState(null);
+  const [ruleDraft, setRuleDraft] = useState({ a: "", b: "" });
+  const [fileTarget, setFileTarget] = useState(null); // category id
+  const fileRef = useRef(null);
+
+  const set = (patch) => onChange({ ...c, ...patch });
+  // Rules naming a deleted trait go with it
+  const setCategories = (categories) => {
+    const next = { ...c, categories };
+    onChange({
+      ...next,
+      rules: c.rules.filter(
+        (r) => findTrait(next, r.a) && findTrait(next, r.b)
+      ),
+    });
+  };
+  const patchCategory = (id, patch) =>
+    setCategories(
+      c.categories.map((cat) => (cat.id === id ? { ...cat, ...patch } : cat))
+    );
+  const patchTrait = (cat, id, patch) =>
+    patchCategory(cat.id, {
+      traits: cat.traits.map((t) => (t.id === id ? { ...t, ...patch } : t)),
+    });
+
+  const size = collectionSize(c);
+  /** Append trait images ({ name, width, height, pixels }) to a category */
+  const addTraits = (catId, images) => {
+    const need = size ?? images[0];
+    const fits = images.filter(
+      (t) => t.width === need.width && t.height === need.height
+    );
+    setError(
+      fits.length < images.length
+        ? `Traits must all be ${need.width}×${need.height}; skipped ${images
+            .filter((t) => !fits.includes(t))
+            .map((t) => `“${t.name}” (${t.width}×${t.height})`)
+            .join(", ")}.`
+        : null
+    );
+    if (!fits.length) return;
+    const cat = c.categories.find((x) => x.id === catId);
+    patchCategory(catId, {
+      traits: [...cat.traits, ...fits.map((t) => createTrait(t))],
+    });
+  };
+  const addFiles = async (catId, files) => {
+    const images = [];
+    const unreadable = [];
+    for (const file of files) {
+      try {
+        const png = decodePng(new Uint8Array(await file.arrayBuffer()));
+        images.push({
+          name: file.name.replace(/\.[^.]+$/, "") || "Trait",
+          width: png.width,
+          height: png.height,
+          pixels: png.pixels,
+        });
+      } catch (err) {
+        if (!(err instanceof PngFormatError)) throw err;
+        unreadable.push(file.name);
+      }
+    }
+    if (images.length) addTraits(catId, images);
+    if (unreadable.length) {
+      setError(`Couldn't read ${unreadable.join(", ")} as PNG.`);
+    }
+  };
+
+  const built = useMemo(() => buildCollection(c), [c]);
+  const previews = useMemo(() => {
+    const s = collectionSize(c);
+    return s
+      ? built.items
+          .slice(0, PREVIEW_ITEMS)
+          .map((item) => composeItem(c, item, s.width, s.height))
+      : [];
+  }, [built, c]);
+  const combinations = combinationCount(c);
+
+  const exportZip = () => {
+    const files = collectionFiles(c, built.items, (px, w, h) =>
+      toPng(px, w, h, c.scale)
+    );
+    downloadBlob(
+      new Blob([createZip(files)], { type: "application/zip" }),
+      `${c.name.replace(/[^\w-]+/g, "_") || "collection"}.zip`
+    );
+  };
+
+  const traitLabel = (id) => {
+    const found = findTrait(c, id);
+    return found ? `${found.category.name}: ${found.trait.name}` : "?";
+  };
+  const ruleExists = c.rules.some(
+    (r) =>
+      (r.a === ruleDraft.a && r.b === ruleDraft.b) ||
+      (r.a === ruleDraft.b && r.b === ruleDraft.a)
+  );
+  const traitSelect = (key, label) => (
+    <select
+      value={ruleDraft[key]}
+      onChange={(e) => setRuleDraft((d) => ({ ...d, [key]: e.target.value }))}
+      aria-label={label}
+    >
+      <option value="">Trait…</option>
+      {c.categories.map((cat) => (
+        <optgroup key={cat.id} label={cat.name}>
+          {cat.traits.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.name}
+            </option>
+          ))}
+        </optgroup>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="dialog-backdrop" onClick={onClose}>
+      <div
+        className="dialog collection"
+        role="dialog"
+        aria-label="Collection"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => e.stopPropagation()}
+      >
+        <h2 className="dialog-title">Collection</h2>
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="inline-flex items-center gap-2">
+            Name
+            <input
+              value={c.name}
+              onChange={(e) => set({ name: e.target.value })}
+              onBlur={() =>
+                !c.name.trim() && set({ name: DEFAULT_COLLECTION.name })
+              }
+              className="num-input export-name"
+            />
+          </label>
+          <label className="inline-flex items-center gap-2">
+            Items
+            <input
+              type="number"
+              min={1}
+              max={MAX_COLLECTION_ITEMS}
+              value={c.count}
+              onChange={(e) => {
+                const n = intIn(e.target.value, 1, MAX_COLLECTION_ITEMS);
+                if (n !== null) set({ count: n });
+              }}
+              className="num-input"
+            />
+          </label>
+          <label className="inline-flex items-center gap-2">
+            Seed
+            <input
+              value={c.seed}
+              onChange={(e) => set({ seed: e.target.value })}
+              className="num-input export-name"
+              spellCheck={false}
+            />
+          </label>
+          <button onClick={() => set({ seed: randomSeed() })} title="New seed">
+            🎲
+          </button>
+          <label className="inline-flex items-center gap-2">
+            Scale
+            <select
+              value={c.scale}
+              onChange={(e) => set({ scale: parseInt(e.target.value, 10) })}
+            >
+              {COLLECTION_SCALES.map((s) => (
+                <option key={s} value={s}>
+                  ×{s}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="panel-header text-sm">
+          Traits{" "}
+          <span className="text-xs muted">
+            {size
+              ? `${size.width}×${size.height} · the first category is drawn at the bottom`
+              : "Add a category, then traits from the layer or PNG files"}
+          </span>
+          <button
+            onClick={() =>
+              setCategories([
+                ...c.categories,
+                createCategory({ name: `Category ${c.categories.length + 1}` }),
+              ])
+            }
+          >
+            + Category
+          </button>
+        </div>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="image/png"
+          multiple
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files?.length) {
+              addFiles(fileTarget, [...e.target.files]);
+            }
+            e.target.value = "";
+          }}
+        />
+        <ul className="layer-list collection-list">
+          {c.categories.map((cat, ci) => {
+            const total =
+              cat.traits.reduce((s, t) => s + t.weight, 0) + cat.none;
+            const share = (w) =>
+              total ? `${Math.round((w / total) * 100)}%` : "–";
+            return (
+              <li key={cat.id} className="collection-category">
+                <div className="flex flex-wrap items-center gap-1 text-sm">
+                  <input
+                    value={cat.name}
+                    onChange={(e) =>
+                      patchCategory(cat.id, { name: e.target.value })
+                    }
+                    className="num-input layer-name-input"
+                    aria-label="Category name"
+                  />
+                  <label
+                    className="inline-flex items-center gap-1 text-xs"
+                    title="Weight of leaving this category empty"
+                  >
+                    None
+                    <input
+                      type="number"
+                      min={0}
+                      max={MAX_TRAIT_WEIGHT}
+                      value={cat.none}
+                      onChange={(e) => {
+                        const n = intIn(e.target.value, 0, MAX_TRAIT_WEIGHT);
+                        if (n !== null) patchCategory(cat.id, { none: n });
+                      }}
+                      className="num-input"
+                    />
+                    <span className="tabular-nums muted">
+                      {share(cat.none)}
+                    </span>
+                  </label>
+                  <button
+                    className="icon-btn"
+                    onClick={() =>
+                      setCategories(swap(c.categories, ci, ci - 1))
+                    }
+                    disabled={ci === 0}
+                    title="Move category up"
+                  >
+                    ▲
+                  </button>
+                  <button
+                    className="icon-btn"
+                    onClick={() =>
+                      setCategories(swap(c.categories, ci, ci + 1))
+                    }
+                    disabled={ci === c.categories.length - 1}
+                    title="Move category down"
+                  >
+                    ▼
+                  </button>
+                  <button
+                    className="icon-btn"
+                    onClick={() =>
+                      setCategories(c.categories.filter((x) => x !== cat))
+                    }
+                    title="Delete category"
+                  >
+                    ✕
+                  </button>
+                </div>
+                <ul className="layer-list">
+                  {cat.traits.map((t, ti) => (
+                    <li key={t.id} className="layer-row">
+                      <PixelThumb pixels={t.pixels} w={t.width} h={t.height} />
+                      <input
+                        value={t.name}
+                        onChange={(e) =>
+                          patchTrait(cat, t.id, { name: e.target.value })
+                        }
+                        className="num-input layer-name-input"
+                        aria-label="Trait name"
+                      />
+                      <input
+                        type="number"
+                        min={0}
+                        max={MAX_TRAIT_WEIGHT}
+                        value={t.weight}
+                        onChange={(e) => {
+                          const n = intIn(e.target.value, 0, MAX_TRAIT_WEIGHT);
+                          if (n !== null) patchTrait(cat, t.id, { weight: n });
+                        }}
+                        className="num-input"
+                        title="Rarity weight"
+                        aria-label="Rarity weight"
+                      />
+                      <span className="tabular-nums text-xs muted">
+                        {share(t.weight)}
+                      </span>
+                      <button
+                        className="icon-btn"
+                        onClick={() =>
+                          patchCategory(cat.id, {
+                            traits: swap(cat.traits, ti, ti - 1),
+                          })
+                        }
+                        disabled={ti === 0}
+                        title="Move trait up"
+                      >
+                        ▲
+                      </button>
+                      <button
+                        className="icon-btn"
+                        onClick={() =>
+                          patchCategory(cat.id, {
+                            traits: swap(cat.traits, ti, ti + 1),
+                          })
+                        }
+                        disabled={ti === cat.traits.length - 1}
+                        title="Move trait down"
+                      >
+                        ▼
+                      </button>
+                      <button
+                        className="icon-btn"
+                        onClick={() =>
+                          patchCategory(cat.id, {
+                            traits: cat.traits.filter((x) => x !== t),
+                          })
+                        }
+                        title="Delete trait"
+                      >
+                        ✕
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+                <div className="flex flex-wrap items-center gap-1 text-sm">
+                  <button
+                    onClick={() => addTraits(cat.id, [layer])}
+                    title="Add the active layer of the current frame as a trait"
+                  >
+                    + Layer
+                  </button>
+                  <button
+                    onClick={() => {
+                      setFileTarget(cat.id);
+                      fileRef.current?.click();
+                    }}
+                  >
+                    + PNG files…
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+
+        <div className="panel-header text-sm">Never together</div>
+        {c.rules.length > 0 && (
+          <ul className="layer-list text-sm">
+            {c.rules.map((r, i) => (
+              <li key={`${r.a}-${r.b}`} className="layer-row">
+                <span className="layer-name">
+                  {traitLabel(r.a)} ✕ {traitLabel(r.b)}
+                </span>
+                <button
+                  className="icon-btn"
+                  onClick={() =>
+                    set({ rules: c.rules.filter((_, j) => j !== i) })
+                  }
+                  title="Delete rule"
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          {traitSelect("a", "Trait")}
+          excludes
+          {traitSelect("b", "Excluded trait")}
+          <button
+            onClick={() => {
+              set({ rules: [...c.rules, ruleDraft] });
+              setRuleDraft({ a: "", b: "" });
+            }}
+            disabled={
+              !ruleDraft.a ||
+              !ruleDraft.b ||
+              ruleDraft.a === ruleDraft.b ||
+              ruleExists
+            }
+          >
+            Add rule
+          </button>
+        </div>
+
+        {error && <p className="text-xs error-text">{error}</p>}
+
+        {size && (
+          <div className="collection-previews">
+            {previews.map((px, i) => (
+              <figure key={built.items[i].edition}>
+                <PixelThumb
+                  pixels={px}
+                  w={size.width}
+                  h={size.height}
+                  size={64}
+                />
+                <figcaption className="text-xs muted">
+                  #{built.items[i].edition}
+                </figcaption>
+              </figure>
+            ))}
+          </div>
+        )}
+        <p className="text-xs muted">
+          {built.items.length} of {c.count} items
+          {built.items.length < c.count &&
+            ` — only ${built.items.length} unique combinations fit the weights and rules (at most ${combinations} without rules)`}
+          {built.items.length > PREVIEW_ITEMS &&
+            `; previewing the first ${PREVIEW_ITEMS}`}
+        </p>
+
+        <div className="flex items-center gap-2 dialog-actions">
+          <button onClick={onClose}>Done</button>
+          <button onClick={exportZip} disabled={!built.items.length}>
+            Export ZIP
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
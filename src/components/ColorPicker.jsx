@@ -0,0 +1,207 @@
+import React, { useEffect, useState } from "react";
+import {
+  argbToCss,
+  argbToHex,
+  channels,
+  hexToArgb,
+  hslToRgb,
+  hsvToRgb,
+  rgbToHsl,
+  rgbToHsv,
+  rgbaToArgb,
+} from "../lib/color";
+
+const HEX_RE = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+/** { h, s, v, a } (a in 0..255) from a hex colour */
+function hsvaFromHex(hex) {
+  const { a, r, g, b } = channels(hexToArgb(hex) >>> 0);
+  return { ...rgbToHsv(r, g, b), a };
+}
+
+function hexFromHsva({ h, s, v, a }) {
+  const { r, g, b } = hsvToRgb(h, s, v);
+  return argbToHex(rgbaToArgb(r, g, b, a));
+}
+
+/**
+ * Colour swatch that opens a picker with alpha — saturation/value square,
+ * hue and alpha sliders, and hex / RGBA / HSL fields. Emits hex strings:
+ * "#rrggbb", or "#aarrggbb" when translucent.
+ */
+export default function ColorPicker({ value, onChange, label }) {
+  const [open, setOpen] = useState(false);
+  // Kept as HSV so hue survives greys and black while dragging
+  const [hsva, setHsva] = useState(() => hsvaFromHex(value));
+  const [seen, setSeen] = useState(value);
+  const [hexDraft, setHexDraft] = useState(null);
+  if (value !== seen) {
+    setSeen(value);
+    setHsva(hsvaFromHex(value));
+  }
+
+  useEffect(() => {
+    const onDocClick = () => setOpen(false);
+    if (open) document.addEventListener("click", onDocClick, { once: true });
+    return () => document.removeEventListener("click", onDocClick);
+  }, [open]);
+
+  const emit = (next) => {
+    const hex = hexFromHsva(next);
+    setHsva(next);
+    setSeen(hex);
+    setHexDraft(null);
+    onChange(hex);
+  };
+  const set = (patch) => emit({ ...hsva, ...patch });
+
+  const argb = hexToArgb(seen) >>> 0;
+  const { a, r, g, b } = channels(argb);
+  const hsl = rgbToHsl(r, g, b);
+  const setRgba = (patch) => {
+    const c = { r, g, b, a, ...patch };
+    emit({ ...rgbToHsv(c.r, c.g, c.b), a: c.a });
+  };
+  const setHsl = (patch) => {
+    const c = { ...hsl, ...patch };
+    const rgb = hslToRgb(c.h, c.s, c.l);
+    emit({ ...rgbToHsv(rgb.r, rgb.g, rgb.b), h: c.h, a });
+  };
+
+  const pickSv = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const clamp01 = (n) => Math.max(0, Math.min(1, n));
+    set({
+      s: clamp01((e.clientX - rect.left) / rect.width),
+      v: 1 - clamp01((e.clientY - rect.top) / rect.height),
+    });
+  };
+
+  const numField = (name, val, max, onValue) => (
+    <label key={name} className="picker-field">
+      <span>{name}</span>
+      <input
+        type="number"
+        min={0}
+        max={max}
+        value={Math.round(val)}
+        onChange={(e) => {
+          const n = parseInt(e.target.value, 10);
+          if (Number.isInteger(n) && n >= 0 && n <= max) onValue(n);
+        }}
+        className="num-input"
+        aria-label={name}
+      />
+    </label>
+  );
+
+  const hue = `hsl(${hsva.h}, 100%, 50%)`;
+  const opaque = argbToCss(argb | 0xff000000);
+
+  return (
+    <div className="color-picker">
+      <button
+        className="picker-swatch checker-bg"
+        onClick={(e) => {
+          e.stopPropagation();
+          setOpen((v) => !v);
+        }}
+        title={seen}
+        aria-label={label}
+        aria-expanded={open}
+      >
+        <span style={{ background: argbToCss(argb) }} />
+      </button>
+      {open && (
+        <div
+          className="picker-popover"
+          role="dialog"
+          aria-label={label}
+          onClick={(e) => e.stopPropagation()}
+          onKeyDown={(e) => {
+            e.stopPropagation();
+            if (e.key === "Escape") setOpen(false);
+          }}
+        >
+          <div
+            className="sv-square"
+            style={{ backgroundColor: hue }}
+            onPointerDown={(e) => {
+              e.currentTarget.setPointerCapture(e.pointerId);
+              pickSv(e);
+            }}
+            onPointerMove={(e) => {
+              if (e.buttons & 1) pickSv(e);
+            }}
+          >
+            <span
+              className="sv-marker"
+              style={{
+                left: `${hsva.s * 100}%`,
+                top: `${(1 - hsva.v) * 100}%`,
+                background: opaque,
+              }}
+            />
+          </div>
+          <input
+            type="range"
+            className="hue-slider"
+            min={0}
+            max={359}
+            value={Math.round(hsva.h)}
+            onChange={(e) => set({ h: parseInt(e.target.value, 10) })}
+            aria-label="Hue"
+          />
+          <div className="checker-bg alpha-track">
+            <input
+              type="range"
+              className="alpha-slider"
+              style={{
+                background: `linear-gradient(to right, transparent, ${opaque})`,
+              }}
+              min={0}
+              max={255}
+              value={a}
+              onChange={(e) => set({ a: parseInt(e.target.value, 10) })}
+              aria-label="Alpha"
+            />
+          </div>
+
+          <div className="flex items-center gap-2">
+            <span className="picker-swatch checker-bg" aria-hidden>
+              <span style={{ background: argbToCss(argb) }} />
+            </span>
+            <input
+              className="num-input picker-hex"
+              value={hexDraft ?? seen}
+              onChange={(e) => {
+                setHexDraft(e.target.value);
+                if (HEX_RE.test(e.target.value.trim())) {
+                  const hex = argbToHex(hexToArgb(e.target.value) >>> 0);
+                  setSeen(hex);
+                  setHsva(hsvaFromHex(hex));
+                  onChange(hex);
+                }
+              }}
+              onBlur={() => setHexDraft(null)}
+              spellCheck={false}
+              aria-label="Hex (#rrggbb or #aarrggbb)"
+              title="#rrggbb, or #aarrggbb with alpha first"
+            />
+          </div>
+          <div className="picker-fields">
+            {numField("R", r, 255, (n) => setRgba({ r: n }))}
+            {numField("G", g, 255, (n) => setRgba({ g: n }))}
+            {numField("B", b, 255, (n) => setRgba({ b: n }))}
+            {numField("A", a, 255, (n) => setRgba({ a: n }))}
+          </div>
+          <div className="picker-fields">
+            {numField("H", hsl.h, 359, (n) => setHsl({ h: n }))}
+            {numField("S", hsl.s * 100, 100, (n) => setHsl({ s: n / 100 }))}
+            {numField("L", hsl.l * 100, 100, (n) => setHsl({ l: n / 100 }))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,337 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { downloadBlob, pixelsToImageData } from "../lib/canvas";
+import {
+  C_FORMATS,
+  EXPORT_FORMATS,
+  ICO_SIZES,
+  JSON_LAYOUTS,
+  SVG_MODES,
+  cIdentifier,
+  iconPixels,
+  toBoxShadow,
+  toCArray,
+  toIco,
+  toJson,
+  toSvg,
+} from "../lib/exporters";
+
+const PREVIEW_CLASS = "kwaxel-export-preview";
+
+function IconPreview({ pixels, width, height, size }) {
+  const ref = useRef(null);
+  useEffect(() => {
+    const c = ref.current;
+    c.width = size;
+    c.height = size;
+    c.getContext("2d").putImageData(
+      pixelsToImageData(iconPixels(pixels, width, height, size), size, size),
+      0,
+      0
+    );
+  }, [pixels, width, height, size]);
+  return (
+    <figure>
+      <div className="sheet-preview">
+        <canvas
+          ref={ref}
+          style={{ width: `${size * 2}px`, height: `${size * 2}px` }}
+        />
+      </div>
+      <figcaption className="text-xs muted">
+        {size}×{size}
+      </figcaption>
+    </figure>
+  );
+}
+
+/**
+ * Export the current frame as SVG, ICO, CSS box-shadow, a C header or JSON,
+ * with a preview of the result and copy-to-clipboard for the text formats.
+ */
+export default function ExportDialog({
+  format: initialFormat,
+  pixels,
+  width,
+  height,
+  onClose,
+}) {
+  const [format, setFormat] = useState(initialFormat);
+  const [svgMode, setSvgMode] = useState("paths");
+  const [svgScale, setSvgScale] = useState(8);
+  const [icoSizes, setIcoSizes] = useState(ICO_SIZES);
+  const [cssScale, setCssScale] = useState(4);
+  const [cFormat, setCFormat] = useState("rgb565");
+  const [cName, setCName] = useState("kwaxel");
+  const [jsonLayout, setJsonLayout] = useState("indexed");
+  const [status, setStatus] = useState(null);
+
+  const spec = EXPORT_FORMATS.find((f) => f.id === format);
+
+  // { text } for the code formats, { bytes } for ICO, { error } if impossible
+  const output = useMemo(() => {
+    try {
+      switch (format) {
+        case "svg":
+          return {
+            text: toSvg(pixels, width, height, {
+              mode: svgMode,
+              scale: svgScale,
+            }),
+          };
+        case "ico":
+          return icoSizes.length > 0
+            ? { bytes: toIco(pixels, width, height, icoSizes) }
+            : { error: "Pick at least one icon size." };
+        case "css":
+          return {
+            text: toBoxShadow(pixels, width, height, { scale: cssScale }),
+          };
+        case "c":
+          return {
+            text: toCArray(pixels, width, height, {
+              format: cFormat,
+              name: cName,
+            }),
+          };
+        default:
+          return {
+            text: toJson(pixels, width, height, { layout: jsonLayout }),
+          };
+      }
+    } catch (err) {
+      if (!(err instanceof RangeError)) throw err;
+      return { error: `${err.message}.` };
+    }
+  }, [
+    format,
+    pixels,
+    width,
+    height,
+    svgMode,
+    svgScale,
+    icoSizes,
+    cssScale,
+    cFormat,
+    cName,
+    jsonLayout,
+  ]);
+
+  // The same snippet scoped to the preview element
+  const previewCss = useMemo(
+    () =>
+      format === "css"
+        ? toBoxShadow(pixels, width, height, {
+            scale: cssScale,
+            selector: `.${PREVIEW_CLASS}`,
+          })
+        : "",
+    [format, pixels, width, height, cssScale]
+  );
+
+  const size = output.text
+    ? new TextEncoder().encode(output.text).length
+    : (output.bytes?.length ?? 0);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(output.text);
+      setStatus("Copied to the clipboard.");
+    } catch {
+      setStatus("Couldn't reach the clipboard — use Download instead.");
+    }
+  };
+
+  const download = () => {
+    const name = format === "c" ? cIdentifier(cName) : "kwaxel";
+    downloadBlob(
+      new Blob([output.text ?? output.bytes], { type: spec.mime }),
+      `${name}_${width}x${height}.${spec.ext}`
+    );
+  };
+
+  const toggleIcoSize = (s) =>
+    setIcoSizes((sizes) =>
+      sizes.includes(s)
+        ? sizes.filter((v) => v !== s)
+        : ICO_SIZES.filter((v) => v === s || sizes.includes(v))
+    );
+
+  const scaleSelect = (value, setter) => (
+    <select
+      value={value}
+      onChange={(e) => setter(parseInt(e.target.value, 10))}
+    >
+      {[1, 2, 4, 8, 16].map((m) => (
+        <option key={m} value={m}>
+          ×{m}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="dialog-backdrop" onClick={onClose}>
+      <div
+        className="dialog"
+        role="dialog"
+        aria-label="Export"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="dialog-title">Export current frame</h2>
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="inline-flex items-center gap-2">
+            Format
+            <select
+              value={format}
+              onChange={(e) => {
+                setFormat(e.target.value);
+                setStatus(null);
+              }}
+            >
+              {EXPORT_FORMATS.map((f) => (
+                <option key={f.id} value={f.id}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {format === "svg" && (
+            <>
+              <label className="inline-flex items-center gap-2">
+                Shapes
+                <select
+                  value={svgMode}
+                  onChange={(e) => setSvgMode(e.target.value)}
+                >
+                  {SVG_MODES.map((m) => (
+                    <option key={m.id} value={m.id}>
+                      {m.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="inline-flex items-center gap-2">
+                Size
+                {scaleSelect(svgScale, setSvgScale)}
+              </label>
+            </>
+          )}
+          {format === "ico" &&
+            ICO_SIZES.map((s) => (
+              <label key={s} className="inline-flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={icoSizes.includes(s)}
+                  onChange={() => toggleIcoSize(s)}
+                />
+                {s}×{s}
+              </label>
+            ))}
+          {format === "css" && (
+            <label className="inline-flex items-center gap-2">
+              Pixel size
+              {scaleSelect(cssScale, setCssScale)}
+            </label>
+          )}
+          {format === "c" && (
+            <>
+              <label className="inline-flex items-center gap-2">
+                Pixels
+                <select
+                  value={cFormat}
+                  onChange={(e) => setCFormat(e.target.value)}
+                >
+                  {C_FORMATS.map((f) => (
+                    <option key={f.id} value={f.id}>
+                      {f.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="inline-flex items-center gap-2">
+                Name
+                <input
+                  value={cName}
+                  onChange={(e) => setCName(e.target.value)}
+                  className="num-input export-name"
+                  spellCheck={false}
+                />
+              </label>
+            </>
+          )}
+          {format === "json" && (
+            <label className="inline-flex items-center gap-2">
+              Layout
+              <select
+                value={jsonLayout}
+                onChange={(e) => setJsonLayout(e.target.value)}
+              >
+                {JSON_LAYOUTS.map((l) => (
+                  <option key={l.id} value={l.id}>
+                    {l.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+
+        {output.error ? (
+          <p className="text-sm muted">{output.error}</p>
+        ) : (
+          <>
+            {format === "svg" && (
+              <div className="sheet-preview export-preview">
+                <img
+                  src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(output.text)}`}
+                  alt="SVG preview"
+                />
+              </div>
+            )}
+            {format === "ico" && (
+              <div className="import-previews">
+                {icoSizes.map((s) => (
+                  <IconPreview
+                    key={s}
+                    pixels={pixels}
+                    width={width}
+                    height={height}
+                    size={s}
+                  />
+                ))}
+              </div>
+            )}
+            {format === "css" && (
+              <div className="sheet-preview export-preview">
+                <style>{previewCss}</style>
+                <div className={PREVIEW_CLASS} />
+              </div>
+            )}
+            {output.text && (
+              <textarea
+                className="export-code"
+                value={output.text}
+                readOnly
+                spellCheck={false}
+                aria-label={`${spec.label} code`}
+              />
+            )}
+          </>
+        )}
+        <span className="text-xs muted">
+          {status ?? `${width}×${height}px · ${size.toLocaleString()} bytes`}
+        </span>
+
+        <div className="flex items-center gap-2 dialog-actions">
+          <button onClick={onClose}>Close</button>
+          {output.text && <button onClick={copy}>Copy</button>}
+          <button onClick={download} disabled={!!output.error}>
+            Download .{spec.ext}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
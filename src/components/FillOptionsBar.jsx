@@ -0,0 +1,140 @@
+import React from "react";
+import { FILL_PATTERNS, GRADIENT_PATTERNS, MAX_TOLERANCE } from "../lib/fill";
+import { DITHER_METHODS } from "../lib/quantize";
+import ColorPicker from "./ColorPicker";
+
+/**
+ * Fill / magic wand options — tolerance, contiguous or global, 4- or
+ * 8-connectivity and, for the fill tool, the pattern with its settings.
+ */
+export default function FillOptionsBar({
+  options,
+  onChange,
+  showPatterns,
+  tile,
+  onCaptureTile,
+}) {
+  const { tolerance, contiguous, connectivity, pattern, secondary, mix } =
+    options;
+  const set = (patch) => onChange({ ...options, ...patch });
+  const gradient = GRADIENT_PATTERNS.includes(pattern);
+
+  return (
+    <div className="tool-options flex flex-wrap items-center gap-2 text-sm">
+      <label
+        className="inline-flex items-center gap-2"
+        title="How far each channel (alpha included) may differ from the clicked colour"
+      >
+        Tolerance
+        <input
+          type="range"
+          min={0}
+          max={MAX_TOLERANCE}
+          value={tolerance}
+          onChange={(e) => set({ tolerance: parseInt(e.target.value, 10) })}
+          aria-label="Tolerance"
+        />
+        <span className="tabular-nums text-xs">{tolerance}</span>
+      </label>
+      <label
+        className="inline-flex items-center gap-2"
+        title="Off: every matching pixel on the layer, connected or not"
+      >
+        <input
+          type="checkbox"
+          checked={contiguous}
+          onChange={(e) => set({ contiguous: e.target.checked })}
+        />
+        Contiguous
+      </label>
+      <select
+        value={connectivity}
+        onChange={(e) => set({ connectivity: parseInt(e.target.value, 10) })}
+        disabled={!contiguous}
+        aria-label="Connectivity"
+      >
+        <option value={4}>4-way</option>
+        <option value={8}>8-way (diagonals)</option>
+      </select>
+
+      {showPatterns && (
+        <>
+          <div className="h-6 w-px bg-gray-300 mx-2" />
+          <label className="inline-flex items-center gap-2">
+            Pattern
+            <select
+              value={pattern}
+              onChange={(e) => set({ pattern: e.target.value })}
+            >
+              {FILL_PATTERNS.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {pattern !== "solid" && pattern !== "tile" && (
+            <div className="inline-flex items-center gap-2">
+              {gradient ? "To" : "Second"}
+              <ColorPicker
+                value={secondary}
+                onChange={(hex) => set({ secondary: hex })}
+                label="Second fill colour"
+              />
+            </div>
+          )}
+          {pattern === "bayer" && (
+            <label className="inline-flex items-center gap-2">
+              Mix
+              <input
+                type="range"
+                min={0}
+                max={100}
+                step={6.25}
+                value={mix}
+                onChange={(e) => set({ mix: Math.round(e.target.value) })}
+                aria-label="Share of the second colour"
+              />
+              <span className="tabular-nums text-xs">{mix}%</span>
+            </label>
+          )}
+          {gradient && (
+            <>
+              <label className="inline-flex items-center gap-2">
+                Dither
+                <select
+                  value={options.dither}
+                  onChange={(e) => set({ dither: e.target.value })}
+                >
+                  {DITHER_METHODS.map((m) => (
+                    <option key={m.id} value={m.id}>
+                      {m.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <span className="text-xs muted">
+                Drag across the area to set the direction; snaps to the palette.
+              </span>
+            </>
+          )}
+          {pattern === "tile" && (
+            <>
+              <button
+                onClick={onCaptureTile}
+                title="Use the selection (or the whole layer) as the tile"
+              >
+                Capture tile
+              </button>
+              <span className="text-xs muted">
+                {tile
+                  ? `${tile.width}×${tile.height} tile`
+                  : "No tile yet — select something and capture it."}
+              </span>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
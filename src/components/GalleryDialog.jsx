@@ -0,0 +1,152 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  deleteDocument,
+  duplicateDocument,
+  listDocuments,
+  renameDocument,
+} from "../lib/storage";
+
+const formatDate = (ms) =>
+  new Date(ms).toLocaleString(undefined, {
+    dateStyle: "short",
+    timeStyle: "short",
+  });
+
+/**
+ * Gallery of locally saved kwaxels (IndexedDB). Opening a document is handed
+ * back to the editor via onOpen(record).
+ */
+export default function GalleryDialog({ currentId, onOpen, onNew, onClose }) {
+  const [docs, setDocs] = useState(null);
+  const [error, setError] = useState(null);
+  const [renamingId, setRenamingId] = useState(null);
+
+  const refresh = useCallback(() => {
+    listDocuments()
+      .then(setDocs)
+      .catch((err) => {
+        console.error(err);
+        setError("Local storage is unavailable in this browser.");
+        setDocs([]);
+      });
+  }, []);
+
+  useEffect(refresh, [refresh]);
+
+  const act = (promise) =>
+    promise.then(refresh).catch((err) => {
+      console.error(err);
+      setError("That didn't work — local storage may be full or unavailable.");
+    });
+
+  return (
+    <div className="dialog-backdrop" onClick={onClose}>
+      <div
+        className="dialog gallery"
+        role="dialog"
+        aria-label="Gallery"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="panel-header">
+          <h2 className="dialog-title">Gallery</h2>
+          <button onClick={onNew}>＋ New kwaxel</button>
+        </div>
+
+        {error && <div className="error-banner">{error}</div>}
+        {docs === null && <span className="text-sm muted">Loading…</span>}
+        {docs?.length === 0 && !error && (
+          <span className="text-sm muted">
+            Nothing saved yet — your work is saved here automatically as you
+            draw.
+          </span>
+        )}
+
+        <ul className="gallery-grid">
+          {docs?.map((d) => (
+            <li
+              key={d.id}
+              className={`gallery-item ${d.id === currentId ? "is-active" : ""}`}
+            >
+              <button
+                className="gallery-thumb"
+                onClick={() => onOpen(d)}
+                title={`Open ${d.name}`}
+              >
+                {d.thumbnail && <img src={d.thumbnail} alt="" />}
+              </button>
+              {renamingId === d.id ? (
+                <input
+                  autoFocus
+                  defaultValue={d.name}
+                  className="layer-name-input"
+                  onBlur={(e) => {
+                    const name = e.target.value.trim();
+                    setRenamingId(null);
+                    if (name && name !== d.name)
+                      act(renameDocument(d.id, name));
+                  }}
+                  onKeyDown={(e) => {
+                    e.stopPropagation();
+                    if (e.key === "Enter") e.currentTarget.blur();
+                    else if (e.key === "Escape") setRenamingId(null);
+                  }}
+                />
+              ) : (
+                <span
+                  className="layer-name text-sm"
+                  onDoubleClick={() => setRenamingId(d.id)}
+                  title="Double-click to rename"
+                >
+                  {d.name}
+                </span>
+              )}
+              <span className="text-xs muted">
+                {d.width}×{d.height} · {formatDate(d.updatedAt)}
+              </span>
+              <div className="flex items-center gap-1">
+                <button
+                  className="icon-btn"
+                  onClick={() => setRenamingId(d.id)}
+                  title="Rename"
+                >
+                  ✎
+                </button>
+                <button
+                  className="icon-btn"
+                  onClick={() => act(duplicateDocument(d.id))}
+                  title="Duplicate"
+                >
+                  ⧉
+                </button>
+                <button
+                  className="icon-btn"
+                  disabled={d.id === currentId}
+                  onClick={() => {
+                    if (
+                      window.confirm(
+                        `Delete "${d.name}"? This can't be undone.`
+                      )
+                    ) {
+                      act(deleteDocument(d.id));
+                    }
+                  }}
+                  title={
+                    d.id === currentId
+                      ? "Can't delete the open document"
+                      : "Delete"
+                  }
+                >
+                  🗑
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex items-center gap-2 dialog-actions">
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
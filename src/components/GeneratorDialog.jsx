@@ -0,0 +1,171 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { pixelsToImageData } from "../lib/canvas";
+import {
+  GENERATOR_TEMPLATES,
+  MAX_GENERATOR_COLORS,
+  MIN_GENERATOR_COLORS,
+  formatGeneratorCode,
+  generateSprite,
+  parseGeneratorCode,
+  randomSeed,
+} from "../lib/generator";
+
+const PREVIEW_PX = 256; // CSS px, longest side
+
+/**
+ * Procedural kwaxel — template, seed, density, colour count and symmetry with
+ * a live preview at the canvas size. The generator code carries the seed and
+ * every setting, so pasting a shared code regenerates the same sprite.
+ * onApply(pixels, settings) gets a width×height buffer.
+ */
+export default function GeneratorDialog({
+  settings: initial,
+  width,
+  height,
+  palette,
+  onApply,
+  onClose,
+}) {
+  const [settings, setSettings] = useState(initial);
+  const [codeDraft, setCodeDraft] = useState(null);
+  const previewRef = useRef(null);
+  const set = (patch) => {
+    setSettings((s) => ({ ...s, ...patch }));
+    setCodeDraft(null);
+  };
+
+  const result = useMemo(
+    () => generateSprite(width, height, settings, palette.colors),
+    [width, height, settings, palette]
+  );
+  const code = formatGeneratorCode(settings);
+
+  useEffect(() => {
+    const c = previewRef.current;
+    c.width = width;
+    c.height = height;
+    c.getContext("2d").putImageData(
+      pixelsToImageData(result, width, height),
+      0,
+      0
+    );
+  }, [result, width, height]);
+
+  const k = PREVIEW_PX / Math.max(width, height);
+  const slider = (key, label, min, max, suffix = "") => (
+    <label className="inline-flex items-center gap-2">
+      {label}
+      <input
+        type="range"
+        min={min}
+        max={max}
+        value={settings[key]}
+        onChange={(e) => set({ [key]: parseInt(e.target.value, 10) })}
+      />
+      <span className="tabular-nums text-xs">
+        {settings[key]}
+        {suffix}
+      </span>
+    </label>
+  );
+
+  return (
+    <div className="dialog-backdrop" onClick={onClose}>
+      <div
+        className="dialog"
+        role="dialog"
+        aria-label="Generate kwaxel"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => e.stopPropagation()}
+      >
+        <h2 className="dialog-title">Generate kwaxel</h2>
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="inline-flex items-center gap-2">
+            Template
+            <select
+              value={settings.template}
+              onChange={(e) => set({ template: e.target.value })}
+            >
+              {GENERATOR_TEMPLATES.map((t) => (
+                <option key={t.id} value={t.id}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="inline-flex items-center gap-2">
+            Seed
+            <input
+              value={settings.seed}
+              onChange={(e) => set({ seed: e.target.value })}
+              className="num-input export-name"
+              spellCheck={false}
+            />
+          </label>
+          <button onClick={() => set({ seed: randomSeed() })} title="New seed">
+            🎲
+          </button>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          {slider("density", "Density", 0, 100, "%")}
+          {slider("symmetry", "Symmetry", 0, 100, "%")}
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          {slider(
+            "colors",
+            "Colours",
+            MIN_GENERATOR_COLORS,
+            MAX_GENERATOR_COLORS
+          )}
+          <label className="inline-flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={settings.outline}
+              onChange={(e) => set({ outline: e.target.checked })}
+            />
+            Outline
+          </label>
+        </div>
+
+        <div className="import-previews">
+          <figure>
+            <div className="sheet-preview">
+              <canvas
+                ref={previewRef}
+                style={{ width: `${width * k}px`, height: `${height * k}px` }}
+              />
+            </div>
+            <figcaption className="text-xs muted">
+              {width}×{height} · colours from “{palette.name}”
+            </figcaption>
+          </figure>
+        </div>
+
+        <label className="flex items-center gap-2 text-sm">
+          Code
+          <input
+            value={codeDraft ?? code}
+            onChange={(e) => {
+              setCodeDraft(e.target.value);
+              const parsed = parseGeneratorCode(e.target.value);
+              if (parsed) setSettings(parsed);
+            }}
+            onBlur={() => setCodeDraft(null)}
+            onFocus={(e) => e.target.select()}
+            className="num-input generator-code"
+            spellCheck={false}
+            title="Share this code — pasting it back gives the same sprite"
+          />
+        </label>
+
+        <div className="flex items-center gap-2 dialog-actions">
+          <button onClick={onClose}>Cancel</button>
+          <button onClick={() => onApply(result, settings)}>
+            Add as layer
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
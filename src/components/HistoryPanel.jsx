@@ -0,0 +1,49 @@
+import React, { useMemo, useState } from "react";
+
+/**
+ * History panel — every recorded action, oldest first, after the starting
+ * state. Click a row to jump there (later rows stay redoable until the next
+ * edit); hovering shows a thumbnail of the canvas at that point.
+ * thumbnailAt(index) returns an image URL for history position `index`.
+ */
+export default function HistoryPanel({ entries, index, onJump, thumbnailAt }) {
+  const [hovered, setHovered] = useState(null);
+  const thumbnail = useMemo(
+    () => (hovered === null ? null : thumbnailAt(hovered)),
+    [hovered, thumbnailAt]
+  );
+
+  const row = (label, at) => (
+    <li
+      key={at}
+      className={`layer-row history-row ${at === index ? "is-active" : ""} ${
+        at > index ? "is-undone" : ""
+      }`}
+      onClick={() => onJump(at)}
+      onMouseEnter={() => setHovered(at)}
+      onMouseLeave={() => setHovered(null)}
+    >
+      <span className="layer-name">{label}</span>
+    </li>
+  );
+
+  return (
+    <div className="panel">
+      <div className="panel-header">
+        <span>History</span>
+        <span className="text-xs muted tabular-nums">
+          {index}/{entries.length}
+        </span>
+      </div>
+      <ul className="layer-list">
+        {row("Start", 0)}
+        {entries.map((e, i) => row(e.label, i + 1))}
+      </ul>
+      {thumbnail && (
+        <div className="history-thumb">
+          <img src={thumbnail} alt="" />
+        </div>
+      )}
+    </div>
+  );
+}
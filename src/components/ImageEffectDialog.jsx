@@ -0,0 +1,159 @@
+import React, { useState } from "react";
+import { argbToCss, hexToArgb } from "../lib/color";
+import { OUTLINE_MODES } from "../lib/transform";
+
+const TITLES = {
+  offset: "Offset",
+  outline: "Auto-outline",
+  shadow: "Drop shadow",
+};
+
+/**
+ * Parameters for the Image menu's offset / outline / drop shadow.
+ * onApply({ kind, ...params }); outlines use the current colour.
+ */
+export default function ImageEffectDialog({
+  kind,
+  width,
+  height,
+  color,
+  onApply,
+  onClose,
+}) {
+  const [dx, setDx] = useState(kind === "offset" ? Math.floor(width / 2) : 1);
+  const [dy, setDy] = useState(kind === "offset" ? Math.floor(height / 2) : 1);
+  const [wrap, setWrap] = useState(true);
+  const [mode, setMode] = useState("outside");
+  const [connectivity, setConnectivity] = useState(4);
+  const [shadowColor, setShadowColor] = useState("#000000");
+  const [opacity, setOpacity] = useState(50);
+
+  const int = (setter) => (e) => {
+    const v = parseInt(e.target.value, 10);
+    if (Number.isInteger(v)) setter(v);
+  };
+
+  const apply = () => {
+    if (kind === "offset") onApply({ kind, dx, dy, wrap });
+    else if (kind === "outline") onApply({ kind, mode, connectivity });
+    else onApply({ kind, dx, dy, color: shadowColor, opacity: opacity / 100 });
+  };
+
+  return (
+    <div className="dialog-backdrop" onClick={onClose}>
+      <div
+        className="dialog"
+        role="dialog"
+        aria-label={TITLES[kind]}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="dialog-title">{TITLES[kind]}</h2>
+
+        {kind !== "outline" && (
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <label className="inline-flex items-center gap-2">
+              X
+              <input
+                type="number"
+                value={dx}
+                onChange={int(setDx)}
+                className="num-input"
+              />
+            </label>
+            <label className="inline-flex items-center gap-2">
+              Y
+              <input
+                type="number"
+                value={dy}
+                onChange={int(setDy)}
+                className="num-input"
+              />
+            </label>
+            {kind === "offset" && (
+              <>
+                <button
+                  onClick={() => {
+                    setDx(Math.floor(width / 2));
+                    setDy(Math.floor(height / 2));
+                  }}
+                  title="Shift by half the canvas to check tile seams"
+                >
+                  Half
+                </button>
+                <label className="inline-flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={wrap}
+                    onChange={(e) => setWrap(e.target.checked)}
+                  />
+                  Wrap around
+                </label>
+              </>
+            )}
+          </div>
+        )}
+
+        {kind === "outline" && (
+          <div className="flex flex-wrap items-center gap-4 text-sm">
+            {OUTLINE_MODES.map((m) => (
+              <label key={m} className="inline-flex items-center gap-2">
+                <input
+                  type="radio"
+                  checked={mode === m}
+                  onChange={() => setMode(m)}
+                />
+                {m === "outside" ? "Outside" : "Inside"}
+              </label>
+            ))}
+            <label className="inline-flex items-center gap-2">
+              Connectivity
+              <select
+                value={connectivity}
+                onChange={(e) => setConnectivity(parseInt(e.target.value, 10))}
+              >
+                <option value={4}>4 (sides)</option>
+                <option value={8}>8 (with corners)</option>
+              </select>
+            </label>
+            <span className="inline-flex items-center gap-2 text-xs muted">
+              Colour
+              <span
+                className="swatch"
+                style={{ background: argbToCss(hexToArgb(color)) }}
+              />
+            </span>
+          </div>
+        )}
+
+        {kind === "shadow" && (
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <label className="inline-flex items-center gap-2">
+              Colour
+              <input
+                type="color"
+                value={shadowColor}
+                onChange={(e) => setShadowColor(e.target.value)}
+              />
+            </label>
+            <label className="inline-flex items-center gap-2">
+              Opacity
+              <input
+                type="range"
+                min={5}
+                max={100}
+                value={opacity}
+                onChange={(e) => setOpacity(parseInt(e.target.value, 10))}
+              />
+              <span className="tabular-nums text-xs">{opacity}%</span>
+            </label>
+          </div>
+        )}
+
+        <div className="flex items-center gap-2 dialog-actions">
+          <button onClick={onClose}>Cancel</button>
+          <button onClick={apply}>Apply</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { pixelsToImageData } from "../lib/canvas";
+import { hexToArgb } from "../lib/color";
+import {
+  DITHER_METHODS,
+  FIT_MODES,
+  REDUCE_METHODS,
+  RESAMPLE_METHODS,
+  processImport,
+} from "../lib/quantize";
+
+const PREVIEW_PX = 256; // CSS px, longest side
+
+const paint = (canvas, pixels, w, h) => {
+  canvas.width = w;
+  canvas.height = h;
+  canvas.getContext("2d").putImageData(pixelsToImageData(pixels, w, h), 0, 0);
+};
+
+/**
+ * Image import — fit mode, resampling, colour reduction and dithering with a
+ * live preview of the result at the canvas size.
+ * source: { pixels, width, height, name }; onApply(pixels) gets a width×height buffer.
+ */
+export default function ImportDialog({
+  source,
+  width,
+  height,
+  palette,
+  paletteLocked,
+  onApply,
+  onClose,
+}) {
+  const [fit, setFit] = useState("fit");
+  const [resample, setResample] = useState("nearest");
+  const [reduce, setReduce] = useState(paletteLocked ? "palette" : "none");
+  const [colors, setColors] = useState(16);
+  const [dither, setDither] = useState("none");
+  const originalRef = useRef(null);
+  const resultRef = useRef(null);
+
+  const paletteArgb = useMemo(
+    () => palette.colors.map((c) => hexToArgb(c) >>> 0),
+    [palette]
+  );
+  const result = useMemo(
+    () =>
+      processImport(source.pixels, source.width, source.height, width, height, {
+        fit,
+        resample,
+        reduce,
+        colors,
+        palette: paletteArgb,
+        dither,
+      }),
+    [source, width, height, fit, resample, reduce, colors, paletteArgb, dither]
+  );
+
+  useEffect(() => {
+    paint(originalRef.current, source.pixels, source.width, source.height);
+  }, [source]);
+  useEffect(() => {
+    paint(resultRef.current, result, width, height);
+  }, [result, width, height]);
+
+  const fitBox = (w, h) => {
+    const k = PREVIEW_PX / Math.max(w, h);
+    return { width: `${w * k}px`, height: `${h * k}px` };
+  };
+
+  return (
+    <div className="dialog-backdrop" onClick={onClose}>
+      <div
+        className="dialog"
+        role="dialog"
+        aria-label="Import image"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="dialog-title">Import “{source.name}”</h2>
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="inline-flex items-center gap-2">
+            Fit
+            <select value={fit} onChange={(e) => setFit(e.target.value)}>
+              {FIT_MODES.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="inline-flex items-center gap-2">
+            Resample
+            <select
+              value={resample}
+              onChange={(e) => setResample(e.target.value)}
+            >
+              {RESAMPLE_METHODS.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="inline-flex items-center gap-2">
+            Colours
+            <select value={reduce} onChange={(e) => setReduce(e.target.value)}>
+              {REDUCE_METHODS.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.id === "palette"
+                    ? `${m.label} (${palette.colors.length})`
+                    : m.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {(reduce === "median-cut" || reduce === "kmeans") && (
+            <label className="inline-flex items-center gap-2">
+              Count
+              <input
+                type="number"
+                min={2}
+                max={256}
+                value={colors}
+                onChange={(e) => {
+                  const v = parseInt(e.target.value, 10);
+                  if (Number.isInteger(v) && v >= 2 && v <= 256) setColors(v);
+                }}
+                className="num-input"
+              />
+            </label>
+          )}
+          <label className="inline-flex items-center gap-2">
+            Dither
+            <select
+              value={dither}
+              disabled={reduce === "none"}
+              onChange={(e) => setDither(e.target.value)}
+            >
+              {DITHER_METHODS.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="import-previews">
+          <figure>
+            <div className="sheet-preview">
+              <canvas
+                ref={originalRef}
+                className="smooth"
+                style={fitBox(source.width, source.height)}
+              />
+            </div>
+            <figcaption className="text-xs muted">
+              Original · {source.width}×{source.height}
+            </figcaption>
+          </figure>
+          <figure>
+            <div className="sheet-preview">
+              <canvas ref={resultRef} style={fitBox(width, height)} />
+            </div>
+            <figcaption className="text-xs muted">
+              Result · {width}×{height}
+            </figcaption>
+          </figure>
+        </div>
+
+        <div className="flex items-center gap-2 dialog-actions">
+          <button onClick={onClose}>Cancel</button>
+          <button onClick={() => onApply(result)}>Import as new layer</button>
+        </div>
+      </div>
+    </div>
+  );
+}
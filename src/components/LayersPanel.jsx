@@ -0,0 +1,174 @@
+import React, { useState } from "react";
+import { canMergeDown } from "../lib/document";
+import { BLEND_MODES } from "../lib/layers";
+
+/**
+ * Layers panel — listed top → bottom (reverse of storage order).
+ * onUpdate(id, patch) changes layer props; onBeginEdit() is called once before
+ * a continuous edit (opacity drag) so it lands as a single undo step.
+ */
+export default function LayersPanel({
+  layers,
+  activeId,
+  onSelect,
+  onAdd,
+  onDelete,
+  onDuplicate,
+  onMove,
+  onUpdate,
+  onBeginEdit,
+  onMergeDown,
+  onFlatten,
+}) {
+  const [renamingId, setRenamingId] = useState(null);
+  const active = layers.find((l) => l.id === activeId);
+  const activeIndex = layers.indexOf(active);
+
+  return (
+    <div className="panel layers-panel">
+      <div className="panel-header">
+        <span>Layers</span>
+        <div className="flex items-center gap-1">
+          <button onClick={onAdd} title="New layer">
+            ＋
+          </button>
+          <button onClick={onDuplicate} title="Duplicate layer">
+            ⧉
+          </button>
+          <button
+            onClick={onDelete}
+            disabled={layers.length <= 1}
+            title="Delete layer"
+          >
+            🗑
+          </button>
+        </div>
+      </div>
+
+      <ul className="layer-list">
+        {[...layers].reverse().map((layer) => (
+          <li
+            key={layer.id}
+            className={`layer-row ${layer.id === activeId ? "is-active" : ""}`}
+            onClick={() => onSelect(layer.id)}
+          >
+            <button
+              className="icon-btn"
+              onClick={(e) => {
+                e.stopPropagation();
+                onUpdate(layer.id, { visible: !layer.visible });
+              }}
+              title={layer.visible ? "Hide layer" : "Show layer"}
+              aria-pressed={layer.visible}
+            >
+              {layer.visible ? "👁" : "—"}
+            </button>
+            <button
+              className="icon-btn"
+              onClick={(e) => {
+                e.stopPropagation();
+                onUpdate(layer.id, { locked: !layer.locked });
+              }}
+              title={layer.locked ? "Unlock layer" : "Lock layer"}
+              aria-pressed={layer.locked}
+            >
+              {layer.locked ? "🔒" : "🔓"}
+            </button>
+            {renamingId === layer.id ? (
+              <input
+                autoFocus
+                defaultValue={layer.name}
+                className="layer-name-input"
+                onClick={(e) => e.stopPropagation()}
+                onBlur={(e) => {
+                  const name = e.target.value.trim();
+                  if (name && name !== layer.name) onUpdate(layer.id, { name });
+                  setRenamingId(null);
+                }}
+                onKeyDown={(e) => {
+                  e.stopPropagation();
+                  if (e.key === "Enter") e.currentTarget.blur();
+                  else if (e.key === "Escape") setRenamingId(null);
+                }}
+              />
+            ) : (
+              <span
+                className="layer-name"
+                onDoubleClick={() => setRenamingId(layer.id)}
+                title="Double-click to rename"
+              >
+                {layer.name}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {active && (
+        <div className="flex flex-col gap-2 text-sm">
+          <label className="inline-flex items-center gap-2">
+            Opacity
+            <input
+              type="range"
+              min={0}
+              max={100}
+              value={Math.round(active.opacity * 100)}
+              onPointerDown={onBeginEdit}
+              onChange={(e) =>
+                onUpdate(
+                  active.id,
+                  { opacity: parseInt(e.target.value, 10) / 100 },
+                  false
+                )
+              }
+              aria-label="Layer opacity"
+            />
+            <span className="tabular-nums text-xs">
+              {Math.round(active.opacity * 100)}%
+            </span>
+          </label>
+          <label className="inline-flex items-center gap-2">
+            Blend
+            <select
+              value={active.blend}
+              onChange={(e) => onUpdate(active.id, { blend: e.target.value })}
+              aria-label="Blend mode"
+            >
+              {BLEND_MODES.map((m) => (
+                <option key={m} value={m}>
+                  {m}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div className="flex flex-wrap items-center gap-1">
+            <button
+              onClick={() => onMove(active.id, 1)}
+              disabled={activeIndex >= layers.length - 1}
+              title="Move layer up"
+            >
+              ▲
+            </button>
+            <button
+              onClick={() => onMove(active.id, -1)}
+              disabled={activeIndex <= 0}
+              title="Move layer down"
+            >
+              ▼
+            </button>
+            <button
+              onClick={onMergeDown}
+              disabled={!canMergeDown(layers, active.id)}
+              title="Merge into the layer below (both must be visible)"
+            >
+              Merge down
+            </button>
+            <button onClick={onFlatten} disabled={layers.length <= 1}>
+              Flatten
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,254 @@
+import React, { useRef, useState } from "react";
+import { downloadBlob } from "../lib/canvas";
+import { argbToCss, argbToHex, hexToArgb } from "../lib/color";
+import {
+  MAX_PALETTE_COLORS,
+  PALETTE_FORMATS,
+  PaletteFormatError,
+  formatPalette,
+  parsePalette,
+  sortByHue,
+  sortByLuminance,
+} from "../lib/palette";
+import RampDialog from "./RampDialog";
+
+const sameColor = (a, b) => hexToArgb(a) >>> 0 === hexToArgb(b) >>> 0;
+
+/**
+ * Palette editor — swatches (click to pick, drag to reorder), sorting,
+ * .gpl/.pal/.txt/.hex import & export, a shading ramp generator, lock-to-palette
+ * and the used-colours list with global replace.
+ */
+export default function PalettePanel({
+  palette,
+  onChange,
+  color,
+  onPickColor,
+  locked,
+  onLockedChange,
+  used,
+  onReplaceColor,
+  onError,
+}) {
+  const [selected, setSelected] = useState(null);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [exportFormat, setExportFormat] = useState("gpl");
+  const [replaceFrom, setReplaceFrom] = useState(null);
+  const [rampOpen, setRampOpen] = useState(false);
+  const fileRef = useRef(null);
+  const { colors } = palette;
+
+  const setColors = (next) => onChange({ ...palette, colors: next });
+
+  const addColor = () => {
+    if (colors.length >= MAX_PALETTE_COLORS) return;
+    if (colors.some((c) => sameColor(c, color))) return;
+    setColors([...colors, color]);
+    setSelected(colors.length);
+  };
+  const updateSelected = () => {
+    if (selected === null) return;
+    setColors(colors.map((c, i) => (i === selected ? color : c)));
+  };
+  const removeSelected = () => {
+    if (selected === null) return;
+    setColors(colors.filter((_, i) => i !== selected));
+    setSelected(null);
+  };
+  /** Append a ramp, skipping colours already present, up to the size limit */
+  const addRamp = (ramp) => {
+    const fresh = ramp.filter(
+      (c, i) =>
+        !colors.some((p) => sameColor(p, c)) &&
+        !ramp.slice(0, i).some((p) => sameColor(p, c))
+    );
+    setColors(
+      [...colors, ...fresh].slice(
+        0,
+        Math.max(MAX_PALETTE_COLORS, colors.length)
+      )
+    );
+    setRampOpen(false);
+  };
+  const moveColor = (from, to) => {
+    if (from === to) return;
+    const next = [...colors];
+    const [c] = next.splice(from, 1);
+    next.splice(to, 0, c);
+    setColors(next);
+    setSelected(to);
+  };
+
+  const importPalette = async (file) => {
+    try {
+      onChange(parsePalette(await file.text(), file.name));
+      setSelected(null);
+    } catch (err) {
+      onError(
+        err instanceof PaletteFormatError
+          ? `Couldn't import "${file.name}": ${err.message}.`
+          : `Couldn't import "${file.name}".`
+      );
+    }
+  };
+  const exportPalette = () => {
+    const fmt = PALETTE_FORMATS.find((f) => f.id === exportFormat);
+    const safeName = palette.name.replace(/[^\w-]+/g, "_") || "palette";
+    downloadBlob(
+      new Blob([formatPalette(palette, fmt.id)], { type: "text/plain" }),
+      `${safeName}.${fmt.ext}`
+    );
+  };
+
+  return (
+    <div className="panel palette-panel">
+      <div className="panel-header">
+        <input
+          className="palette-name"
+          value={palette.name}
+          onChange={(e) => onChange({ ...palette, name: e.target.value })}
+          onKeyDown={(e) => e.stopPropagation()}
+          aria-label="Palette name"
+        />
+        <span className="text-xs muted tabular-nums">{colors.length}</span>
+      </div>
+
+      <div className="swatch-grid">
+        {colors.map((sw, i) => (
+          <button
+            key={`${sw}-${i}`}
+            className={`swatch ${i === selected ? "is-selected" : ""} ${
+              sameColor(sw, color) ? "is-current" : ""
+            }`}
+            style={{ background: argbToCss(hexToArgb(sw)) }}
+            draggable
+            onDragStart={() => setDragIndex(i)}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={() => {
+              if (dragIndex !== null) moveColor(dragIndex, i);
+              setDragIndex(null);
+            }}
+            onClick={() => {
+              setSelected(i);
+              onPickColor(sw);
+            }}
+            aria-label={`Set color ${sw}`}
+            title={sw}
+          />
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-1">
+        <button onClick={addColor} title="Add current colour">
+          ＋
+        </button>
+        <button
+          onClick={updateSelected}
+          disabled={selected === null}
+          title="Set selected swatch to current colour"
+        >
+          ⟲
+        </button>
+        <button
+          onClick={removeSelected}
+          disabled={selected === null}
+          title="Remove selected swatch"
+        >
+          🗑
+        </button>
+        <button
+          onClick={() => setColors(sortByHue(colors))}
+          title="Sort by hue"
+        >
+          Hue
+        </button>
+        <button
+          onClick={() => setColors(sortByLuminance(colors))}
+          title="Sort by luminance"
+        >
+          Luma
+        </button>
+        <button
+          onClick={() => setRampOpen(true)}
+          title="Generate a shading ramp from the current colour"
+        >
+          Ramp…
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-1">
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".gpl,.pal,.txt,.hex"
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files?.[0]) importPalette(e.target.files[0]);
+            e.target.value = "";
+          }}
+        />
+        <button onClick={() => fileRef.current?.click()}>Import</button>
+        <select
+          value={exportFormat}
+          onChange={(e) => setExportFormat(e.target.value)}
+          aria-label="Palette export format"
+        >
+          {PALETTE_FORMATS.map((f) => (
+            <option key={f.id} value={f.id}>
+              {f.label}
+            </option>
+          ))}
+        </select>
+        <button onClick={exportPalette}>Export</button>
+      </div>
+
+      <label className="inline-flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={locked}
+          onChange={(e) => onLockedChange(e.target.checked)}
+        />
+        Lock to palette
+      </label>
+
+      <div className="panel-header">
+        <span>Used colours</span>
+        <span className="text-xs muted tabular-nums">{used.length}</span>
+      </div>
+      <div className="swatch-grid">
+        {used.map(({ argb, count }) => {
+          const hex = argbToHex(argb);
+          return (
+            <button
+              key={argb}
+              className={`swatch ${argb === replaceFrom ? "is-selected" : ""}`}
+              style={{ background: argbToCss(argb) }}
+              onClick={() => setReplaceFrom(argb)}
+              title={`${hex} · ${count} px`}
+              aria-label={`Used color ${hex}`}
+            />
+          );
+        })}
+      </div>
+      <button
+        disabled={
+          replaceFrom === null || used.every((u) => u.argb !== replaceFrom)
+        }
+        onClick={() => {
+          onReplaceColor(replaceFrom, color);
+          setReplaceFrom(null);
+        }}
+        title="Replace the selected used colour everywhere with the current colour"
+      >
+        Replace selected with current
+      </button>
+      {rampOpen && (
+        <RampDialog
+          base={color}
+          onAdd={addRamp}
+          onClose={() => setRampOpen(false)}
+        />
+      )}
+    </div>
+  );
+}
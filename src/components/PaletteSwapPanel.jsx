@@ -0,0 +1,209 @@
+import React, { useMemo, useState } from "react";
+import { downloadBlob } from "../lib/canvas";
+import { argbToCss, argbToHex, hexToArgb } from "../lib/color";
+import {
+  createSwapVariant,
+  swapColors,
+  swapStrip,
+  usedColors,
+} from "../lib/palette";
+import { createZip } from "../lib/zip";
+import ColorPicker from "./ColorPicker";
+import PixelThumb from "./PixelThumb";
+
+const SCALES = [1, 2, 4, 8];
+
+/**
+ * Palette swaps — named recolour variants of the current frame, each a table
+ * of source colour → target colour. Previews are recomputed from `pixels`, so
+ * edits to the base sprite show up in every variant. Exports all of them as
+ * separate PNGs (one ZIP) or as one strip, through the editor's scaled PNG
+ * encoder toPng(pixels, w, h, mult).
+ */
+export default function PaletteSwapPanel({
+  pixels,
+  width,
+  height,
+  variants,
+  onChange,
+  toPng,
+}) {
+  const [activeId, setActiveId] = useState(null);
+  const [scale, setScale] = useState(4);
+  const [withBase, setWithBase] = useState(true);
+  const active = variants.find((v) => v.id === activeId) ?? null;
+
+  const sources = useMemo(
+    () => usedColors([pixels]).map(({ argb }) => argbToHex(argb)),
+    [pixels]
+  );
+  const swapped = useMemo(
+    () => variants.map((v) => swapColors(pixels, v.map)),
+    [pixels, variants]
+  );
+
+  const patch = (id, p) =>
+    onChange(variants.map((v) => (v.id === id ? { ...v, ...p } : v)));
+  const add = (from) => {
+    const v = createSwapVariant({
+      name: from ? `${from.name} copy` : `Variant ${variants.length + 1}`,
+      map: from ? { ...from.map } : {},
+    });
+    onChange([...variants, v]);
+    setActiveId(v.id);
+  };
+  const setTarget = (source, hex) => {
+    const map = { ...active.map };
+    if (hex === source) delete map[source];
+    else map[source] = hex;
+    patch(active.id, { map });
+  };
+
+  const outputs = () => [
+    ...(withBase ? [{ name: "base", pixels }] : []),
+    ...variants.map((v, i) => ({ name: v.name, pixels: swapped[i] })),
+  ];
+  const exportPngs = () => {
+    const files = outputs().map((o, i) => ({
+      name: `${i + 1}_${o.name.replace(/[^\w-]+/g, "_")}.png`,
+      data: toPng(o.pixels, width, height, scale),
+    }));
+    downloadBlob(
+      new Blob([createZip(files)], { type: "application/zip" }),
+      `kwaxel_swaps_${width}x${height}_x${scale}.zip`
+    );
+  };
+  const exportStrip = () => {
+    const strip = swapStrip(
+      outputs().map((o) => o.pixels),
+      width,
+      height
+    );
+    downloadBlob(
+      new Blob([toPng(strip.pixels, strip.width, strip.height, scale)], {
+        type: "image/png",
+      }),
+      `kwaxel_swaps_${width}x${height}_x${scale}.png`
+    );
+  };
+
+  return (
+    <div className="panel">
+      <div className="panel-header">
+        <span>Palette swaps</span>
+        <button onClick={() => add(null)} title="New variant">
+          +
+        </button>
+      </div>
+
+      <div className="swap-previews">
+        <figure
+          className={active ? "" : "is-active"}
+          onClick={() => setActiveId(null)}
+        >
+          <PixelThumb pixels={pixels} w={width} h={height} size={48} />
+          <figcaption className="text-xs muted">Base</figcaption>
+        </figure>
+        {variants.map((v, i) => (
+          <figure
+            key={v.id}
+            className={v.id === activeId ? "is-active" : ""}
+            onClick={() => setActiveId(v.id)}
+          >
+            <PixelThumb pixels={swapped[i]} w={width} h={height} size={48} />
+            <figcaption className="text-xs muted">{v.name}</figcaption>
+          </figure>
+        ))}
+      </div>
+
+      {active ? (
+        <>
+          <div className="flex items-center gap-1 text-sm">
+            <input
+              value={active.name}
+              onChange={(e) => patch(active.id, { name: e.target.value })}
+              onKeyDown={(e) => e.stopPropagation()}
+              className="num-input layer-name-input"
+              aria-label="Variant name"
+            />
+            <button onClick={() => add(active)} title="Duplicate variant">
+              ⧉
+            </button>
+            <button
+              onClick={() => {
+                onChange(variants.filter((v) => v !== active));
+                setActiveId(null);
+              }}
+              title="Delete variant"
+            >
+              ✕
+            </button>
+          </div>
+          <ul className="swap-table text-sm">
+            {sources.map((source) => (
+              <li key={source} className="flex items-center gap-2">
+                <span className="picker-swatch checker-bg" title={source}>
+                  <span style={{ background: argbToCss(hexToArgb(source)) }} />
+                </span>
+                →
+                <ColorPicker
+                  value={active.map[source] ?? source}
+                  onChange={(hex) => setTarget(source, hex)}
+                  label={`Replacement for ${source}`}
+                />
+                {active.map[source] && (
+                  <button
+                    className="icon-btn"
+                    onClick={() => setTarget(source, source)}
+                    title="Keep the source colour"
+                  >
+                    ↺
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          {!sources.length && (
+            <p className="text-xs muted">The frame has no colours yet.</p>
+          )}
+        </>
+      ) : (
+        <p className="text-xs muted">
+          {variants.length
+            ? "Pick a variant to edit its colour mapping."
+            : "Add a variant, then map the sprite's colours to new ones."}
+        </p>
+      )}
+
+      {variants.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1 text-sm">
+          <select
+            value={scale}
+            onChange={(e) => setScale(parseInt(e.target.value, 10))}
+            aria-label="Export scale"
+          >
+            {SCALES.map((s) => (
+              <option key={s} value={s}>
+                ×{s}
+              </option>
+            ))}
+          </select>
+          <label className="inline-flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={withBase}
+              onChange={(e) => setWithBase(e.target.checked)}
+            />
+            Base
+          </label>
+          <button onClick={exportPngs} title="Each variant as its own PNG">
+            PNGs (ZIP)
+          </button>
+          <button onClick={exportStrip} title="All variants side by side">
+            Strip
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import React, { useEffect, useRef } from "react";
+import { pixelsToImageData } from "../lib/canvas";
+
+/** A w×h buffer drawn on a small canvas, `size` CSS px on its longest side */
+export default function PixelThumb({
+  pixels,
+  w,
+  h,
+  size = 32,
+  className = "",
+}) {
+  const ref = useRef(null);
+  useEffect(() => {
+    const c = ref.current;
+    c.width = w;
+    c.height = h;
+    c.getContext("2d").putImageData(pixelsToImageData(pixels, w, h), 0, 0);
+  }, [pixels, w, h]);
+  const k = size / Math.max(w, h);
+  return (
+    <canvas
+      ref={ref}
+      className={`frame-thumb checker-bg ${className}`}
+      style={{ width: `${w * k}px`, height: `${h * k}px` }}
+    />
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { compositeFrame } from "../lib/document";
+import PixelThumb from "./PixelThumb";
+
+const ZOOMS = [1, 2, 4];
+
+/**
+ * Floating preview — the sprite at 1×, 2× and 4× while you paint, playing
+ * the animation on its own loop when there are several frames (or showing
+ * the frame being edited). Drag the header to move it.
+ */
+export default function PreviewPane({ doc, frameIndex, onClose }) {
+  const [animate, setAnimate] = useState(true);
+  const [shown, setShown] = useState(0);
+  const [pos, setPos] = useState(null); // { x, y } once dragged; else bottom-right
+  const dragRef = useRef(null);
+  const { width: w, height: h, frames } = doc;
+
+  const composites = useMemo(
+    () => doc.frames.map((_, i) => compositeFrame(doc, i)),
+    [doc]
+  );
+  const playing = animate && frames.length > 1;
+  const index = playing ? shown % frames.length : frameIndex;
+
+  useEffect(() => {
+    if (!playing) return;
+    const t = setTimeout(
+      () => setShown((i) => (i + 1) % frames.length),
+      frames[shown % frames.length].duration
+    );
+    return () => clearTimeout(t);
+  }, [playing, shown, frames]);
+
+  return (
+    <div
+      className="preview-pane"
+      style={
+        pos ? { left: pos.x, top: pos.y, right: "auto", bottom: "auto" } : null
+      }
+      role="dialog"
+      aria-label="Preview"
+    >
+      <div
+        className="panel-header text-sm preview-handle"
+        onPointerDown={(e) => {
+          if (e.target.closest("button, input, label")) return;
+          const rect = e.currentTarget.parentElement.getBoundingClientRect();
+          dragRef.current = {
+            dx: e.clientX - rect.left,
+            dy: e.clientY - rect.top,
+          };
+          e.currentTarget.setPointerCapture(e.pointerId);
+        }}
+        onPointerMove={(e) => {
+          const d = dragRef.current;
+          if (d) setPos({ x: e.clientX - d.dx, y: e.clientY - d.dy });
+        }}
+        onPointerUp={() => (dragRef.current = null)}
+      >
+        <span>Preview</span>
+        <div className="flex items-center gap-2">
+          {frames.length > 1 && (
+            <label className="inline-flex items-center gap-1 text-xs">
+              <input
+                type="checkbox"
+                checked={animate}
+                onChange={(e) => setAnimate(e.target.checked)}
+              />
+              Play
+            </label>
+          )}
+          <button
+            className="icon-btn"
+            onClick={onClose}
+            aria-label="Close preview"
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+      <div className="preview-zooms">
+        {ZOOMS.map((k) => (
+          <figure key={k}>
+            <PixelThumb
+              pixels={composites[index]}
+              w={w}
+              h={h}
+              size={Math.max(w, h) * k}
+            />
+            <figcaption className="text-xs muted">{k}×</figcaption>
+          </figure>
+        ))}
+      </div>
+      {frames.length > 1 && (
+        <div className="text-xs muted tabular-nums">
+          Frame {index + 1} / {frames.length}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import React, { useMemo, useState } from "react";
+import { argbToCss, hexToArgb } from "../lib/color";
+import { MAX_RAMP_STEPS, MIN_RAMP_STEPS, shadingRamp } from "../lib/palette";
+import ColorPicker from "./ColorPicker";
+
+/**
+ * Shading ramp generator — a 3–9 step ramp around a base colour with hue
+ * shifting and a saturation curve, appended to the palette.
+ */
+export default function RampDialog({ base: initialBase, onAdd, onClose }) {
+  const [base, setBase] = useState(initialBase);
+  const [steps, setSteps] = useState(5);
+  const [hueShift, setHueShift] = useState(20);
+  const [saturation, setSaturation] = useState(30);
+
+  const ramp = useMemo(
+    () => shadingRamp(base, { steps, hueShift, saturation: saturation / 100 }),
+    [base, steps, hueShift, saturation]
+  );
+
+  return (
+    <div className="dialog-backdrop" onClick={onClose}>
+      <div
+        className="dialog"
+        role="dialog"
+        aria-label="Shading ramp"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => e.stopPropagation()}
+      >
+        <h2 className="dialog-title">Shading ramp</h2>
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <div className="inline-flex items-center gap-2">
+            Base
+            <ColorPicker value={base} onChange={setBase} label="Base colour" />
+          </div>
+          <label className="inline-flex items-center gap-2">
+            Steps
+            <input
+              type="number"
+              min={MIN_RAMP_STEPS}
+              max={MAX_RAMP_STEPS}
+              value={steps}
+              onChange={(e) => {
+                const v = parseInt(e.target.value, 10);
+                if (v >= MIN_RAMP_STEPS && v <= MAX_RAMP_STEPS) setSteps(v);
+              }}
+              className="num-input"
+            />
+          </label>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label
+            className="inline-flex items-center gap-2"
+            title="How far the ends turn towards blue (shadows) and yellow (highlights)"
+          >
+            Hue shift
+            <input
+              type="range"
+              min={0}
+              max={90}
+              value={hueShift}
+              onChange={(e) => setHueShift(parseInt(e.target.value, 10))}
+            />
+            <span className="tabular-nums text-xs">{hueShift}°</span>
+          </label>
+          <label
+            className="inline-flex items-center gap-2"
+            title="Positive fades saturation towards the ends, negative boosts it"
+          >
+            Saturation curve
+            <input
+              type="range"
+              min={-100}
+              max={100}
+              value={saturation}
+              onChange={(e) => setSaturation(parseInt(e.target.value, 10))}
+            />
+            <span className="tabular-nums text-xs">{saturation}%</span>
+          </label>
+        </div>
+
+        <div className="ramp-preview checker-bg">
+          {ramp.map((c, i) => (
+            <span
+              key={i}
+              style={{ background: argbToCss(hexToArgb(c)) }}
+              title={c}
+            />
+          ))}
+        </div>
+
+        <div className="flex items-center gap-2 dialog-actions">
+          <button onClick={onClose}>Cancel</button>
+          <button onClick={() => onAdd(ramp)}>Add to palette</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import React, { useRef } from "react";
+import { fitReference } from "../lib/reference";
+
+/**
+ * Reference image — a sketch to trace, shown under or over the art at full
+ * resolution and never exported. "Transform" turns the canvas into move /
+ * scale (corners) / rotate (inner knob, Shift snaps) handles; Shift+R hides
+ * and shows it.
+ */
+export default function ReferencePanel({
+  reference,
+  width,
+  height,
+  onChange,
+  onLoad,
+  editing,
+  onEditingChange,
+}) {
+  const fileRef = useRef(null);
+  const set = (patch) => onChange({ ...reference, ...patch });
+
+  return (
+    <div className="panel">
+      <div className="panel-header">
+        <span>Reference</span>
+        <button onClick={() => fileRef.current?.click()}>
+          {reference ? "Replace…" : "Load…"}
+        </button>
+      </div>
+      <input
+        ref={fileRef}
+        type="file"
+        accept="image/*"
+        className="hidden"
+        onChange={(e) => {
+          if (e.target.files?.[0]) onLoad(e.target.files[0]);
+          e.target.value = "";
+        }}
+      />
+      {!reference ? (
+        <p className="text-xs muted">
+          Load a sketch to trace over — it stays out of the sprite and exports.
+        </p>
+      ) : (
+        <>
+          <div className="layer-name text-xs muted" title={reference.name}>
+            {reference.name} · {reference.width}×{reference.height}
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <label className="inline-flex items-center gap-1" title="Shift+R">
+              <input
+                type="checkbox"
+                checked={reference.visible}
+                onChange={(e) => set({ visible: e.target.checked })}
+              />
+              Visible
+            </label>
+            <label className="inline-flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={reference.above}
+                onChange={(e) => set({ above: e.target.checked })}
+              />
+              Above art
+            </label>
+          </div>
+          <label className="flex items-center gap-2 text-sm">
+            Opacity
+            <input
+              type="range"
+              min={0}
+              max={100}
+              value={Math.round(reference.opacity * 100)}
+              onChange={(e) => set({ opacity: e.target.value / 100 })}
+            />
+            <span className="tabular-nums text-xs">
+              {Math.round(reference.opacity * 100)}%
+            </span>
+          </label>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <label className="inline-flex items-center gap-1">
+              Scale
+              <input
+                type="number"
+                min={0.1}
+                step={0.1}
+                value={Math.round(reference.scale * 1000) / 10}
+                onChange={(e) => {
+                  const v = parseFloat(e.target.value);
+                  if (v > 0) set({ scale: v / 100 });
+                }}
+                onKeyDown={(e) => e.stopPropagation()}
+                className="num-input"
+                title="Sprite pixels per 100 image pixels"
+              />
+              %
+            </label>
+            <label className="inline-flex items-center gap-1">
+              Angle
+              <input
+                type="number"
+                min={-180}
+                max={180}
+                value={Math.round(reference.rotation)}
+                onChange={(e) => {
+                  const v = parseFloat(e.target.value);
+                  if (Number.isFinite(v)) set({ rotation: v });
+                }}
+                onKeyDown={(e) => e.stopPropagation()}
+                className="num-input"
+              />
+              °
+            </label>
+          </div>
+          <div className="flex flex-wrap items-center gap-1 text-sm">
+            <button
+              onClick={() => onEditingChange(!editing)}
+              aria-pressed={editing}
+              className={editing ? "bg-gray-100 border-gray-400" : ""}
+              title="Drag to move, corners to scale, the inner knob to rotate"
+            >
+              Transform
+            </button>
+            <button
+              onClick={() =>
+                onChange(
+                  fitReference(
+                    reference.width,
+                    reference.height,
+                    width,
+                    height,
+                    reference
+                  )
+                )
+              }
+              title="Centre and fit to the canvas"
+            >
+              Fit
+            </button>
+            <button
+              onClick={() => {
+                onChange(null);
+                onEditingChange(false);
+              }}
+            >
+              Remove
+            </button>
+          </div>
+          <label className="inline-flex items-center gap-1 text-sm">
+            <input
+              type="checkbox"
+              checked={reference.sample}
+              onChange={(e) => set({ sample: e.target.checked })}
+            />
+            Eyedropper picks from the reference
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { downloadBlob, pixelsToImageData, pixelsToPngBlob } from "../lib/canvas";
+import { compositeFrame } from "../lib/document";
+import {
+  ATLAS_FORMATS,
+  SHEET_LAYOUTS,
+  buildAtlas,
+  packSheet,
+} from "../lib/spritesheet";
+
+const PREVIEW_MAX = 480; // CSS px
+
+/**
+ * Sprite sheet export — packs every frame into one PNG and writes a JSON atlas
+ * next to it.
+ */
+export default function SpriteSheetDialog({ doc, onClose }) {
+  const { width: w, height: h, frames } = doc;
+  const [layout, setLayout] = useState("horizontal");
+  const [columns, setColumns] = useState(4);
+  const [padding, setPadding] = useState(0);
+  const [extrude, setExtrude] = useState(0);
+  const [scale, setScale] = useState(1);
+  const [format, setFormat] = useState("hash");
+  const previewRef = useRef(null);
+
+  const composites = useMemo(
+    () => frames.map((_, i) => compositeFrame(doc, i)),
+    [doc, frames]
+  );
+  const sheet = useMemo(
+    () =>
+      packSheet(composites, w, h, { layout, columns, padding, extrude, scale }),
+    [composites, w, h, layout, columns, padding, extrude, scale]
+  );
+
+  useEffect(() => {
+    const c = previewRef.current;
+    c.width = sheet.width;
+    c.height = sheet.height;
+    c.getContext("2d").putImageData(
+      pixelsToImageData(sheet.pixels, sheet.width, sheet.height),
+      0,
+      0
+    );
+  }, [sheet]);
+
+  const k = Math.min(4, PREVIEW_MAX / Math.max(sheet.width, sheet.height));
+  const base = `kwaxel_${w}x${h}_sheet_x${scale}`;
+
+  const download = () => {
+    const atlas = buildAtlas(
+      sheet.rects.map((rect, i) => ({
+        name: `kwaxel ${i}.png`,
+        rect,
+        duration: frames[i].duration,
+      })),
+      {
+        format,
+        image: `${base}.png`,
+        width: sheet.width,
+        height: sheet.height,
+        scale,
+      }
+    );
+    downloadBlob(
+      pixelsToPngBlob(sheet.pixels, sheet.width, sheet.height),
+      `${base}.png`
+    );
+    downloadBlob(
+      new Blob([JSON.stringify(atlas, null, 2)], { type: "application/json" }),
+      `${base}.json`
+    );
+  };
+
+  const num = (setter, min) => (e) => {
+    const v = parseInt(e.target.value, 10);
+    if (Number.isInteger(v) && v >= min) setter(v);
+  };
+
+  return (
+    <div className="dialog-backdrop" onClick={onClose}>
+      <div
+        className="dialog"
+        role="dialog"
+        aria-label="Export sprite sheet"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="dialog-title">Sprite sheet</h2>
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="inline-flex items-center gap-2">
+            Layout
+            <select value={layout} onChange={(e) => setLayout(e.target.value)}>
+              {SHEET_LAYOUTS.map((l) => (
+                <option key={l} value={l}>
+                  {l}
+                </option>
+              ))}
+            </select>
+          </label>
+          {layout === "grid" && (
+            <label className="inline-flex items-center gap-2">
+              Columns
+              <input
+                type="number"
+                min={1}
+                value={columns}
+                onChange={num(setColumns, 1)}
+                className="num-input"
+              />
+            </label>
+          )}
+          <label className="inline-flex items-center gap-2">
+            Padding
+            <input
+              type="number"
+              min={0}
+              value={padding}
+              onChange={num(setPadding, 0)}
+              className="num-input"
+            />
+          </label>
+          <label className="inline-flex items-center gap-2">
+            Extrude
+            <input
+              type="number"
+              min={0}
+              value={extrude}
+              onChange={num(setExtrude, 0)}
+              className="num-input"
+            />
+          </label>
+          <label className="inline-flex items-center gap-2">
+            Scale
+            <select
+              value={scale}
+              onChange={(e) => setScale(parseInt(e.target.value, 10))}
+            >
+              {[1, 2, 4, 8].map((m) => (
+                <option key={m} value={m}>
+                  ×{m}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="inline-flex items-center gap-2">
+            Atlas
+            <select value={format} onChange={(e) => setFormat(e.target.value)}>
+              {ATLAS_FORMATS.map((f) => (
+                <option key={f} value={f}>
+                  JSON ({f})
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="sheet-preview">
+          <canvas
+            ref={previewRef}
+            style={{
+              width: `${sheet.width * k}px`,
+              height: `${sheet.height * k}px`,
+            }}
+          />
+        </div>
+        <span className="text-xs muted">
+          {frames.length} frame{frames.length === 1 ? "" : "s"} ·{" "}
+          {sheet.width}×{sheet.height}px
+        </span>
+
+        <div className="flex items-center gap-2 dialog-actions">
+          <button onClick={onClose}>Cancel</button>
+          <button onClick={download}>Download PNG + JSON</button>
+        </div>
+      </div>
+    </div>
+  );
+}
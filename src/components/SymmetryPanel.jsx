@@ -0,0 +1,91 @@
+import React from "react";
+import {
+  MAX_RADIAL,
+  MIN_RADIAL,
+  SYMMETRY_MODES,
+  symmetryAxis,
+} from "../lib/symmetry";
+
+/**
+ * Symmetry settings — mode, radial count and the axis position (half-pixel
+ * steps). Alt+click on the canvas also moves the axis.
+ */
+export default function SymmetryPanel({ symmetry, width, height, onChange }) {
+  const { mode, n } = symmetry;
+  const axis = symmetryAxis(symmetry, width, height);
+  const set = (patch) => onChange({ ...symmetry, ...patch });
+  const showX = mode === "vertical" || mode === "quad" || mode === "radial";
+  const showY = mode === "horizontal" || mode === "quad" || mode === "radial";
+
+  const axisInput = (key, max) => (
+    <label className="inline-flex items-center gap-2">
+      {key.toUpperCase()}
+      <input
+        type="number"
+        min={0}
+        max={max}
+        step={0.5}
+        value={axis[key]}
+        onChange={(e) => {
+          const v = parseFloat(e.target.value);
+          if (Number.isFinite(v)) set({ [key]: v });
+        }}
+        onKeyDown={(e) => e.stopPropagation()}
+        className="num-input"
+      />
+    </label>
+  );
+
+  return (
+    <div className="panel">
+      <div className="panel-header">
+        <span>Symmetry</span>
+        <select
+          value={mode}
+          onChange={(e) => set({ mode: e.target.value })}
+          aria-label="Symmetry mode"
+        >
+          {SYMMETRY_MODES.map((m) => (
+            <option key={m.id} value={m.id}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {mode !== "none" && (
+        <>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            {mode === "radial" && (
+              <label className="inline-flex items-center gap-2">
+                Ways
+                <input
+                  type="number"
+                  min={MIN_RADIAL}
+                  max={MAX_RADIAL}
+                  value={n}
+                  onChange={(e) => {
+                    const v = parseInt(e.target.value, 10);
+                    if (v >= MIN_RADIAL && v <= MAX_RADIAL) set({ n: v });
+                  }}
+                  onKeyDown={(e) => e.stopPropagation()}
+                  className="num-input"
+                />
+              </label>
+            )}
+            {showX && axisInput("x", width)}
+            {showY && axisInput("y", height)}
+            <button
+              onClick={() => set({ x: null, y: null })}
+              title="Centre the axis"
+            >
+              Centre
+            </button>
+          </div>
+          <span className="text-xs muted">
+            Alt+click the canvas to move the axis.
+          </span>
+        </>
+      )}
+    </div>
+  );
+}
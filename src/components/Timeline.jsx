@@ -0,0 +1,138 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { pixelsToImageData } from "../lib/canvas";
+import { compositeFrame } from "../lib/document";
+
+const THUMB = 40; // CSS px (longest side)
+
+function FrameThumb({ pixels, w, h }) {
+  const ref = useRef(null);
+  useEffect(() => {
+    const c = ref.current;
+    c.width = w;
+    c.height = h;
+    c.getContext("2d").putImageData(pixelsToImageData(pixels, w, h), 0, 0);
+  }, [pixels, w, h]);
+  const k = THUMB / Math.max(w, h);
+  return (
+    <canvas
+      ref={ref}
+      className="frame-thumb"
+      style={{ width: `${w * k}px`, height: `${h * k}px` }}
+    />
+  );
+}
+
+/**
+ * Frame timeline — thumbnails, per-frame duration, playback and onion skin toggles.
+ * Frame edits are delegated to the editor (so they land in undo history).
+ */
+export default function Timeline({
+  doc,
+  frameIndex,
+  onSelect,
+  onAdd,
+  onDuplicate,
+  onDelete,
+  onMove,
+  onDuration,
+  playing,
+  onTogglePlay,
+  loop,
+  onLoopChange,
+  onion,
+  onOnionChange,
+}) {
+  const composites = useMemo(
+    () => doc.frames.map((_, i) => compositeFrame(doc, i)),
+    [doc]
+  );
+  const frame = doc.frames[frameIndex];
+
+  return (
+    <div className="timeline">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <button onClick={onTogglePlay} title="Play / Stop (Enter)">
+          {playing ? "⏹ Stop" : "▶ Play"}
+        </button>
+        <label className="inline-flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={loop}
+            onChange={(e) => onLoopChange(e.target.checked)}
+          />
+          Loop
+        </label>
+        <label className="inline-flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={onion}
+            onChange={(e) => onOnionChange(e.target.checked)}
+          />
+          Onion skin
+        </label>
+
+        <div className="h-6 w-px bg-gray-300 mx-2" />
+
+        <button onClick={onAdd} title="New frame">
+          ＋ Frame
+        </button>
+        <button onClick={onDuplicate} title="Duplicate frame">
+          ⧉
+        </button>
+        <button
+          onClick={onDelete}
+          disabled={doc.frames.length <= 1}
+          title="Delete frame"
+        >
+          🗑
+        </button>
+        <button
+          onClick={() => onMove(frameIndex, frameIndex - 1)}
+          disabled={frameIndex <= 0}
+          title="Move frame left"
+        >
+          ◀
+        </button>
+        <button
+          onClick={() => onMove(frameIndex, frameIndex + 1)}
+          disabled={frameIndex >= doc.frames.length - 1}
+          title="Move frame right"
+        >
+          ▶
+        </button>
+        <label className="inline-flex items-center gap-2">
+          Duration
+          <input
+            type="number"
+            min={10}
+            max={10000}
+            step={10}
+            value={frame.duration}
+            onChange={(e) => {
+              const ms = parseInt(e.target.value, 10);
+              if (ms > 0) onDuration(frameIndex, ms);
+            }}
+            className="num-input"
+            aria-label="Frame duration (ms)"
+          />
+          ms
+        </label>
+      </div>
+
+      <ol className="frame-strip">
+        {doc.frames.map((f, i) => (
+          <li key={f.id}>
+            <button
+              className={`frame-cell ${i === frameIndex ? "is-active" : ""}`}
+              onClick={() => onSelect(i)}
+              title={`Frame ${i + 1} · ${f.duration} ms`}
+            >
+              <FrameThumb pixels={composites[i]} w={doc.width} h={doc.height} />
+              <span className="text-xs tabular-nums">{i + 1}</span>
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  downloadBlob,
+  pixelsToImageData,
+  pixelsToPngBlob,
+} from "../lib/canvas";
+import {
+  MAX_UPSCALE_SIDE,
+  UPSCALERS,
+  upscaleError,
+  upscalePixels,
+} from "../lib/upscale";
+
+const PREVIEW_PX = 320; // CSS px, longest side
+
+const paint = (canvas, { pixels, width, height }) => {
+  canvas.width = width;
+  canvas.height = height;
+  canvas
+    .getContext("2d")
+    .putImageData(pixelsToImageData(pixels, width, height), 0, 0);
+};
+
+/**
+ * Upscaled PNG export — Scale2x/3x, Eagle, hqx or xBR, previewed next to
+ * plain nearest-neighbour scaling. A factor the algorithm's passes can't make
+ * is refused with the same message the CLI gives, and nothing is exported.
+ */
+export default function UpscaleDialog({ pixels, width, height, onClose }) {
+  const [method, setMethod] = useState("xbr");
+  const [factor, setFactor] = useState(4);
+  const [margin, setMargin] = useState(0);
+  const nearestRef = useRef(null);
+  const resultRef = useRef(null);
+
+  const maxFactor = Math.max(
+    1,
+    Math.floor(MAX_UPSCALE_SIDE / Math.max(width, height))
+  );
+  const nearest = useMemo(
+    () =>
+      upscalePixels(pixels, width, height, {
+        method: "nearest",
+        factor,
+        margin,
+      }),
+    [pixels, width, height, factor, margin]
+  );
+  const error = upscaleError(method, factor);
+  const result = useMemo(
+    () =>
+      error
+        ? null
+        : upscalePixels(pixels, width, height, { method, factor, margin }),
+    [pixels, width, height, method, factor, margin, error]
+  );
+  const { label } = UPSCALERS.find((u) => u.id === method);
+
+  useEffect(() => paint(nearestRef.current, nearest), [nearest]);
+  useEffect(() => {
+    if (result) paint(resultRef.current, result);
+  }, [result]);
+
+  const k = PREVIEW_PX / Math.max(nearest.width, nearest.height);
+  const box = {
+    width: `${nearest.width * k}px`,
+    height: `${nearest.height * k}px`,
+  };
+
+  const num = (setter, min, max) => (e) => {
+    const v = parseInt(e.target.value, 10);
+    if (Number.isInteger(v) && v >= min && v <= max) setter(v);
+  };
+
+  const download = () =>
+    downloadBlob(
+      pixelsToPngBlob(result.pixels, result.width, result.height),
+      `kwaxel_${width}x${height}_${method}_x${factor}.png`
+    );
+
+  return (
+    <div className="dialog-backdrop" onClick={onClose}>
+      <div
+        className="dialog"
+        role="dialog"
+        aria-label="Upscaled PNG"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="dialog-title">Upscaled PNG</h2>
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="inline-flex items-center gap-2">
+            Algorithm
+            <select value={method} onChange={(e) => setMethod(e.target.value)}>
+              {UPSCALERS.map((u) => (
+                <option key={u.id} value={u.id}>
+                  {u.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="inline-flex items-center gap-2">
+            Factor ×
+            <input
+              type="number"
+              min={1}
+              max={maxFactor}
+              value={factor}
+              onChange={num(setFactor, 1, maxFactor)}
+              className="num-input"
+            />
+          </label>
+          <label className="inline-flex items-center gap-2">
+            Margin
+            <input
+              type="number"
+              min={0}
+              max={256}
+              value={margin}
+              onChange={num(setMargin, 0, 256)}
+              className="num-input"
+            />
+            px
+          </label>
+        </div>
+
+        <div className="import-previews">
+          <figure>
+            <div className="sheet-preview">
+              <canvas ref={nearestRef} style={box} />
+            </div>
+            <figcaption className="text-xs muted">Nearest neighbour</figcaption>
+          </figure>
+          <figure>
+            <div className="sheet-preview">
+              {result ? (
+                <canvas ref={resultRef} style={box} />
+              ) : (
+                <div style={box} />
+              )}
+            </div>
+            <figcaption className="text-xs muted">{label}</figcaption>
+          </figure>
+        </div>
+        <span className="text-xs muted">
+          {nearest.width}×{nearest.height}px
+        </span>
+        {error && <p className="text-xs error-text">{error}</p>}
+
+        <div className="flex items-center gap-2 dialog-actions">
+          <button onClick={onClose}>Cancel</button>
+          <button onClick={download} disabled={!result}>
+            Download PNG
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+/**
+ * kwaxel core — the editor's pixel, document, palette and file-format logic
+ * with no React and no DOM, so the same code runs in the browser, in Node
+ * build scripts and in the `kwaxel` CLI (bin/kwaxel.js):
+ *
+ *   import { PixelBuffer, parsePalette } from "kwaxel-generator/core";
+ *
+ * src/lib modules that need a browser (canvas.js, storage.js) stay out, and
+ * lib imports carry explicit .js extensions so Node can load them as-is.
+ */
+export * from "../lib/buffer.js";
+export * from "../lib/collection.js";
+export * from "../lib/color.js";
+export * from "../lib/document.js";
+export * from "../lib/exporters.js";
+export * from "../lib/fill.js";
+export * from "../lib/generator.js";
+export * from "../lib/gif.js";
+export * from "../lib/history.js";
+export * from "../lib/layers.js";
+export * from "../lib/palette.js";
+export * from "../lib/png.js";
+export * from "../lib/project.js";
+export * from "../lib/quantize.js";
+export * from "../lib/resize.js";
+export * from "../lib/selection.js";
+export * from "../lib/shapes.js";
+export * from "../lib/spritesheet.js";
+export * from "../lib/stroke.js";
+export * from "../lib/symmetry.js";
+export * from "../lib/transform.js";
+export * from "../lib/upscale.js";
+export * from "../lib/zip.js";
+export * from "../lib/zlib.js";
@@ -0,0 +1,252 @@
+/**
+ * PixelBuffer — a w×h image of 0xAARRGGBB pixels with the editor's tools as
+ * methods, for code that works outside the React editor (the CLI, build
+ * scripts). Editing methods change the buffer in place and return `this`, so
+ * calls chain; use clone() to keep the original. No DOM required.
+ */
+import { argbToHex, hexToArgb, pixelsToRgba, rgbaToPixels } from "./color.js";
+import { floodFill } from "./fill.js";
+import { paletteSnapper, replaceColor, usedColors } from "./palette.js";
+import { decodePng, encodePng } from "./png.js";
+import { mapToPalette, processImport } from "./quantize.js";
+import { resizePixels, scalePixels } from "./resize.js";
+import { drawShape } from "./shapes.js";
+import { beginStroke, strokeTo } from "./stroke.js";
+import {
+  dropShadow,
+  flipPixels,
+  offsetPixels,
+  outlinePixels,
+  rotatePixels,
+} from "./transform.js";
+import { upscalePixels } from "./upscale.js";
+
+/** Colours may be given as 0xAARRGGBB numbers or hex strings */
+const toArgb = (c) => (typeof c === "string" ? hexToArgb(c) : c) >>> 0;
+
+export class PixelBuffer {
+  constructor(width, height, pixels = new Uint32Array(width * height)) {
+    if (!Number.isInteger(width) || !Number.isInteger(height)) {
+      throw new RangeError("PixelBuffer size must be whole pixels");
+    }
+    if (pixels.length !== width * height) {
+      throw new RangeError(
+        `Expected ${width * height} pixels for ${width}×${height}, got ${pixels.length}`
+      );
+    }
+    this.width = width;
+    this.height = height;
+    this.pixels = pixels;
+  }
+
+  static fromRgba(data, width, height) {
+    return new PixelBuffer(width, height, rgbaToPixels(data, width, height));
+  }
+
+  static fromPng(bytes) {
+    const { pixels, width, height } = decodePng(bytes);
+    return new PixelBuffer(width, height, pixels);
+  }
+
+  toRgba() {
+    return pixelsToRgba(this.pixels);
+  }
+
+  toPng() {
+    return encodePng(this.pixels, this.width, this.height);
+  }
+
+  clone() {
+    return new PixelBuffer(
+      this.width,
+      this.height,
+      new Uint32Array(this.pixels)
+    );
+  }
+
+  /** Swap in a new pixel array (and size) — the in-place step of every edit */
+  replace(pixels, width = this.width, height = this.height) {
+    this.width = width;
+    this.height = height;
+    this.pixels = pixels;
+    return this;
+  }
+
+  inBounds(x, y) {
+    return x >= 0 && y >= 0 && x < this.width && y < this.height;
+  }
+
+  /** Pixel at (x, y); 0 (transparent) outside the buffer */
+  get(x, y) {
+    return this.inBounds(x, y) ? this.pixels[y * this.width + x] : 0;
+  }
+
+  set(x, y, color) {
+    if (this.inBounds(x, y)) this.pixels[y * this.width + x] = toArgb(color);
+    return this;
+  }
+
+  clear(color = 0) {
+    this.pixels.fill(toArgb(color));
+    return this;
+  }
+
+  /* ── Tools ──────────────────────────────────────────────────────────── */
+
+  /** Gap-free freehand stroke through points [[x, y], …] (see stroke.js) */
+  stroke(points, color, { size = 1, pixelPerfect = false } = {}) {
+    const s = beginStroke(this.pixels, this.width, this.height, {
+      argb: toArgb(color),
+      size,
+      pixelPerfect,
+      mirror: null,
+      mask: null,
+    });
+    for (const [x, y] of points) strokeTo(s, x, y);
+    return this.replace(s.buf);
+  }
+
+  /**
+   * Flood fill the region around (x, y). opts: { tolerance, contiguous,
+   * connectivity } as for floodRegion (fill.js).
+   */
+  fill(x, y, color, opts) {
+    if (this.inBounds(x, y)) {
+      floodFill(
+        this.pixels,
+        this.width,
+        this.height,
+        x,
+        y,
+        toArgb(color),
+        opts
+      );
+    }
+    return this;
+  }
+
+  /** tool: "line" | "rect" | "ellipse" between two corners */
+  shape(tool, x0, y0, x1, y1, color, { filled = false, size = 1 } = {}) {
+    drawShape(this.pixels, this.width, this.height, {
+      tool,
+      x0,
+      y0,
+      x1,
+      y1,
+      filled,
+      size,
+      argb: toArgb(color),
+    });
+    return this;
+  }
+
+  line(x0, y0, x1, y1, color, opts) {
+    return this.shape("line", x0, y0, x1, y1, color, opts);
+  }
+
+  rect(x0, y0, x1, y1, color, opts) {
+    return this.shape("rect", x0, y0, x1, y1, color, opts);
+  }
+
+  ellipse(x0, y0, x1, y1, color, opts) {
+    return this.shape("ellipse", x0, y0, x1, y1, color, opts);
+  }
+
+  /* ── Image operations ───────────────────────────────────────────────── */
+
+  flip(axis = "horizontal") {
+    return this.replace(flipPixels(this.pixels, this.width, this.height, axis));
+  }
+
+  /** Quarter turns clockwise; odd turns swap width and height */
+  rotate(turns = 1) {
+    const r = rotatePixels(this.pixels, this.width, this.height, turns);
+    return this.replace(r.pixels, r.width, r.height);
+  }
+
+  offset(dx, dy, wrap = true) {
+    const { pixels, width, height } = this;
+    return this.replace(offsetPixels(pixels, width, height, dx, dy, wrap));
+  }
+
+  /** opts: { mode: "outside" | "inside", connectivity: 4 | 8 } */
+  outline(color, opts) {
+    const { pixels, width, height } = this;
+    return this.replace(
+      outlinePixels(pixels, width, height, toArgb(color), opts)
+    );
+  }
+
+  dropShadow({ dx = 1, dy = 1, color = 0x80000000 } = {}) {
+    const { pixels, width, height } = this;
+    return this.replace(
+      dropShadow(pixels, width, height, { dx, dy, argb: toArgb(color) })
+    );
+  }
+
+  /** Change the canvas size; opts: { mode: "crop" | "scale", anchor } (resize.js) */
+  resize(width, height, opts) {
+    const { pixels, width: w, height: h } = this;
+    return this.replace(
+      resizePixels(pixels, w, h, width, height, opts),
+      width,
+      height
+    );
+  }
+
+  /** Nearest-neighbour upscale by a whole factor */
+  scale(k) {
+    const { pixels, width: w, height: h } = this;
+    return this.replace(scalePixels(pixels, w, h, w * k, h * k), w * k, h * k);
+  }
+
+  /**
+   * Upscale by a whole factor with a pixel-art algorithm (upscale.js);
+   * opts: { method: "nearest" | "scalex" | "eagle" | "hqx" | "xbr", margin }
+   */
+  upscale(factor, { method = "nearest", margin = 0 } = {}) {
+    const { pixels, width, height } = this;
+    const r = upscalePixels(pixels, width, height, { method, factor, margin });
+    return this.replace(r.pixels, r.width, r.height);
+  }
+
+  /**
+   * Resample to width×height with the import pipeline (quantize.js):
+   * opts { fit, resample, reduce, colors, palette (colours), dither }.
+   */
+  fit(width, height, { palette = [], ...opts } = {}) {
+    const { pixels, width: w, height: h } = this;
+    const out = processImport(pixels, w, h, width, height, {
+      ...opts,
+      palette: palette.map(toArgb),
+    });
+    return this.replace(out, width, height);
+  }
+
+  /* ── Palette ────────────────────────────────────────────────────────── */
+
+  /** Snap every opaque pixel to the nearest of `colors` (hex or argb) */
+  snapToPalette(colors) {
+    const snap = paletteSnapper(
+      colors.map((c) => (typeof c === "string" ? c : argbToHex(c >>> 0)))
+    );
+    return this.replace(this.pixels.map(snap));
+  }
+
+  /** Map to the nearest of `colors` with optional dithering, as on import */
+  applyPalette(colors, dither = "none") {
+    const { pixels, width, height } = this;
+    const palette = colors.map((c) => (toArgb(c) | 0xff000000) >>> 0);
+    return this.replace(mapToPalette(pixels, width, height, palette, dither));
+  }
+
+  replaceColor(from, to) {
+    const out = replaceColor(this.pixels, toArgb(from), toArgb(to));
+    return out === this.pixels ? this : this.replace(out);
+  }
+
+  /** Distinct opaque colours, most used first: [{ argb, count }] */
+  usedColors() {
+    return usedColors([this.pixels]);
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * DOM canvas helpers — ImageData conversion, image loading and downloads.
+ * Pixels are 0xAARRGGBB (Uint32Array).
+ */
+import { pixelsToRgba, rgbaToPixels } from "./color.js";
+import { encodePng } from "./png.js";
+
+/** ARGB Uint32Array <-> ImageData (RGBA) */
+export const pixelsToImageData = (pixels, w, h) =>
+  new ImageData(pixelsToRgba(pixels), w, h);
+export const imageDataToPixels = ({ width, height, data }) =>
+  rgbaToPixels(data, width, height);
+
+/** Helper: nearest-neighbor resample any <img> to targetW×targetH and return ImageData */
+export function pixelsFromImageElement(img, targetW, targetH) {
+  // Stage original
+  const stage = document.createElement("canvas");
+  stage.width = img.width;
+  stage.height = img.height;
+  stage.getContext("2d").drawImage(img, 0, 0);
+
+  // Nearest-neighbor scale to target
+  const tmp = document.createElement("canvas");
+  tmp.width = targetW;
+  tmp.height = targetH;
+  const tctx = tmp.getContext("2d");
+  tctx.imageSmoothingEnabled = false;
+  tctx.drawImage(
+    stage,
+    0,
+    0,
+    stage.width,
+    stage.height,
+    0,
+    0,
+    targetW,
+    targetH
+  );
+
+  return tctx.getImageData(0, 0, targetW, targetH);
+}
+
+const MAX_IMPORT_SIDE = 1024;
+
+/**
+ * Full-resolution pixels of an <img> for the import pipeline. Very large
+ * images are first shrunk (smoothly) so the longest side is ≤ 1024 px.
+ */
+export function imageElementToPixels(img, maxSide = MAX_IMPORT_SIDE) {
+  const k = Math.min(1, maxSide / Math.max(img.width, img.height));
+  const width = Math.max(1, Math.round(img.width * k));
+  const height = Math.max(1, Math.round(img.height * k));
+  const c = document.createElement("canvas");
+  c.width = width;
+  c.height = height;
+  const ctx = c.getContext("2d");
+  ctx.imageSmoothingEnabled = k < 1;
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(img, 0, 0, width, height);
+  return {
+    pixels: imageDataToPixels(ctx.getImageData(0, 0, width, height)),
+    width,
+    height,
+  };
+}
+
+/** Load any URL the browser can decode into an <img> */
+export function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = url;
+  });
+}
+
+/**
+ * Reference image from a URL → { src, width, height, pixels, canvas }: shrunk
+ * like imports, with a PNG data URL of the result for saving and a canvas to
+ * draw it from.
+ */
+export async function loadReferenceImage(url) {
+  const { pixels, width, height } = imageElementToPixels(await loadImage(url));
+  const canvas = pixelsToCanvas(pixels, width, height);
+  return { src: canvas.toDataURL("image/png"), width, height, pixels, canvas };
+}
+
+/** Draw a w×h buffer into a fresh w×h canvas */
+export function pixelsToCanvas(pixels, w, h) {
+  const c = document.createElement("canvas");
+  c.width = w;
+  c.height = h;
+  c.getContext("2d").putImageData(pixelsToImageData(pixels, w, h), 0, 0);
+  return c;
+}
+
+let scratch = null;
+
+/**
+ * Draw a w×h buffer onto `ctx` at (dx, dy), `k` CSS px per pixel. Reuses one
+ * scratch canvas so per-frame redraws don't allocate.
+ */
+export function drawPixels(ctx, pixels, w, h, dx, dy, k) {
+  scratch ??= document.createElement("canvas");
+  if (scratch.width < w || scratch.height < h) {
+    scratch.width = Math.max(scratch.width, w);
+    scratch.height = Math.max(scratch.height, h);
+  }
+  scratch.getContext("2d").putImageData(pixelsToImageData(pixels, w, h), 0, 0);
+  ctx.drawImage(scratch, 0, 0, w, h, dx, dy, w * k, h * k);
+}
+
+/** Trigger a browser download for a Blob */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** Encode a w×h buffer as a PNG Blob (our own encoder — exact colours) */
+export function pixelsToPngBlob(pixels, w, h, opts) {
+  return new Blob([encodePng(pixels, w, h, opts)], { type: "image/png" });
+}
+
+/** Put a w×h buffer on the system clipboard as PNG (async Clipboard API) */
+export async function writeClipboardImage(pixels, w, h) {
+  const blob = pixelsToPngBlob(pixels, w, h);
+  await navigator.clipboard.write([new ClipboardItem({ "image/png": blob })]);
+}
+
+/** First image on the system clipboard as { pixels, width, height }, or null */
+export async function readClipboardImage() {
+  const items = await navigator.clipboard.read();
+  for (const item of items) {
+    const type = item.types.find((t) => t.startsWith("image/"));
+    if (!type) continue;
+    const bitmap = await createImageBitmap(await item.getType(type));
+    try {
+      return imageElementToPixels(bitmap);
+    } finally {
+      bitmap.close();
+    }
+  }
+  return null;
+}
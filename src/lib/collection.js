@@ -0,0 +1,304 @@
+/**
+ * Trait collections — categories of same-size trait images (bodies, eyes,
+ * hats…) stacked in category order, each trait drawn with a rarity weight.
+ * A seeded build picks one trait (or none) per category, skips pairs that a
+ * compatibility rule forbids and rejects duplicate combinations, so the same
+ * seed always yields the same numbered items. The export is a set of files —
+ * an image and a metadata JSON per item plus a rarity report — for zip.js.
+ *
+ * A collection is { name, count, seed, scale, categories, rules }:
+ *   categories: [{ id, name, none, traits: [{ id, name, weight, width,
+ *                 height, pixels }] }], bottom → top; `none` is the weight of
+ *                 leaving the category empty
+ *   rules:      [{ a, b }] trait ids that never appear together
+ */
+import { blendInto } from "./layers.js";
+import { decodePixels, encodePixels } from "./project.js";
+import { seededRandom } from "./generator.js";
+
+export const MAX_COLLECTION_ITEMS = 10000;
+export const MAX_TRAIT_WEIGHT = 1000;
+export const COLLECTION_SCALES = [1, 2, 4, 8];
+
+export const DEFAULT_COLLECTION = {
+  name: "Kwaxel",
+  count: 10,
+  seed: "kwaxel",
+  scale: 4,
+  categories: [],
+  rules: [],
+};
+
+let idSeq = 0;
+const newId = (prefix) =>
+  `${prefix}${Date.now().toString(36)}${(idSeq++).toString(36)}`;
+
+export function createCategory(props = {}) {
+  return { id: newId("c"), name: "Category", none: 0, traits: [], ...props };
+}
+
+/** props must carry width, height and pixels */
+export function createTrait(props) {
+  return { id: newId("t"), name: "Trait", weight: 10, ...props };
+}
+
+/** { width, height } every trait must share, or null while there are none */
+export function collectionSize(c) {
+  for (const cat of c.categories) {
+    const t = cat.traits[0];
+    if (t) return { width: t.width, height: t.height };
+  }
+  return null;
+}
+
+/** Trait and its category for a trait id */
+export function findTrait(c, id) {
+  for (const category of c.categories) {
+    const trait = category.traits.find((t) => t.id === id);
+    if (trait) return { category, trait };
+  }
+  return null;
+}
+
+const excluded = (rules, picked, id) =>
+  rules.some(
+    (r) =>
+      (r.a === id && picked.includes(r.b)) ||
+      (r.b === id && picked.includes(r.a))
+  );
+
+/** Distinct combinations before rules — an upper bound on unique items */
+export function combinationCount(c) {
+  return c.categories.reduce(
+    (n, cat) =>
+      n *
+      (cat.traits.filter((t) => t.weight > 0).length + (cat.none > 0 ? 1 : 0)),
+    c.categories.length ? 1 : 0
+  );
+}
+
+/**
+ * Seeded build → { items: [{ edition, picks }], attempts }, picks holding one
+ * trait id (or null for none) per category. Stops short of `count` when the
+ * weights and rules run out of unique combinations.
+ */
+export function buildCollection(c) {
+  const rand = seededRandom(c.seed);
+  const count = Math.min(c.count, MAX_COLLECTION_ITEMS);
+  const maxAttempts = count * 50 + 1000;
+  const seen = new Set();
+  const items = [];
+  let attempts = 0;
+  while (
+    items.length < count &&
+    attempts < maxAttempts &&
+    c.categories.length
+  ) {
+    attempts++;
+    const picks = [];
+    let dead = false;
+    for (const cat of c.categories) {
+      const options = cat.traits
+        .filter((t) => t.weight > 0 && !excluded(c.rules, picks, t.id))
+        .map((t) => ({ id: t.id, weight: t.weight }));
+      if (cat.none > 0) options.push({ id: null, weight: cat.none });
+      const total = options.reduce((n, o) => n + o.weight, 0);
+      if (!total) {
+        dead = true;
+        break;
+      }
+      let r = rand() * total;
+      let pick = options[options.length - 1];
+      for (const o of options) {
+        if ((r -= o.weight) < 0) {
+          pick = o;
+          break;
+        }
+      }
+      picks.push(pick.id);
+    }
+    if (dead) continue;
+    const key = picks.join("|");
+    if (seen.has(key)) continue;
+    seen.add(key);
+    items.push({ edition: items.length + 1, picks });
+  }
+  return { items, attempts };
+}
+
+/** An item's w×h image: its traits composited bottom → top */
+export function composeItem(c, item, w, h) {
+  const out = new Uint32Array(w * h);
+  item.picks.forEach((id) => {
+    const found = id && findTrait(c, id);
+    if (found) blendInto(out, found.trait.pixels);
+  });
+  return out;
+}
+
+const itemAttributes = (c, item) =>
+  c.categories.map((cat, i) => ({
+    trait_type: cat.name,
+    value: findTrait(c, item.picks[i])?.trait.name ?? "None",
+  }));
+
+/** Per-item metadata (the common name / image / attributes layout) */
+export function itemMetadata(c, item) {
+  return {
+    name: `${c.name} #${item.edition}`,
+    edition: item.edition,
+    image: `images/${item.edition}.png`,
+    attributes: itemAttributes(c, item),
+  };
+}
+
+/**
+ * How often each trait (and "None") came out against its weight, and every
+ * item's rarity score — the sum of 1 / share of each of its traits, so rarer
+ * combinations score higher (rank 1 is the rarest).
+ */
+export function rarityReport(c, items) {
+  const n = items.length;
+  const pct = (v) => (n ? Math.round((v / n) * 10000) / 100 : 0);
+  const categories = c.categories.map((cat, i) => {
+    const counts = new Map();
+    for (const item of items) {
+      const id = item.picks[i];
+      counts.set(id, (counts.get(id) ?? 0) + 1);
+    }
+    const totalWeight = cat.traits.reduce((s, t) => s + t.weight, 0) + cat.none;
+    const row = (id, name, weight) => ({
+      name,
+      weight,
+      expected: totalWeight
+        ? Math.round((weight / totalWeight) * 10000) / 100
+        : 0,
+      count: counts.get(id) ?? 0,
+      percent: pct(counts.get(id) ?? 0),
+    });
+    const traits = cat.traits.map((t) => row(t.id, t.name, t.weight));
+    if (cat.none > 0 || counts.has(null))
+      traits.push(row(null, "None", cat.none));
+    return { name: cat.name, traits, counts };
+  });
+  const scored = items.map((item) => ({
+    edition: item.edition,
+    score:
+      Math.round(
+        categories.reduce(
+          (s, cat, i) => s + n / cat.counts.get(item.picks[i]),
+          0
+        ) * 100
+      ) / 100,
+  }));
+  const ranked = [...scored].sort((a, b) => b.score - a.score);
+  ranked.forEach((r, i) => (r.rank = i + 1));
+  return {
+    name: c.name,
+    seed: c.seed,
+    requested: c.count,
+    items: n,
+    categories: categories.map(({ name, traits }) => ({ name, traits })),
+    ranking: ranked,
+  };
+}
+
+/**
+ * Archive entries ([{ name, data }] for createZip): images/<n>.png,
+ * metadata/<n>.json and rarity.json. toPng(pixels, w, h) encodes one item.
+ */
+export function collectionFiles(c, items, toPng) {
+  const size = collectionSize(c);
+  if (!size) return [];
+  const json = (v) => JSON.stringify(v, null, 2);
+  return [
+    ...items.flatMap((item) => [
+      {
+        name: `images/${item.edition}.png`,
+        data: toPng(
+          composeItem(c, item, size.width, size.height),
+          size.width,
+          size.height
+        ),
+      },
+      {
+        name: `metadata/${item.edition}.json`,
+        data: json(itemMetadata(c, item)),
+      },
+    ]),
+    { name: "rarity.json", data: json(rarityReport(c, items)) },
+  ];
+}
+
+/* ── Saving with the project settings ───────────────────────────────────── */
+
+export const collectionToJson = (c) => ({
+  ...c,
+  categories: c.categories.map((cat) => ({
+    ...cat,
+    traits: cat.traits.map((t) => ({ ...t, pixels: encodePixels(t.pixels) })),
+  })),
+});
+
+const clampInt = (v, min, max, fallback) =>
+  Number.isInteger(v) ? Math.max(min, Math.min(max, v)) : fallback;
+const text = (v, fallback) => (typeof v === "string" && v ? v : fallback);
+
+function parseTrait(raw) {
+  if (!raw || typeof raw.id !== "string" || typeof raw.pixels !== "string") {
+    return null;
+  }
+  const { width, height } = raw;
+  if (!(Number.isInteger(width) && Number.isInteger(height))) return null;
+  let pixels;
+  try {
+    pixels = decodePixels(raw.pixels);
+  } catch {
+    return null;
+  }
+  if (pixels.length !== width * height) return null;
+  return {
+    id: raw.id,
+    name: text(raw.name, "Trait"),
+    weight: clampInt(raw.weight, 0, MAX_TRAIT_WEIGHT, 10),
+    width,
+    height,
+    pixels,
+  };
+}
+
+/**
+ * Saved collection with anything malformed dropped: broken traits, traits
+ * of another size than the first, and rules naming missing traits.
+ */
+export function parseCollection(raw) {
+  const d = DEFAULT_COLLECTION;
+  if (!raw || typeof raw !== "object") return { ...d };
+  let size = null;
+  const categories = (Array.isArray(raw.categories) ? raw.categories : [])
+    .filter((cat) => cat && typeof cat.id === "string")
+    .map((cat) => ({
+      id: cat.id,
+      name: text(cat.name, "Category"),
+      none: clampInt(cat.none, 0, MAX_TRAIT_WEIGHT, 0),
+      traits: (Array.isArray(cat.traits) ? cat.traits : [])
+        .map(parseTrait)
+        .filter((t) => {
+          if (!t) return false;
+          size ??= { width: t.width, height: t.height };
+          return t.width === size.width && t.height === size.height;
+        }),
+    }));
+  const c = {
+    name: text(raw.name, d.name),
+    count: clampInt(raw.count, 1, MAX_COLLECTION_ITEMS, d.count),
+    seed: text(raw.seed, d.seed),
+    scale: COLLECTION_SCALES.includes(raw.scale) ? raw.scale : d.scale,
+    categories,
+    rules: [],
+  };
+  c.rules = (Array.isArray(raw.rules) ? raw.rules : [])
+    .filter((r) => r && findTrait(c, r.a) && findTrait(c, r.b))
+    .map(({ a, b }) => ({ a, b }));
+  return c;
+}
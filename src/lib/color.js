@@ -0,0 +1,173 @@
+/**
+ * Colour helpers. Colours travel through the UI as hex strings
+ * (#rgb, #rrggbb or #aarrggbb) and through pixel buffers as 0xAARRGGBB.
+ */
+
+export const hexToArgb = (hex) => {
+  // supports #rgb, #rrggbb, #aarrggbb
+  let s = hex.replace("#", "").trim();
+  if (s.length === 3) {
+    const r = s[0] + s[0],
+      g = s[1] + s[1],
+      b = s[2] + s[2];
+    return (
+      (0xff << 24) |
+      (parseInt(r, 16) << 16) |
+      (parseInt(g, 16) << 8) |
+      parseInt(b, 16)
+    );
+  }
+  if (s.length === 6) {
+    const r = s.slice(0, 2),
+      g = s.slice(2, 4),
+      b = s.slice(4, 6);
+    return (
+      (0xff << 24) |
+      (parseInt(r, 16) << 16) |
+      (parseInt(g, 16) << 8) |
+      parseInt(b, 16)
+    );
+  }
+  if (s.length === 8) {
+    const a = s.slice(0, 2),
+      r = s.slice(2, 4),
+      g = s.slice(4, 6),
+      b = s.slice(6, 8);
+    return (
+      (parseInt(a, 16) << 24) |
+      (parseInt(r, 16) << 16) |
+      (parseInt(g, 16) << 8) |
+      parseInt(b, 16)
+    );
+  }
+  return 0xff000000; // default black
+};
+
+const hex2 = (n) => n.toString(16).padStart(2, "0");
+
+/** 0xAARRGGBB → "#rrggbb" (opaque) or "#aarrggbb" (when alpha < 255 and withAlpha) */
+export function argbToHex(argb, withAlpha = true) {
+  const a = (argb >>> 24) & 0xff;
+  const rgb = [(argb >>> 16) & 0xff, (argb >>> 8) & 0xff, argb & 0xff]
+    .map(hex2)
+    .join("");
+  return withAlpha && a !== 0xff ? `#${hex2(a)}${rgb}` : `#${rgb}`;
+}
+
+export const channels = (argb) => ({
+  a: (argb >>> 24) & 0xff,
+  r: (argb >>> 16) & 0xff,
+  g: (argb >>> 8) & 0xff,
+  b: argb & 0xff,
+});
+
+export const rgbaToArgb = (r, g, b, a = 255) =>
+  (((a & 0xff) << 24) | ((r & 0xff) << 16) | ((g & 0xff) << 8) | (b & 0xff)) >>>
+  0;
+
+/** Straight RGBA bytes (ImageData / PNG order) → 0xAARRGGBB pixels */
+export function rgbaToPixels(data, w, h) {
+  const out = new Uint32Array(w * h);
+  for (let i = 0; i < w * h; i++) {
+    const o = i * 4;
+    out[i] =
+      ((data[o + 3] << 24) |
+        (data[o] << 16) |
+        (data[o + 1] << 8) |
+        data[o + 2]) >>>
+      0;
+  }
+  return out;
+}
+
+/** 0xAARRGGBB pixels → straight RGBA bytes */
+export function pixelsToRgba(pixels) {
+  const out = new Uint8ClampedArray(pixels.length * 4);
+  for (let i = 0; i < pixels.length; i++) {
+    const c = pixels[i] >>> 0;
+    out[i * 4] = (c >>> 16) & 0xff;
+    out[i * 4 + 1] = (c >>> 8) & 0xff;
+    out[i * 4 + 2] = c & 0xff;
+    out[i * 4 + 3] = c >>> 24;
+  }
+  return out;
+}
+
+/** CSS colour for any 0xAARRGGBB (CSS #rrggbbaa order differs from ours) */
+export function argbToCss(argb) {
+  const { a, r, g, b } = channels(argb >>> 0);
+  // Three decimals tell all 256 alpha levels apart without float noise
+  const alpha = Math.round((a / 255) * 1000) / 1000;
+  return a === 0xff ? argbToHex(argb >>> 0) : `rgba(${r},${g},${b},${alpha})`;
+}
+
+/** Relative luminance (0..1, sRGB weights, no gamma) */
+export function luminance(argb) {
+  const { r, g, b } = channels(argb);
+  return (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+}
+
+/** RGB → HSL, h in degrees [0, 360), s and l in 0..1 */
+export function rgbToHsl(r, g, b) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+  if (d === 0) return { h: 0, s: 0, l };
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === r) h = ((g - b) / d) % 6;
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return { h: (h * 60 + 360) % 360, s, l };
+}
+
+/** HSL → RGB bytes; h in degrees, s and l in 0..1 */
+export function hslToRgb(h, s, l) {
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  return chromaToRgb(h, c, l - c / 2);
+}
+
+/** RGB → HSV, h in degrees [0, 360), s and v in 0..1 */
+export function rgbToHsv(r, g, b) {
+  const max = Math.max(r, g, b);
+  const d = max - Math.min(r, g, b);
+  const { h } = rgbToHsl(r, g, b);
+  return { h, s: max === 0 ? 0 : d / max, v: max / 255 };
+}
+
+/** HSV → RGB bytes; h in degrees, s and v in 0..1 */
+export function hsvToRgb(h, s, v) {
+  const c = v * s;
+  return chromaToRgb(h, c, v - c);
+}
+
+/** Shared tail of the HSL/HSV conversions: hue + chroma + lightness offset */
+function chromaToRgb(h, c, m) {
+  const hp = (((h % 360) + 360) % 360) / 60;
+  const x = c * (1 - Math.abs((hp % 2) - 1));
+  const [r, g, b] = [
+    [c, x, 0],
+    [x, c, 0],
+    [0, c, x],
+    [0, x, c],
+    [x, 0, c],
+    [c, 0, x],
+  ][Math.floor(hp)];
+  const byte = (v) => Math.round(Math.max(0, Math.min(1, v + m)) * 255);
+  return { r: byte(r), g: byte(g), b: byte(b) };
+}
+
+/** Squared distance in RGBA space (alpha weighted like a channel) */
+export function colorDistance(a, b) {
+  const ca = channels(a);
+  const cb = channels(b);
+  const dr = ca.r - cb.r;
+  const dg = ca.g - cb.g;
+  const db = ca.b - cb.b;
+  const da = ca.a - cb.a;
+  return dr * dr + dg * dg + db * db + da * da;
+}
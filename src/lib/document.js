@@ -0,0 +1,196 @@
+/**
+ * Document model — { width, height, layers, frames }.
+ *   layers: layer metadata, bottom → top (see layers.js)
+ *   frames: [{ id, duration (ms), cels: { [layerId]: Uint32Array } }]
+ * A missing cel is a transparent one. Every helper returns a new document and
+ * never mutates pixel buffers in place, so documents can be kept as undo snapshots.
+ */
+import {
+  blendInto,
+  compositeLayers,
+  createLayer,
+  newLayerId,
+} from "./layers.js";
+import { resizePixels } from "./resize.js";
+
+export const DEFAULT_FRAME_MS = 100;
+
+let frameSeq = 0;
+export const newFrameId = () =>
+  `f${Date.now().toString(36)}${(frameSeq++).toString(36)}`;
+
+export function createFrame(props = {}) {
+  return { id: newFrameId(), duration: DEFAULT_FRAME_MS, cels: {}, ...props };
+}
+
+/** New single-layer, single-frame document; `pixels` seeds the first cel */
+export function createDocument(width, height, { pixels } = {}) {
+  const layer = createLayer({ name: "Layer 1" });
+  const frame = createFrame();
+  if (pixels) frame.cels[layer.id] = pixels;
+  return { width, height, layers: [layer], frames: [frame] };
+}
+
+export const celPixels = (doc, frameIndex, layerId) =>
+  doc.frames[frameIndex]?.cels[layerId] ??
+  new Uint32Array(doc.width * doc.height);
+
+/** Layers of one frame with their `pixels` attached (for compositing) */
+export const resolveLayers = (doc, frameIndex) =>
+  doc.layers.map((l) => ({ ...l, pixels: celPixels(doc, frameIndex, l.id) }));
+
+export const compositeFrame = (doc, frameIndex) =>
+  compositeLayers(resolveLayers(doc, frameIndex), doc.width, doc.height);
+
+export function setCel(doc, frameIndex, layerId, pixels) {
+  return {
+    ...doc,
+    frames: doc.frames.map((f, i) =>
+      i === frameIndex ? { ...f, cels: { ...f.cels, [layerId]: pixels } } : f
+    ),
+  };
+}
+
+/** Apply fn(pixels, frameIndex, layerId) → pixels to every existing cel */
+export function mapCels(doc, fn) {
+  return {
+    ...doc,
+    frames: doc.frames.map((f, i) => {
+      const cels = {};
+      for (const [id, px] of Object.entries(f.cels)) cels[id] = fn(px, i, id);
+      return { ...f, cels };
+    }),
+  };
+}
+
+/* ── Layer operations (apply across all frames) ─────────────────────────── */
+
+/** Insert `layer` at `index`; `cels` maps frame index → pixels (optional) */
+export function insertLayer(doc, index, layer, cels = {}) {
+  return {
+    ...doc,
+    layers: [...doc.layers.slice(0, index), layer, ...doc.layers.slice(index)],
+    frames: doc.frames.map((f, i) =>
+      cels[i] ? { ...f, cels: { ...f.cels, [layer.id]: cels[i] } } : f
+    ),
+  };
+}
+
+export function removeLayer(doc, layerId) {
+  return {
+    ...doc,
+    layers: doc.layers.filter((l) => l.id !== layerId),
+    frames: doc.frames.map((f) => {
+      const { [layerId]: _removed, ...cels } = f.cels;
+      return { ...f, cels };
+    }),
+  };
+}
+
+/** Returns [nextDoc, copyId] */
+export function duplicateLayer(doc, layerId) {
+  const index = doc.layers.findIndex((l) => l.id === layerId);
+  const src = doc.layers[index];
+  const copy = { ...src, id: newLayerId(), name: `${src.name} copy` };
+  const cels = {};
+  doc.frames.forEach((f, i) => {
+    if (f.cels[layerId]) cels[i] = new Uint32Array(f.cels[layerId]);
+  });
+  return [insertLayer(doc, index + 1, copy, cels), copy.id];
+}
+
+/**
+ * Whether a layer can merge down: it needs a layer below, and both must be
+ * visible — merging into or out of a hidden layer would show or hide pixels.
+ */
+export function canMergeDown(layers, layerId) {
+  const index = layers.findIndex((l) => l.id === layerId);
+  return index > 0 && layers[index].visible && layers[index - 1].visible;
+}
+
+/**
+ * Merge a layer into the one below it, in every frame; the result keeps the
+ * lower layer's opacity/blend. With the lower layer at full opacity the
+ * composite is unchanged (to rounding) when it's the bottom layer or both are
+ * normal — otherwise the upper blend now only sees the lower layer. Returns
+ * `doc` as-is when canMergeDown says no.
+ */
+export function mergeLayerDown(doc, layerId) {
+  if (!canMergeDown(doc.layers, layerId)) return doc;
+  const index = doc.layers.findIndex((l) => l.id === layerId);
+  const upper = doc.layers[index];
+  const lower = doc.layers[index - 1];
+  const merged = { ...doc, frames: doc.frames.map((f) => ({ ...f })) };
+  doc.frames.forEach((f, i) => {
+    if (!f.cels[upper.id]) return;
+    const pixels = new Uint32Array(celPixels(doc, i, lower.id));
+    blendInto(pixels, f.cels[upper.id], upper.opacity, upper.blend);
+    merged.frames[i].cels = { ...f.cels, [lower.id]: pixels };
+  });
+  return removeLayer(merged, upper.id);
+}
+
+/** Collapse visible layers into one normal layer, per frame */
+export function flattenDocument(doc) {
+  const layer = createLayer({ name: "Layer 1" });
+  return {
+    ...doc,
+    layers: [layer],
+    frames: doc.frames.map((f, i) => ({
+      ...f,
+      cels: { [layer.id]: compositeFrame(doc, i) },
+    })),
+  };
+}
+
+/** Resize every cel (see resize.js for `mode` / `anchor`) */
+export function resizeDocument(doc, width, height, opts) {
+  return {
+    ...doc,
+    width,
+    height,
+    frames: doc.frames.map((f) => {
+      const cels = {};
+      for (const [id, px] of Object.entries(f.cels)) {
+        cels[id] = resizePixels(px, doc.width, doc.height, width, height, opts);
+      }
+      return { ...f, cels };
+    }),
+  };
+}
+
+/* ── Frame operations ───────────────────────────────────────────────────── */
+
+export function insertFrame(doc, index, frame = createFrame()) {
+  return {
+    ...doc,
+    frames: [...doc.frames.slice(0, index), frame, ...doc.frames.slice(index)],
+  };
+}
+
+export function duplicateFrame(doc, index) {
+  const src = doc.frames[index];
+  const cels = {};
+  for (const [id, px] of Object.entries(src.cels)) cels[id] = new Uint32Array(px);
+  return insertFrame(doc, index + 1, createFrame({ duration: src.duration, cels }));
+}
+
+export function removeFrame(doc, index) {
+  if (doc.frames.length <= 1) return doc;
+  return { ...doc, frames: doc.frames.filter((_, i) => i !== index) };
+}
+
+export function moveFrame(doc, from, to) {
+  if (to < 0 || to >= doc.frames.length || from === to) return doc;
+  const frames = [...doc.frames];
+  const [f] = frames.splice(from, 1);
+  frames.splice(to, 0, f);
+  return { ...doc, frames };
+}
+
+export function patchFrame(doc, index, patch) {
+  return {
+    ...doc,
+    frames: doc.frames.map((f, i) => (i === index ? { ...f, ...patch } : f)),
+  };
+}
@@ -0,0 +1,338 @@
+/**
+ * Export formats besides PNG/GIF — SVG, ICO favicons, CSS box-shadow, C/C++
+ * headers and JSON. Every exporter takes a w×h 0xAARRGGBB buffer and returns
+ * text (or bytes for ICO); nothing here touches the DOM.
+ */
+import { argbToCss, channels } from "./color.js";
+import { encodePng } from "./png.js";
+import { resampleImage } from "./quantize.js";
+
+export const EXPORT_FORMATS = [
+  { id: "svg", label: "SVG", ext: "svg", mime: "image/svg+xml" },
+  { id: "ico", label: "ICO favicon", ext: "ico", mime: "image/x-icon" },
+  { id: "css", label: "CSS box-shadow", ext: "css", mime: "text/css" },
+  { id: "c", label: "C/C++ header", ext: "h", mime: "text/x-c" },
+  { id: "json", label: "JSON", ext: "json", mime: "application/json" },
+];
+
+export const ICO_SIZES = [16, 32, 48];
+
+export const SVG_MODES = [
+  { id: "paths", label: "One path per colour" },
+  { id: "rects", label: "Rects" },
+];
+
+export const C_FORMATS = [
+  { id: "rgb565", label: "RGB565 (uint16_t)" },
+  { id: "rgba8888", label: "RGBA8888 (uint32_t)" },
+  { id: "indexed", label: "Indexed (uint8_t + palette)" },
+];
+
+export const JSON_LAYOUTS = [
+  { id: "indexed", label: "Palette + indices" },
+  { id: "hex", label: "Hex colours" },
+];
+
+const hex = (n, digits) => n.toString(16).padStart(digits, "0");
+
+/** "#rrggbb", or "#rrggbbaa" (CSS order) when translucent */
+function cssHex(argb) {
+  const { a, r, g, b } = channels(argb);
+  const rgb = `#${hex(r, 2)}${hex(g, 2)}${hex(b, 2)}`;
+  return a === 255 ? rgb : rgb + hex(a, 2);
+}
+
+/**
+ * Distinct colours in first-seen order and each pixel's index into them.
+ * Fully transparent pixels share colour 0, or get index -1 when
+ * `keepTransparent` is false.
+ */
+function indexColors(pixels, keepTransparent) {
+  const slots = new Map();
+  const colors = [];
+  const indices = new Int32Array(pixels.length);
+  for (let i = 0; i < pixels.length; i++) {
+    let c = pixels[i] >>> 0;
+    if (c >>> 24 === 0) {
+      if (!keepTransparent) {
+        indices[i] = -1;
+        continue;
+      }
+      c = 0;
+    }
+    let slot = slots.get(c);
+    if (slot === undefined) {
+      slot = colors.length;
+      slots.set(c, slot);
+      colors.push(c);
+    }
+    indices[i] = slot;
+  }
+  return { colors, indices };
+}
+
+/**
+ * Cover the visible pixels with few rectangles: runs grow right, then down
+ * while every row below matches. Returns [{ argb, rects: [{ x, y, w, h }] }].
+ */
+export function mergeRects(pixels, w, h) {
+  const done = new Uint8Array(w * h);
+  const byColor = new Map();
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      const c = pixels[i] >>> 0;
+      if (done[i] || c >>> 24 === 0) continue;
+      let rw = 1;
+      while (x + rw < w && !done[i + rw] && pixels[i + rw] >>> 0 === c) rw++;
+      let rh = 1;
+      for (; y + rh < h; rh++) {
+        const row = i + rh * w;
+        let k = 0;
+        while (k < rw && !done[row + k] && pixels[row + k] >>> 0 === c) k++;
+        if (k < rw) break;
+      }
+      for (let dy = 0; dy < rh; dy++) done.fill(1, i + dy * w, i + dy * w + rw);
+      if (!byColor.has(c)) byColor.set(c, []);
+      byColor.get(c).push({ x, y, w: rw, h: rh });
+    }
+  }
+  return [...byColor].map(([argb, rects]) => ({ argb, rects }));
+}
+
+/* ── SVG ────────────────────────────────────────────────────────────────── */
+
+/** opts: { mode: "paths" | "rects", scale (display size multiplier) } */
+export function toSvg(pixels, w, h, { mode = "paths", scale = 1 } = {}) {
+  const fill = (argb) => {
+    const { a } = channels(argb);
+    const opacity = a === 255 ? "" : ` fill-opacity="${+(a / 255).toFixed(3)}"`;
+    return `fill="${cssHex(argb | 0xff000000)}"${opacity}`;
+  };
+  const shapes = mergeRects(pixels, w, h).flatMap(({ argb, rects }) =>
+    mode === "rects"
+      ? rects.map(
+          (r) =>
+            `<rect x="${r.x}" y="${r.y}" width="${r.w}" height="${r.h}" ${fill(argb)}/>`
+        )
+      : [
+          `<path ${fill(argb)} d="${rects
+            .map((r) => `M${r.x} ${r.y}h${r.w}v${r.h}h-${r.w}z`)
+            .join("")}"/>`,
+        ]
+  );
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${w} ${h}" ` +
+      `width="${w * scale}" height="${h * scale}" shape-rendering="crispEdges">`,
+    ...shapes.map((s) => `  ${s}`),
+    "</svg>",
+    "",
+  ].join("\n");
+}
+
+/* ── ICO ────────────────────────────────────────────────────────────────── */
+
+/** The sprite fitted into a size×size icon (majority colour when shrinking) */
+export function iconPixels(pixels, w, h, size) {
+  return resampleImage(pixels, w, h, size, size, {
+    fit: "fit",
+    method: size < Math.max(w, h) ? "majority" : "nearest",
+  });
+}
+
+/** Multi-size .ico with PNG-compressed images → Uint8Array */
+export function toIco(pixels, w, h, sizes = ICO_SIZES) {
+  const images = sizes.map((s) => encodePng(iconPixels(pixels, w, h, s), s, s));
+  const header = 6 + 16 * images.length;
+  const out = new Uint8Array(
+    header + images.reduce((n, img) => n + img.length, 0)
+  );
+  const view = new DataView(out.buffer);
+  view.setUint16(2, 1, true); // type: icon
+  view.setUint16(4, images.length, true);
+  let offset = header;
+  images.forEach((img, i) => {
+    const entry = 6 + i * 16;
+    out[entry] = sizes[i] >= 256 ? 0 : sizes[i]; // 0 means 256
+    out[entry + 1] = sizes[i] >= 256 ? 0 : sizes[i];
+    view.setUint16(entry + 4, 1, true); // colour planes
+    view.setUint16(entry + 6, 32, true); // bits per pixel
+    view.setUint32(entry + 8, img.length, true);
+    view.setUint32(entry + 12, offset, true);
+    out.set(img, offset);
+    offset += img.length;
+  });
+  return out;
+}
+
+/* ── CSS ────────────────────────────────────────────────────────────────── */
+
+/**
+ * `selector` becomes a w·scale × h·scale box whose ::after pseudo-element is
+ * one scale-sized cell, drawn once per pixel as a box-shadow. Shadows never
+ * paint under their own box, so the cell sits one cell up-left of the sprite.
+ */
+export function toBoxShadow(
+  pixels,
+  w,
+  h,
+  { scale = 4, selector = ".kwaxel" } = {}
+) {
+  const shadows = [];
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const c = pixels[y * w + x] >>> 0;
+      if (c >>> 24 === 0) continue;
+      shadows.push(`${(x + 1) * scale}px ${(y + 1) * scale}px ${argbToCss(c)}`);
+    }
+  }
+  return [
+    `${selector} {`,
+    "  position: relative;",
+    `  width: ${w * scale}px;`,
+    `  height: ${h * scale}px;`,
+    "}",
+    `${selector}::after {`,
+    '  content: "";',
+    "  position: absolute;",
+    `  top: -${scale}px;`,
+    `  left: -${scale}px;`,
+    `  width: ${scale}px;`,
+    `  height: ${scale}px;`,
+    shadows.length > 0
+      ? `  box-shadow:\n    ${shadows.join(",\n    ")};`
+      : "  box-shadow: none;",
+    "}",
+    "",
+  ].join("\n");
+}
+
+/* ── C / C++ ────────────────────────────────────────────────────────────── */
+
+/** A valid C identifier from a free-form name */
+export function cIdentifier(name) {
+  const id = String(name)
+    .trim()
+    .replace(/[^A-Za-z0-9_]+/g, "_");
+  if (!id || /^_*$/.test(id)) return "kwaxel";
+  return /^[0-9]/.test(id) ? `kwaxel_${id}` : id;
+}
+
+/** Comma-separated values, `perLine` to a line, indented for an initializer */
+const cValues = (values, perLine) => {
+  const lines = [];
+  for (let i = 0; i < values.length; i += perLine) {
+    lines.push(`  ${values.slice(i, i + perLine).join(", ")},`);
+  }
+  return lines.join("\n");
+};
+
+const rgba8888 = (argb) => {
+  const { a, r, g, b } = channels(argb);
+  return `0x${hex(r, 2)}${hex(g, 2)}${hex(b, 2)}${hex(a, 2)}`;
+};
+
+const rgb565 = (argb) => {
+  const { r, g, b } = channels(argb);
+  return `0x${hex(((r >> 3) << 11) | ((g >> 2) << 5) | (b >> 3), 4)}`;
+};
+
+/**
+ * C header with the pixels as a const array. format: "rgb565" (alpha
+ * dropped), "rgba8888" (0xRRGGBBAA) or "indexed" (uint8_t indices plus an
+ * RGBA8888 palette; throws RangeError past 256 colours).
+ */
+export function toCArray(
+  pixels,
+  w,
+  h,
+  { format = "rgb565", name = "kwaxel" } = {}
+) {
+  const id = cIdentifier(name);
+  const ID = id.toUpperCase();
+  const px = Array.from(pixels, (c) => c >>> 0);
+  let body;
+  if (format === "indexed") {
+    const { colors, indices } = indexColors(pixels, true);
+    if (colors.length > 256) {
+      throw new RangeError(
+        `Indexed output needs at most 256 colours (this image has ${colors.length})`
+      );
+    }
+    body = [
+      `#define ${ID}_COLORS ${colors.length}`,
+      "",
+      `static const uint32_t ${id}_palette[${ID}_COLORS] = {`,
+      cValues(colors.map(rgba8888), 8),
+      "};",
+      "",
+      `static const uint8_t ${id}[${ID}_WIDTH * ${ID}_HEIGHT] = {`,
+      cValues(Array.from(indices, String), 16),
+      "};",
+    ];
+  } else {
+    const [type, value, perLine] =
+      format === "rgba8888"
+        ? ["uint32_t", rgba8888, 8]
+        : ["uint16_t", rgb565, 12];
+    body = [
+      `static const ${type} ${id}[${ID}_WIDTH * ${ID}_HEIGHT] = {`,
+      cValues(px.map(value), perLine),
+      "};",
+    ];
+  }
+  const label = C_FORMATS.find((f) => f.id === format)?.label ?? format;
+  return [
+    `/* ${w}×${h} kwaxel, ${label}, row-major from the top left */`,
+    `#ifndef ${ID}_H`,
+    `#define ${ID}_H`,
+    "",
+    "#include <stdint.h>",
+    "",
+    `#define ${ID}_WIDTH ${w}`,
+    `#define ${ID}_HEIGHT ${h}`,
+    "",
+    ...body,
+    "",
+    `#endif /* ${ID}_H */`,
+    "",
+  ].join("\n");
+}
+
+/* ── JSON ───────────────────────────────────────────────────────────────── */
+
+/**
+ * layout "indexed": { width, height, palette: ["#rrggbb[aa]"], pixels: rows
+ * of palette indices, -1 for transparent }; "hex": rows of colours or null.
+ * One row per line so the file stays readable.
+ */
+export function toJson(pixels, w, h, { layout = "indexed" } = {}) {
+  const rows = (cell) => {
+    const out = [];
+    for (let y = 0; y < h; y++) {
+      const row = [];
+      for (let x = 0; x < w; x++) row.push(JSON.stringify(cell(y * w + x)));
+      out.push(`    [${row.join(", ")}]`);
+    }
+    return out.join(",\n");
+  };
+  const head = [`  "width": ${w},`, `  "height": ${h},`];
+  if (layout === "hex") {
+    const cell = (i) =>
+      pixels[i] >>> 24 === 0 ? null : cssHex(pixels[i] >>> 0);
+    return ["{", ...head, '  "pixels": [', rows(cell), "  ]", "}", ""].join(
+      "\n"
+    );
+  }
+  const { colors, indices } = indexColors(pixels, false);
+  return [
+    "{",
+    ...head,
+    `  "palette": ${JSON.stringify(colors.map(cssHex))},`,
+    '  "pixels": [',
+    rows((i) => indices[i]),
+    "  ]",
+    "}",
+    "",
+  ].join("\n");
+}
@@ -0,0 +1,221 @@
+/**
+ * Flood fill — the region around a pixel (scanline, with a colour tolerance,
+ * 4- or 8-connectivity, or every matching pixel at once), shared by the fill
+ * tool and the magic wand, and the patterns a region can be painted with.
+ */
+import { channels } from "./color.js";
+import { bayerMatrix, mapToPalette } from "./quantize.js";
+import { maskBounds } from "./selection.js";
+
+export const FILL_PATTERNS = [
+  { id: "solid", label: "Solid" },
+  { id: "checker", label: "Checker" },
+  { id: "bayer", label: "Bayer dither" },
+  { id: "linear", label: "Linear gradient" },
+  { id: "radial", label: "Radial gradient" },
+  { id: "tile", label: "Tile" },
+];
+
+/** Patterns whose geometry comes from a drag across the canvas */
+export const GRADIENT_PATTERNS = ["linear", "radial"];
+
+export const MAX_TOLERANCE = 255;
+
+export const DEFAULT_FILL_OPTIONS = {
+  tolerance: 0,
+  contiguous: true,
+  connectivity: 4,
+  pattern: "solid",
+  secondary: "#ffffff",
+  mix: 50,
+  dither: "bayer4",
+};
+
+/** Saved fill options with anything unknown or out of range reset */
+export function parseFillOptions(raw) {
+  const o = { ...DEFAULT_FILL_OPTIONS };
+  if (!raw || typeof raw !== "object") return o;
+  if (Number.isInteger(raw.tolerance)) {
+    o.tolerance = Math.max(0, Math.min(MAX_TOLERANCE, raw.tolerance));
+  }
+  if (typeof raw.contiguous === "boolean") o.contiguous = raw.contiguous;
+  if (raw.connectivity === 4 || raw.connectivity === 8) {
+    o.connectivity = raw.connectivity;
+  }
+  if (FILL_PATTERNS.some((p) => p.id === raw.pattern)) o.pattern = raw.pattern;
+  if (typeof raw.secondary === "string") o.secondary = raw.secondary;
+  if (Number.isInteger(raw.mix)) o.mix = Math.max(0, Math.min(100, raw.mix));
+  if (typeof raw.dither === "string") o.dither = raw.dither;
+  return o;
+}
+
+/** Fully transparent pixels all count as the same colour */
+const normalize = (c) => (c >>> 24 === 0 ? 0 : c >>> 0);
+
+/**
+ * Predicate for "close enough to `target`": every channel, alpha included,
+ * within `tolerance` (0 = exact match).
+ */
+function matcher(buf, target, tolerance) {
+  const t = normalize(target);
+  if (tolerance <= 0) return (i) => normalize(buf[i]) === t;
+  const { a, r, g, b } = channels(t);
+  return (i) => {
+    const c = channels(normalize(buf[i]));
+    return (
+      Math.abs(c.a - a) <= tolerance &&
+      Math.abs(c.r - r) <= tolerance &&
+      Math.abs(c.g - g) <= tolerance &&
+      Math.abs(c.b - b) <= tolerance
+    );
+  };
+}
+
+/**
+ * Mask (1 = in region) of the pixels matching the colour at (x, y).
+ * opts: { tolerance (0–255 per channel), contiguous (false = every matching
+ * pixel on the canvas), connectivity (4, or 8 to leak through diagonals) }.
+ */
+export function floodRegion(
+  buf,
+  w,
+  h,
+  x,
+  y,
+  { tolerance = 0, contiguous = true, connectivity = 4 } = {}
+) {
+  const mask = new Uint8Array(w * h);
+  const match = matcher(buf, buf[y * w + x], tolerance);
+  if (!contiguous) {
+    for (let i = 0; i < mask.length; i++) if (match(i)) mask[i] = 1;
+    return mask;
+  }
+  const open = (i) => !mask[i] && match(i);
+  const reach = connectivity === 8 ? 1 : 0;
+  // Scanline: fill a whole run, then seed one pixel per run above and below
+  const stack = [x, y];
+  while (stack.length) {
+    const sy = stack.pop();
+    const sx = stack.pop();
+    const row = sy * w;
+    if (!open(row + sx)) continue;
+    let l = sx;
+    let r = sx;
+    while (l > 0 && open(row + l - 1)) l--;
+    while (r < w - 1 && open(row + r + 1)) r++;
+    mask.fill(1, row + l, row + r + 1);
+    const lo = Math.max(0, l - reach);
+    const hi = Math.min(w - 1, r + reach);
+    for (const ny of [sy - 1, sy + 1]) {
+      if (ny < 0 || ny >= h) continue;
+      let inRun = false;
+      for (let nx = lo; nx <= hi; nx++) {
+        const ok = open(ny * w + nx);
+        if (ok && !inRun) stack.push(nx, ny);
+        inRun = ok;
+      }
+    }
+  }
+  return mask;
+}
+
+/* ── Patterns ───────────────────────────────────────────────────────────── */
+
+const BAYER_4 = bayerMatrix(4);
+
+const mixArgb = (a, b, t) => {
+  const ca = channels(a);
+  const cb = channels(b);
+  const m = (u, v) => Math.round(u + (v - u) * t);
+  return (
+    ((m(ca.a, cb.a) << 24) |
+      (m(ca.r, cb.r) << 16) |
+      (m(ca.g, cb.g) << 8) |
+      m(ca.b, cb.b)) >>>
+    0
+  );
+};
+
+/**
+ * Gradient position 0–1 of every pixel. Without a drag (`from` equal to
+ * `to`) linear runs left to right across the region and radial spreads from
+ * `from` to the region's farthest corner.
+ */
+function gradientAt(pattern, mask, w, h, from, to) {
+  const b = maskBounds(mask, w, h);
+  let { x: fx, y: fy } = from;
+  let dx = to.x - fx;
+  let dy = to.y - fy;
+  if (dx === 0 && dy === 0 && b) {
+    const right = b.x + b.width - 1;
+    const bottom = b.y + b.height - 1;
+    if (pattern === "linear") {
+      fx = b.x;
+      dx = right - b.x;
+    } else {
+      dx = Math.max(fx - b.x, right - fx);
+      dy = Math.max(fy - b.y, bottom - fy);
+    }
+  }
+  const len2 = dx * dx + dy * dy || 1;
+  const len = Math.sqrt(len2);
+  return (x, y) => {
+    const t =
+      pattern === "linear"
+        ? ((x - fx) * dx + (y - fy) * dy) / len2
+        : Math.hypot(x - fx, y - fy) / len;
+    return Math.max(0, Math.min(1, t));
+  };
+}
+
+/**
+ * Paint the masked pixels of `buf` in place; returns `buf`. `paint` is a
+ * colour, or { pattern, argb, secondary, … } with
+ *   checker / bayer: two colours, `mix` = % of `secondary` for bayer;
+ *   linear / radial: argb → secondary between `from` and `to` ({ x, y }),
+ *     snapped to `palette` (argb[]) with `dither` when one is given;
+ *   tile: `tile` = { width, height, pixels } repeated from the canvas origin.
+ */
+export function paintMask(buf, w, h, mask, paint) {
+  if (typeof paint === "number") paint = { pattern: "solid", argb: paint };
+  const { pattern = "solid", argb, secondary = argb } = paint;
+  let colorAt;
+  if (pattern === "checker") {
+    colorAt = (x, y) => ((x + y) & 1 ? secondary : argb);
+  } else if (pattern === "bayer") {
+    const mix = (paint.mix ?? 50) / 100;
+    colorAt = (x, y) => (BAYER_4[y & 3][x & 3] < mix ? secondary : argb);
+  } else if (pattern === "tile" && paint.tile) {
+    const { width: tw, height: th, pixels: tp } = paint.tile;
+    colorAt = (x, y) => tp[(y % th) * tw + (x % tw)];
+  } else if (GRADIENT_PATTERNS.includes(pattern)) {
+    const from = paint.from ?? { x: 0, y: 0 };
+    const at = gradientAt(pattern, mask, w, h, from, paint.to ?? from);
+    const ramp = new Uint32Array(w * h);
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i]) ramp[i] = mixArgb(argb, secondary, at(i % w, (i / w) | 0));
+    }
+    const palette = paint.palette ?? [];
+    const out =
+      palette.length > 0
+        ? mapToPalette(ramp, w, h, palette, paint.dither ?? "none")
+        : ramp;
+    colorAt = (x, y) => out[y * w + x];
+  } else {
+    colorAt = () => argb;
+  }
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (mask[y * w + x]) buf[y * w + x] = colorAt(x, y);
+    }
+  }
+  return buf;
+}
+
+/**
+ * Fill the region around (x, y) in place; returns `buf`. `paint` is a colour
+ * or a pattern (see paintMask), `opts` as for floodRegion.
+ */
+export function floodFill(buf, w, h, x, y, paint, opts) {
+  return paintMask(buf, w, h, floodRegion(buf, w, h, x, y, opts), paint);
+}
@@ -0,0 +1,374 @@
+/**
+ * Procedural kwaxels — a seeded sprite built from a template mask (cells that
+ * are always filled, never filled or left to chance), mirrored into a
+ * symmetric body, coloured from the palette, shaded and outlined. The same
+ * seed and settings always give the same sprite; a generator code
+ * ("ship:seed:60:4:100:1") carries both so sprites can be shared.
+ */
+import {
+  argbToHex,
+  channels,
+  hexToArgb,
+  hslToRgb,
+  luminance,
+  rgbaToArgb,
+} from "./color.js";
+import { floodRegion } from "./fill.js";
+import { MIN_RAMP_STEPS, shadingRamp } from "./palette.js";
+import { outlinePixels } from "./transform.js";
+
+/*
+ * Templates are drawn full width, 12×12, and stretched to the sprite size:
+ * "#" always filled, "+" filled by chance (density), "." never filled.
+ */
+export const GENERATOR_TEMPLATES = [
+  {
+    id: "creature",
+    label: "Creature",
+    rows: [
+      "....++++....",
+      "...++++++...",
+      "..++####++..",
+      "..+######+..",
+      "..+##++##+..",
+      "...+####+...",
+      "..++####++..",
+      ".+++####+++.",
+      "++.+####+.++",
+      "+..++##++..+",
+      "...++..++...",
+      "..++....++..",
+    ],
+  },
+  {
+    id: "ship",
+    label: "Spaceship",
+    rows: [
+      ".....++.....",
+      ".....##.....",
+      "....+##+....",
+      "....+##+....",
+      "...++##++...",
+      "..+++##+++..",
+      ".++++##++++.",
+      "+++++##+++++",
+      "++++####++++",
+      "+++.####.+++",
+      "++..+##+..++",
+      "+....++....+",
+    ],
+  },
+  {
+    id: "robot",
+    label: "Robot",
+    rows: [
+      "...++++++...",
+      "..++####++..",
+      "..+######+..",
+      "..+#.##.#+..",
+      "..+######+..",
+      "..++####++..",
+      "....+##+....",
+      ".++######++.",
+      "+.+######+.+",
+      "+.+######+.+",
+      "...+#..#+...",
+      "...++..++...",
+    ],
+  },
+  {
+    id: "item",
+    label: "Item",
+    rows: [
+      ".....##.....",
+      "....+##+....",
+      ".....##.....",
+      "....####....",
+      "...+####+...",
+      "..++####++..",
+      ".+++####+++.",
+      ".++######++.",
+      ".++######++.",
+      ".+++####+++.",
+      "..++++++++..",
+      "....++++....",
+    ],
+  },
+  {
+    id: "blob",
+    label: "Blob",
+    rows: [
+      "....++++....",
+      "..++++++++..",
+      ".++++++++++.",
+      ".++++##++++.",
+      "++++####++++",
+      "+++######+++",
+      "+++######+++",
+      "++++####++++",
+      ".++++##++++.",
+      ".++++++++++.",
+      "..++++++++..",
+      "....++++....",
+    ],
+  },
+];
+
+export const MIN_GENERATOR_COLORS = 2;
+export const MAX_GENERATOR_COLORS = 8;
+
+export const DEFAULT_GENERATOR_SETTINGS = {
+  template: "creature",
+  seed: "kwaxel",
+  density: 55, // % of chance cells filled
+  colors: 4,
+  symmetry: 100, // % of cells that copy their mirror image
+  outline: true,
+};
+
+/** 32-bit hash of a seed string (FNV-1a) */
+export function hashSeed(seed) {
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** Seeded PRNG (mulberry32) → () => float in [0, 1) */
+export function seededRandom(seed) {
+  let a = typeof seed === "number" ? seed >>> 0 : hashSeed(seed);
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** A fresh, readable seed like "k7f3q9" (not itself seeded) */
+export function randomSeed() {
+  return Math.random().toString(36).slice(2, 8);
+}
+
+const clampInt = (v, min, max, fallback) =>
+  Number.isInteger(v) ? Math.max(min, Math.min(max, v)) : fallback;
+
+/** Saved or shared settings with anything unknown or out of range reset */
+export function parseGeneratorSettings(raw) {
+  const d = DEFAULT_GENERATOR_SETTINGS;
+  if (!raw || typeof raw !== "object") return { ...d };
+  return {
+    template: GENERATOR_TEMPLATES.some((t) => t.id === raw.template)
+      ? raw.template
+      : d.template,
+    seed: typeof raw.seed === "string" && raw.seed ? raw.seed : d.seed,
+    density: clampInt(raw.density, 0, 100, d.density),
+    colors: clampInt(
+      raw.colors,
+      MIN_GENERATOR_COLORS,
+      MAX_GENERATOR_COLORS,
+      d.colors
+    ),
+    symmetry: clampInt(raw.symmetry, 0, 100, d.symmetry),
+    outline: typeof raw.outline === "boolean" ? raw.outline : d.outline,
+  };
+}
+
+/** "template:seed:density:colors:symmetry:outline" */
+export function formatGeneratorCode(s) {
+  return [
+    s.template,
+    encodeURIComponent(s.seed),
+    s.density,
+    s.colors,
+    s.symmetry,
+    s.outline ? 1 : 0,
+  ].join(":");
+}
+
+/** Settings from a generator code, or null if it isn't one */
+export function parseGeneratorCode(code) {
+  const parts = String(code).trim().split(":");
+  if (parts.length !== 6) return null;
+  const [template, seed, density, colors, symmetry, outline] = parts;
+  let decoded;
+  try {
+    decoded = decodeURIComponent(seed);
+  } catch {
+    return null;
+  }
+  const settings = parseGeneratorSettings({
+    template,
+    seed: decoded,
+    density: Number(density),
+    colors: Number(colors),
+    symmetry: Number(symmetry),
+    outline: outline === "1",
+  });
+  return settings.template === template && settings.seed === decoded
+    ? settings
+    : null;
+}
+
+/**
+ * Colour scheme: `count` palette colours around a seeded anchor (its nearest
+ * neighbours), darkest first. Palettes with too few opaque colours fall back
+ * to a hue-shifted ramp around a seeded hue.
+ */
+function pickScheme(opaque, count, rand) {
+  const pick = rand();
+  if (opaque.length < count) {
+    const { r, g, b } = hslToRgb(Math.floor(pick * 360), 0.65, 0.5);
+    const ramp = shadingRamp(argbToHex(rgbaToArgb(r, g, b)), {
+      steps: Math.max(MIN_RAMP_STEPS, count),
+      hueShift: 25,
+      saturation: 0.3,
+    });
+    return ramp.slice(0, count).map((c) => hexToArgb(c) >>> 0);
+  }
+  const anchor = channels(opaque[Math.floor(pick * opaque.length)]);
+  const dist = (argb) => {
+    const c = channels(argb);
+    return (
+      (c.r - anchor.r) ** 2 + (c.g - anchor.g) ** 2 + (c.b - anchor.b) ** 2
+    );
+  };
+  return [...opaque]
+    .sort((a, b) => dist(a) - dist(b))
+    .slice(0, count)
+    .sort((a, b) => luminance(a) - luminance(b));
+}
+
+const FILLED = 0xff000000;
+
+/** Only the largest 8-connected part of the body survives */
+function keepLargestPart(body, w, h) {
+  const seen = new Uint8Array(w * h);
+  let best = null;
+  let bestSize = 0;
+  for (let i = 0; i < body.length; i++) {
+    if (!body[i] || seen[i]) continue;
+    const part = floodRegion(body, w, h, i % w, (i / w) | 0, {
+      connectivity: 8,
+    });
+    let size = 0;
+    for (let j = 0; j < part.length; j++) {
+      if (!part[j]) continue;
+      seen[j] = 1;
+      size++;
+    }
+    if (size > bestSize) {
+      best = part;
+      bestSize = size;
+    }
+  }
+  if (best) for (let i = 0; i < body.length; i++) if (!best[i]) body[i] = 0;
+}
+
+/**
+ * A w×h sprite (0xAARRGGBB) from `settings` (see DEFAULT_GENERATOR_SETTINGS)
+ * and `palette` (hex strings). Deterministic: random draws happen in a fixed
+ * order, so only the seed and the settings decide the result.
+ */
+export function generateSprite(w, h, settings, palette = []) {
+  const s = parseGeneratorSettings(settings);
+  const rows = GENERATOR_TEMPLATES.find((t) => t.id === s.template).rows;
+  const rand = seededRandom(s.seed);
+  const opaque = [...new Set(palette.map((c) => hexToArgb(c) >>> 0))].filter(
+    (c) => c >>> 24 === 0xff
+  );
+  const scheme = pickScheme(opaque, s.colors, rand);
+
+  // The body, one pixel in from the edge to leave room for the outline
+  const m = s.outline ? 1 : 0;
+  const bw = Math.max(1, w - 2 * m);
+  const bh = Math.max(1, h - 2 * m);
+  const cellAt = (x, y) =>
+    rows[Math.floor((y * rows.length) / bh)][
+      Math.floor((x * rows[0].length) / bw)
+    ];
+
+  // Chance is rolled per grain (about 16 across), not per pixel, so larger
+  // sprites get larger features rather than noise
+  const grain = Math.max(1, Math.round(Math.max(bw, bh) / 16));
+  const gw = Math.ceil(bw / grain);
+  const gh = Math.ceil(bh / grain);
+  const fillRoll = Float32Array.from({ length: gw * gh }, rand);
+  const mirrorRoll = Float32Array.from({ length: gw * gh }, rand);
+  const patchRoll = Float32Array.from({ length: 16 }, rand);
+  const roll = (rolls, x, y) =>
+    rolls[Math.floor(y / grain) * gw + Math.floor(x / grain)];
+
+  const body = new Uint32Array(bw * bh);
+  for (let y = 0; y < bh; y++) {
+    for (let x = 0; x < bw; x++) {
+      const mx = bw - 1 - x;
+      let filled;
+      if (x > mx && roll(mirrorRoll, x, y) * 100 < s.symmetry) {
+        filled = body[y * bw + mx] !== 0;
+      } else {
+        const cell = cellAt(x, y);
+        filled =
+          cell === "#" ||
+          (cell === "+" && roll(fillRoll, x, y) * 100 < s.density);
+      }
+      if (filled) body[y * bw + x] = FILLED;
+    }
+  }
+
+  // Round off the grain steps: chance pixels follow their neighbourhood
+  if (grain > 1) {
+    const prev = body.slice();
+    const at = (x, y) =>
+      x >= 0 && y >= 0 && x < bw && y < bh && prev[y * bw + x] !== 0;
+    for (let y = 0; y < bh; y++) {
+      for (let x = 0; x < bw; x++) {
+        if (cellAt(x, y) !== "+") continue;
+        let n = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++)
+            if ((dx || dy) && at(x + dx, y + dy)) n++;
+        }
+        if (n >= 6) body[y * bw + x] = FILLED;
+        else if (n <= 2) body[y * bw + x] = 0;
+      }
+    }
+  }
+  keepLargestPart(body, bw, bh);
+
+  // Shading: lit from the top, darker at the rim, with mirrored 4×4 patches
+  // nudging whole areas up or down the scheme
+  const inside = (x, y) =>
+    x >= 0 && y >= 0 && x < bw && y < bh && body[y * bw + x] !== 0;
+  const out = new Uint32Array(w * h);
+  for (let y = 0; y < bh; y++) {
+    for (let x = 0; x < bw; x++) {
+      if (!inside(x, y)) continue;
+      const rim =
+        !inside(x - 1, y) ||
+        !inside(x + 1, y) ||
+        !inside(x, y - 1) ||
+        !inside(x, y + 1);
+      const px = Math.floor((Math.min(x, bw - 1 - x) * 8) / bw);
+      const py = Math.floor((y * 4) / bh);
+      const v =
+        0.5 +
+        0.3 * (0.5 - y / Math.max(1, bh - 1)) +
+        (rim ? -0.3 : 0.05) +
+        (patchRoll[py * 4 + px] - 0.5) * 0.45;
+      const level = Math.max(
+        0,
+        Math.min(scheme.length - 1, Math.floor(v * scheme.length))
+      );
+      out[(y + m) * w + x + m] = scheme[level];
+    }
+  }
+  if (!s.outline) return out;
+  const darkest = [...opaque, ...scheme].reduce((a, b) =>
+    luminance(b) < luminance(a) ? b : a
+  );
+  return outlinePixels(out, w, h, darkest);
+}
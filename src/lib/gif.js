@@ -0,0 +1,202 @@
+/**
+ * Minimal animated GIF89a encoder (browser-side, no dependencies).
+ * Frames are 0xAARRGGBB buffers; alpha < 128 becomes the transparent index.
+ * Up to 255 distinct opaque colours are kept exactly, beyond that colours are
+ * snapped to a 6×6×6 cube.
+ */
+
+const TRANSPARENT = 0;
+const ALPHA_CUTOFF = 128;
+
+/** Build the shared palette: returns { palette: [rgb...], indexOf(argb) } */
+function buildPalette(frames) {
+  const seen = new Map();
+  for (const { pixels } of frames) {
+    for (let i = 0; i < pixels.length; i++) {
+      const p = pixels[i] >>> 0;
+      if (p >>> 24 < ALPHA_CUTOFF) continue;
+      const rgb = p & 0xffffff;
+      if (!seen.has(rgb)) seen.set(rgb, seen.size + 1);
+      if (seen.size > 255) break;
+    }
+    if (seen.size > 255) break;
+  }
+
+  if (seen.size <= 255) {
+    const palette = [0, ...seen.keys()];
+    return {
+      palette,
+      indexOf: (p) => (p >>> 24 < ALPHA_CUTOFF ? TRANSPARENT : seen.get(p & 0xffffff)),
+    };
+  }
+
+  // Too many colours: 6×6×6 web-safe cube (216 entries + transparent)
+  const palette = [0];
+  for (let r = 0; r < 6; r++)
+    for (let g = 0; g < 6; g++)
+      for (let b = 0; b < 6; b++)
+        palette.push(((r * 51) << 16) | ((g * 51) << 8) | (b * 51));
+  const q = (v) => Math.round(v / 51);
+  return {
+    palette,
+    indexOf: (p) => {
+      if (p >>> 24 < ALPHA_CUTOFF) return TRANSPARENT;
+      return 1 + q((p >>> 16) & 0xff) * 36 + q((p >>> 8) & 0xff) * 6 + q(p & 0xff);
+    },
+  };
+}
+
+/** Growable little-endian byte writer */
+function byteWriter() {
+  let buf = new Uint8Array(4096);
+  let len = 0;
+  const ensure = (n) => {
+    if (len + n <= buf.length) return;
+    const next = new Uint8Array(Math.max(buf.length * 2, len + n));
+    next.set(buf);
+    buf = next;
+  };
+  return {
+    byte(b) {
+      ensure(1);
+      buf[len++] = b & 0xff;
+    },
+    u16(v) {
+      this.byte(v);
+      this.byte(v >> 8);
+    },
+    bytes(arr) {
+      ensure(arr.length);
+      buf.set(arr, len);
+      len += arr.length;
+    },
+    ascii(s) {
+      for (let i = 0; i < s.length; i++) this.byte(s.charCodeAt(i));
+    },
+    result: () => buf.slice(0, len),
+  };
+}
+
+/** GIF-flavoured LZW (variable code size, LSB-first, max 12 bits) */
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+  const out = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = eoiCode + 1;
+  let table = new Map();
+  let cur = 0;
+  let curBits = 0;
+
+  const emit = (code) => {
+    cur |= code << curBits;
+    curBits += codeSize;
+    while (curBits >= 8) {
+      out.push(cur & 0xff);
+      cur >>>= 8;
+      curBits -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const hit = table.get(key);
+    if (hit !== undefined) {
+      prefix = hit;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      table = new Map();
+      nextCode = eoiCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoiCode);
+  if (curBits > 0) out.push(cur & 0xff);
+  return out;
+}
+
+/** Nearest-neighbour upscale of palette indices */
+function scaleIndices(indices, w, h, mult) {
+  if (mult === 1) return indices;
+  const sw = w * mult;
+  const out = new Uint8Array(sw * h * mult);
+  for (let y = 0; y < h * mult; y++) {
+    const row = Math.floor(y / mult) * w;
+    for (let x = 0; x < sw; x++) out[y * sw + x] = indices[row + Math.floor(x / mult)];
+  }
+  return out;
+}
+
+/**
+ * Encode frames ([{ pixels, duration (ms) }], all w×h) to GIF bytes.
+ * opts.scale: integer upscale, opts.loop: repeat forever (default) or play once.
+ */
+export function encodeGif(frames, w, h, { scale = 1, loop = true } = {}) {
+  const { palette, indexOf } = buildPalette(frames);
+  let tableBits = 1;
+  while (1 << tableBits < palette.length) tableBits++;
+  const minCodeSize = Math.max(2, tableBits);
+  const ow = w * scale;
+  const oh = h * scale;
+
+  const out = byteWriter();
+  out.ascii("GIF89a");
+  out.u16(ow);
+  out.u16(oh);
+  out.byte(0x80 | 0x70 | (tableBits - 1)); // global table, 8-bit colour resolution
+  out.byte(TRANSPARENT); // background colour index
+  out.byte(0); // pixel aspect ratio
+  for (let i = 0; i < 1 << tableBits; i++) {
+    const rgb = palette[i] ?? 0;
+    out.byte(rgb >> 16);
+    out.byte(rgb >> 8);
+    out.byte(rgb);
+  }
+
+  if (loop && frames.length > 1) {
+    out.bytes([0x21, 0xff, 0x0b]);
+    out.ascii("NETSCAPE2.0");
+    out.bytes([0x03, 0x01, 0x00, 0x00, 0x00]); // loop forever
+  }
+
+  for (const { pixels, duration } of frames) {
+    // Graphic Control Extension: dispose to background, transparent index
+    out.bytes([0x21, 0xf9, 0x04, (2 << 2) | 0x01]);
+    out.u16(Math.max(2, Math.round(duration / 10))); // centiseconds
+    out.byte(TRANSPARENT);
+    out.byte(0);
+
+    // Image descriptor (full frame, no local table)
+    out.byte(0x2c);
+    out.u16(0);
+    out.u16(0);
+    out.u16(ow);
+    out.u16(oh);
+    out.byte(0);
+
+    const indices = new Uint8Array(w * h);
+    for (let i = 0; i < indices.length; i++) indices[i] = indexOf(pixels[i] >>> 0);
+    const data = lzwEncode(scaleIndices(indices, w, h, scale), minCodeSize);
+    out.byte(minCodeSize);
+    for (let i = 0; i < data.length; i += 255) {
+      const chunk = data.slice(i, i + 255);
+      out.byte(chunk.length);
+      out.bytes(chunk);
+    }
+    out.byte(0);
+  }
+
+  out.byte(0x3b);
+  return out.result();
+}
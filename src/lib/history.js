@@ -0,0 +1,133 @@
+/**
+ * Undo history stored as deltas. An entry records how one action changed the
+ * document: `before` / `after` shells (the document without pixels — size,
+ * layers, frames and which cels they hold) plus `cels`, one patch per changed
+ * cel. A patch holds the changed indices with their old and new values, or
+ * both whole buffers when most of the cel changed, so memory grows with the
+ * size of the edits rather than the canvas. A missing cel counts as transparent.
+ *
+ * History is { entries: [{ label, before, after, cels }], index }:
+ * entries[0..index) are applied (undoable), the rest can be redone.
+ */
+
+export const MAX_HISTORY = 200;
+
+export const emptyHistory = () => ({ entries: [], index: 0 });
+
+const shellOf = ({ frames, ...doc }) => ({
+  ...doc,
+  frames: frames.map(({ cels, ...f }) => ({ ...f, cels: Object.keys(cels) })),
+});
+
+/** frame id → cels */
+const celsByFrame = (doc) => new Map(doc.frames.map((f) => [f.id, f.cels]));
+
+function diffCel(a, b) {
+  if (a === b) return null;
+  if (a && b && a.length !== b.length) return { before: a, after: b };
+  const n = (a ?? b).length;
+  const changed = [];
+  for (let i = 0; i < n; i++) {
+    if ((a ? a[i] : 0) !== (b ? b[i] : 0)) changed.push(i);
+  }
+  if (changed.length === 0) return null;
+  // Three words per sparse change vs two whole buffers
+  if (changed.length * 3 >= n * 2) return { before: a, after: b };
+  const index = Uint32Array.from(changed);
+  return {
+    index,
+    before: index.map((i) => (a ? a[i] : 0)),
+    after: index.map((i) => (b ? b[i] : 0)),
+  };
+}
+
+/** Delta between two documents → { before, after, cels } */
+export function diffDocs(before, after) {
+  const a = celsByFrame(before);
+  const b = celsByFrame(after);
+  const cels = [];
+  for (const frame of new Set([...a.keys(), ...b.keys()])) {
+    const ca = a.get(frame) ?? {};
+    const cb = b.get(frame) ?? {};
+    for (const layer of new Set([...Object.keys(ca), ...Object.keys(cb)])) {
+      const patch = diffCel(ca[layer] ?? null, cb[layer] ?? null);
+      if (patch) cels.push({ frame, layer, ...patch });
+    }
+  }
+  return { before: shellOf(before), after: shellOf(after), cels };
+}
+
+function patchCel(px, patch, side, n) {
+  if (!patch.index) return patch[side] ?? new Uint32Array(n);
+  const out = px ? new Uint32Array(px) : new Uint32Array(n);
+  const values = patch[side];
+  for (let k = 0; k < patch.index.length; k++) out[patch.index[k]] = values[k];
+  return out;
+}
+
+/**
+ * Apply a delta to `doc` (which must be its `after` state for "undo" or its
+ * `before` state for "redo") and return the other side.
+ */
+export function applyDelta(doc, delta, direction) {
+  const side = direction === "undo" ? "before" : "after";
+  const { frames, ...shell } = delta[side];
+  const n = shell.width * shell.height;
+  const current = celsByFrame(doc);
+  const patches = new Map();
+  for (const p of delta.cels) patches.set(`${p.frame}\n${p.layer}`, p);
+  return {
+    ...shell,
+    frames: frames.map(({ cels: ids, ...f }) => {
+      const src = current.get(f.id) ?? {};
+      const cels = {};
+      for (const layer of ids) {
+        const patch = patches.get(`${f.id}\n${layer}`);
+        cels[layer] = patch
+          ? patchCel(src[layer], patch, side, n)
+          : (src[layer] ?? new Uint32Array(n));
+      }
+      return { ...f, cels };
+    }),
+  };
+}
+
+/** Record `before` → `after` as a new entry, dropping anything redoable */
+export function pushEntry(history, label, before, after) {
+  const entries = [
+    ...history.entries.slice(0, history.index),
+    { label, ...diffDocs(before, after) },
+  ].slice(-MAX_HISTORY);
+  return { entries, index: entries.length };
+}
+
+/**
+ * Fold a change made without its own entry (e.g. dropping a floating
+ * selection) into the last applied entry, so it still leads to `next`.
+ * `doc` is the current document, the last entry's `after` state.
+ */
+export function amendLast(history, doc, next) {
+  const { entries, index } = history;
+  if (index === 0) return emptyHistory();
+  const last = entries[index - 1];
+  const before = applyDelta(doc, last, "undo");
+  return {
+    entries: [
+      ...entries.slice(0, index - 1),
+      { label: last.label, ...diffDocs(before, next) },
+    ],
+    index,
+  };
+}
+
+/** The document at history position `target`, walking from the current one */
+export function seekHistory(history, doc, target) {
+  let d = doc;
+  for (let i = history.index; i > target; i--) {
+    d = applyDelta(d, history.entries[i - 1], "undo");
+  }
+  for (let i = history.index; i < target; i++) {
+    d = applyDelta(d, history.entries[i], "redo");
+  }
+  return d;
+}
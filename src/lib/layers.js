@@ -0,0 +1,93 @@
+/**
+ * Layers — each layer is { id, name, visible, locked, opacity (0..1), blend }.
+ * Pixel data lives per frame (see document.js); the compositing helpers here take
+ * "resolved" layers that carry a `pixels` buffer. Layers are ordered bottom → top.
+ * Compositing works on straight (non-premultiplied) 0xAARRGGBB pixels using the
+ * W3C separable blend formulas.
+ */
+
+export const BLEND_MODES = ["normal", "multiply", "screen", "overlay"];
+
+let layerSeq = 0;
+export const newLayerId = () =>
+  `l${Date.now().toString(36)}${(layerSeq++).toString(36)}`;
+
+export function createLayer(props = {}) {
+  return {
+    id: newLayerId(),
+    name: "Layer",
+    visible: true,
+    locked: false,
+    opacity: 1,
+    blend: "normal",
+    ...props,
+  };
+}
+
+/** Return a new layers array with `patch` applied to the layer `id` */
+export const patchLayer = (layers, id, patch) =>
+  layers.map((l) => (l.id === id ? { ...l, ...patch } : l));
+
+/** Channel blend functions on 0..1 values: b = backdrop, s = source */
+const BLEND_FNS = {
+  normal: (b, s) => s,
+  multiply: (b, s) => b * s,
+  screen: (b, s) => b + s - b * s,
+  overlay: (b, s) => (b <= 0.5 ? 2 * b * s : 1 - 2 * (1 - b) * (1 - s)),
+};
+
+/** Composite `src` over `dst` (both Uint32Array, same length) in place */
+export function blendInto(dst, src, opacity = 1, blend = "normal") {
+  const fn = BLEND_FNS[blend] || BLEND_FNS.normal;
+  for (let i = 0; i < dst.length; i++) {
+    const s = src[i] >>> 0;
+    const as = (((s >>> 24) & 0xff) / 255) * opacity;
+    if (as === 0) continue;
+    const d = dst[i] >>> 0;
+    const ab = ((d >>> 24) & 0xff) / 255;
+    if (ab === 0 && as >= 1) {
+      dst[i] = s;
+      continue;
+    }
+    const ao = as + ab * (1 - as);
+    let out = Math.round(ao * 255) << 24;
+    for (let shift = 16; shift >= 0; shift -= 8) {
+      const cs = ((s >>> shift) & 0xff) / 255;
+      const cb = ((d >>> shift) & 0xff) / 255;
+      const co =
+        as * (1 - ab) * cs + as * ab * fn(cb, cs) + (1 - as) * ab * cb;
+      out |= Math.round((co / ao) * 255) << shift;
+    }
+    dst[i] = out >>> 0;
+  }
+  return dst;
+}
+
+/** Flatten visible layers (bottom → top) into one w×h buffer */
+export function compositeLayers(layers, w, h) {
+  const out = new Uint32Array(w * h);
+  for (const layer of layers) {
+    if (!layer.visible || layer.opacity <= 0) continue;
+    blendInto(out, layer.pixels, layer.opacity, layer.blend);
+  }
+  return out;
+}
+
+/**
+ * Composite only `rect` ({ x, y, width, height }) of w-wide layers — for
+ * redrawing the dirty area of a stroke without touching the rest.
+ */
+export function compositeRect(layers, w, rect) {
+  const { x, y, width, height } = rect;
+  const out = new Uint32Array(width * height);
+  const src = new Uint32Array(width * height);
+  for (const layer of layers) {
+    if (!layer.visible || layer.opacity <= 0) continue;
+    for (let j = 0; j < height; j++) {
+      const start = (y + j) * w + x;
+      src.set(layer.pixels.subarray(start, start + width), j * width);
+    }
+    blendInto(out, src, layer.opacity, layer.blend);
+  }
+  return out;
+}
@@ -0,0 +1,350 @@
+/**
+ * Palettes — { name, colors: ["#rrggbb" | "#aarrggbb", ...] }.
+ * Import/export: GIMP .gpl, JASC .pal, Paint.NET .txt and plain .hex,
+ * plus sorting, nearest-colour snapping, used-colour statistics,
+ * hue-shifted shading ramps and palette swap (recolour) variants.
+ */
+import {
+  argbToHex,
+  channels,
+  colorDistance,
+  hexToArgb,
+  hslToRgb,
+  luminance,
+  rgbToHsl,
+} from "./color.js";
+
+export const PALETTE_FORMATS = [
+  { id: "gpl", label: "GIMP (.gpl)", ext: "gpl" },
+  { id: "pal", label: "JASC (.pal)", ext: "pal" },
+  { id: "paintnet", label: "Paint.NET (.txt)", ext: "txt" },
+  { id: "hex", label: "Hex list (.hex)", ext: "hex" },
+];
+
+export const MAX_PALETTE_COLORS = 256;
+
+export const MIN_RAMP_STEPS = 3;
+export const MAX_RAMP_STEPS = 9;
+
+export class PaletteFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PaletteFormatError";
+  }
+}
+
+const byte = (v) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 && n <= 255 ? n : null;
+};
+
+const rgbHex = (r, g, b) =>
+  argbToHex(((0xff << 24) | (r << 16) | (g << 8) | b) >>> 0);
+
+/* ── Parsing ────────────────────────────────────────────────────────────── */
+
+function parseGpl(lines) {
+  let name = null;
+  const colors = [];
+  for (const line of lines.slice(1)) {
+    const t = line.trim();
+    if (!t || t.startsWith("#")) continue;
+    const meta = /^Name:\s*(.*)$/i.exec(t);
+    if (meta) {
+      name = meta[1].trim() || null;
+      continue;
+    }
+    if (/^Columns:/i.test(t)) continue;
+    const [r, g, b] = t.split(/\s+/).map(byte);
+    if (r === null || g === null || b === null) {
+      throw new PaletteFormatError(`Bad GIMP palette line: "${t}"`);
+    }
+    colors.push(rgbHex(r, g, b));
+  }
+  return { name, colors };
+}
+
+function parseJasc(lines) {
+  const count = parseInt(lines[2], 10);
+  if (lines[1]?.trim() !== "0100" || !Number.isInteger(count)) {
+    throw new PaletteFormatError("Bad JASC palette header");
+  }
+  const colors = [];
+  for (const line of lines.slice(3, 3 + count)) {
+    const [r, g, b] = line.trim().split(/\s+/).map(byte);
+    if (r === null || g === null || b === null) {
+      throw new PaletteFormatError(`Bad JASC palette line: "${line.trim()}"`);
+    }
+    colors.push(rgbHex(r, g, b));
+  }
+  return { name: null, colors };
+}
+
+/** Paint.NET: ";" comments, one AARRGGBB per line. Plain .hex: RRGGBB per line. */
+function parseHexLines(lines, alphaFirst) {
+  const colors = [];
+  for (const line of lines) {
+    const t = line.trim().replace(/^#/, "");
+    if (!t || t.startsWith(";")) continue;
+    if (!/^[0-9a-f]{6}([0-9a-f]{2})?$/i.test(t)) {
+      throw new PaletteFormatError(`Bad colour: "${line.trim()}"`);
+    }
+    const argb =
+      t.length === 8 && !alphaFirst
+        ? hexToArgb(`#${t.slice(6)}${t.slice(0, 6)}`) // RRGGBBAA
+        : hexToArgb(`#${t}`);
+    colors.push(argbToHex(argb >>> 0));
+  }
+  return { name: null, colors };
+}
+
+/**
+ * Parse palette file text; the format is detected from the header or the
+ * file extension. Throws PaletteFormatError for unreadable files.
+ */
+export function parsePalette(text, filename = "") {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const head = lines[0]?.trim() ?? "";
+  const ext = filename.split(".").pop().toLowerCase();
+  let parsed;
+  if (/^GIMP Palette/i.test(head)) parsed = parseGpl(lines);
+  else if (/^JASC-PAL/i.test(head)) parsed = parseJasc(lines);
+  else if (ext === "txt" || lines.some((l) => l.trim().startsWith(";")))
+    parsed = parseHexLines(lines, true);
+  else parsed = parseHexLines(lines, false);
+
+  if (parsed.colors.length === 0) {
+    throw new PaletteFormatError("The palette has no colours");
+  }
+  return {
+    name: parsed.name ?? (filename.replace(/\.[^.]+$/, "") || "Imported"),
+    colors: parsed.colors.slice(0, MAX_PALETTE_COLORS),
+  };
+}
+
+/* ── Export ─────────────────────────────────────────────────────────────── */
+
+export function formatPalette({ name, colors }, format) {
+  const rgb = colors.map((c) => channels(hexToArgb(c) >>> 0));
+  switch (format) {
+    case "gpl":
+      return [
+        "GIMP Palette",
+        `Name: ${name}`,
+        "Columns: 8",
+        "#",
+        ...rgb.map(
+          (c, i) =>
+            `${String(c.r).padStart(3)} ${String(c.g).padStart(3)} ${String(
+              c.b
+            ).padStart(3)}\t${colors[i]}`
+        ),
+        "",
+      ].join("\n");
+    case "pal":
+      return [
+        "JASC-PAL",
+        "0100",
+        String(colors.length),
+        ...rgb.map((c) => `${c.r} ${c.g} ${c.b}`),
+        "",
+      ].join("\r\n");
+    case "paintnet":
+      return [
+        `; ${name}`,
+        `; ${colors.length} colours — Paint.NET palette (AARRGGBB)`,
+        ...colors.map((c) =>
+          (hexToArgb(c) >>> 0).toString(16).padStart(8, "0").toUpperCase()
+        ),
+        "",
+      ].join("\r\n");
+    case "hex":
+      return (
+        colors.map((c) => argbToHex(hexToArgb(c), false).slice(1)).join("\n") +
+        "\n"
+      );
+    default:
+      throw new PaletteFormatError(`Unknown palette format "${format}"`);
+  }
+}
+
+/* ── Sorting & matching ─────────────────────────────────────────────────── */
+
+/** Greys first (by lightness), then by hue, then lightness */
+export function sortByHue(colors) {
+  const key = (hex) => {
+    const { r, g, b } = channels(hexToArgb(hex) >>> 0);
+    const { h, s, l } = rgbToHsl(r, g, b);
+    return s < 0.08 ? [0, l, 0] : [1, h, l];
+  };
+  return [...colors].sort((x, y) => {
+    const a = key(x);
+    const b = key(y);
+    return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+  });
+}
+
+export const sortByLuminance = (colors) =>
+  [...colors].sort(
+    (x, y) => luminance(hexToArgb(x) >>> 0) - luminance(hexToArgb(y) >>> 0)
+  );
+
+/**
+ * Returns argb → nearest palette argb (memoized). Fully transparent pixels are
+ * left alone so erasing and empty import areas stay empty.
+ */
+export function paletteSnapper(colors) {
+  const entries = colors.map((c) => hexToArgb(c) >>> 0);
+  const cache = new Map();
+  return (argb) => {
+    argb >>>= 0;
+    if (entries.length === 0 || argb >>> 24 === 0) return argb;
+    let hit = cache.get(argb);
+    if (hit === undefined) {
+      let best = Infinity;
+      for (const e of entries) {
+        const d = colorDistance(argb, e);
+        if (d < best) {
+          best = d;
+          hit = e;
+        }
+      }
+      cache.set(argb, hit);
+    }
+    return hit;
+  };
+}
+
+/** Distinct colours across buffers, most used first: [{ argb, count }] */
+export function usedColors(buffers) {
+  const counts = new Map();
+  for (const px of buffers) {
+    for (let i = 0; i < px.length; i++) {
+      const c = px[i] >>> 0;
+      if (c >>> 24 === 0) continue;
+      counts.set(c, (counts.get(c) ?? 0) + 1);
+    }
+  }
+  return [...counts]
+    .map(([argb, count]) => ({ argb, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/** Copy of `pixels` with every `from` replaced by `to` (same buffer if unchanged) */
+export function replaceColor(pixels, from, to) {
+  from >>>= 0;
+  to >>>= 0;
+  let out = pixels;
+  for (let i = 0; i < pixels.length; i++) {
+    if (pixels[i] >>> 0 !== from) continue;
+    if (out === pixels) out = new Uint32Array(pixels);
+    out[i] = to;
+  }
+  return out;
+}
+
+/* ── Ramps ──────────────────────────────────────────────────────────────── */
+
+const SHADOW_HUE = 240; // shadows lean towards blue…
+const LIGHT_HUE = 60; // …and highlights towards yellow
+
+/** Turn hue `h` up to `deg` degrees towards `target` the short way round */
+function hueToward(h, target, deg) {
+  const diff = ((target - h + 540) % 360) - 180;
+  return (h + Math.sign(diff) * Math.min(Math.abs(diff), deg) + 360) % 360;
+}
+
+/**
+ * Shading ramp around `base` (hex), darkest first: lightness spreads towards
+ * near-black and near-white, the hue turns up to `hueShift` degrees towards
+ * blue in the shadows and yellow in the highlights, and saturation follows
+ * a curve — `saturation` > 0 fades it at both ends, < 0 boosts it (-1..1).
+ * Odd step counts keep the base colour in the middle. Alpha is kept.
+ */
+export function shadingRamp(
+  base,
+  { steps = 5, hueShift = 20, saturation = 0.3 }
+) {
+  const argb = hexToArgb(base) >>> 0;
+  const { a, r, g, b } = channels(argb);
+  const hsl = rgbToHsl(r, g, b);
+  const dark = hsl.l * 0.15;
+  const light = hsl.l + (0.97 - hsl.l) * 0.85;
+  return Array.from({ length: steps }, (_, i) => {
+    const u = (2 * i) / (steps - 1) - 1; // -1 darkest … 1 lightest
+    const t = Math.abs(u);
+    const l = u < 0 ? hsl.l + (dark - hsl.l) * t : hsl.l + (light - hsl.l) * t;
+    const h = hueToward(hsl.h, u < 0 ? SHADOW_HUE : LIGHT_HUE, hueShift * t);
+    const s = Math.max(0, Math.min(1, hsl.s * (1 - saturation * t * t)));
+    const c = hslToRgb(h, s, l);
+    return argbToHex(((a << 24) | (c.r << 16) | (c.g << 8) | c.b) >>> 0);
+  });
+}
+
+/* ── Palette swaps ──────────────────────────────────────────────────────── */
+
+/*
+ * A swap variant is { id, name, map: { "#source": "#target" } }, keyed by
+ * argbToHex of the source colour. Variants hold only the mapping, so they
+ * follow the base sprite as it is edited.
+ */
+let swapSeq = 0;
+export function createSwapVariant(props = {}) {
+  return {
+    id: `s${Date.now().toString(36)}${(swapSeq++).toString(36)}`,
+    name: "Variant",
+    map: {},
+    ...props,
+  };
+}
+
+/** Copy of `pixels` with every colour in `map` replaced in one pass */
+export function swapColors(pixels, map) {
+  const table = new Map(
+    Object.entries(map).map(([from, to]) => [
+      hexToArgb(from) >>> 0,
+      hexToArgb(to) >>> 0,
+    ])
+  );
+  const out = new Uint32Array(pixels);
+  if (!table.size) return out;
+  for (let i = 0; i < out.length; i++) {
+    const to = table.get(out[i]);
+    if (to !== undefined) out[i] = to;
+  }
+  return out;
+}
+
+/**
+ * Buffers of equal size side by side, left to right → { pixels, width,
+ * height } — the one-image export of a set of swaps.
+ */
+export function swapStrip(buffers, w, h) {
+  const width = w * buffers.length;
+  const pixels = new Uint32Array(width * h);
+  buffers.forEach((px, k) => {
+    for (let y = 0; y < h; y++) {
+      pixels.set(px.subarray(y * w, (y + 1) * w), y * width + k * w);
+    }
+  });
+  return { pixels, width, height: h };
+}
+
+const HEX_COLOR = /^#(?:[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+/** Saved variants with malformed entries dropped */
+export function parseSwapVariants(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((v) => v && typeof v.id === "string")
+    .map((v) => ({
+      id: v.id,
+      name: typeof v.name === "string" && v.name ? v.name : "Variant",
+      map: Object.fromEntries(
+        Object.entries(v.map && typeof v.map === "object" ? v.map : {}).filter(
+          ([from, to]) =>
+            HEX_COLOR.test(from) && typeof to === "string" && HEX_COLOR.test(to)
+        )
+      ),
+    }));
+}
@@ -0,0 +1,406 @@
+/**
+ * PNG codec in plain JS (no canvas), shared by the browser and the CLI.
+ * Decodes every standard colour type and bit depth, interlaced or not, into
+ * 0xAARRGGBB pixels. Encodes 8-bit indexed (PLTE + tRNS) when the image has at
+ * most 256 colours and straight 8-bit RGBA otherwise, so colours survive
+ * exactly. Text chunks (tEXt / zTXt / iTXt) carry metadata both ways.
+ */
+import { pixelsToRgba, rgbaToArgb } from "./color.js";
+import { deflate, inflate } from "./zlib.js";
+
+export class PngFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PngFormatError";
+  }
+}
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Adam7 passes: [x0, y0, dx, dy]
+const ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2],
+];
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+let crcTable = null;
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+const readU32 = (b, o) =>
+  ((b[o] << 24) | (b[o + 1] << 16) | (b[o + 2] << 8) | b[o + 3]) >>> 0;
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of parts) {
+    out.set(p, o);
+    o += p.length;
+  }
+  return out;
+}
+
+/** Split a PNG file into [{ type, data }] */
+function readChunks(bytes) {
+  if (SIGNATURE.some((v, i) => bytes[i] !== v)) {
+    throw new PngFormatError("Not a PNG file");
+  }
+  const chunks = [];
+  for (let o = SIGNATURE.length; o + 8 <= bytes.length;) {
+    const length = readU32(bytes, o);
+    const type = String.fromCharCode(...bytes.subarray(o + 4, o + 8));
+    if (o + 12 + length > bytes.length) {
+      throw new PngFormatError(`Truncated ${type} chunk`);
+    }
+    chunks.push({ type, data: bytes.subarray(o + 8, o + 8 + length) });
+    o += 12 + length;
+    if (type === "IEND") break;
+  }
+  return chunks;
+}
+
+const paeth = (a, b, c) => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+};
+
+/** Undo the per-row filters of one w×h (sub)image starting at `offset` */
+function unfilter(raw, offset, rowBytes, rows, bpp) {
+  const out = new Uint8Array(rowBytes * rows);
+  for (let y = 0; y < rows; y++) {
+    const type = raw[offset + y * (rowBytes + 1)];
+    const src = offset + y * (rowBytes + 1) + 1;
+    const row = y * rowBytes;
+    const up = row - rowBytes;
+    for (let x = 0; x < rowBytes; x++) {
+      const a = x >= bpp ? out[row + x - bpp] : 0;
+      const b = y > 0 ? out[up + x] : 0;
+      const c = x >= bpp && y > 0 ? out[up + x - bpp] : 0;
+      const v = raw[src + x];
+      if (type === 0) out[row + x] = v;
+      else if (type === 1) out[row + x] = v + a;
+      else if (type === 2) out[row + x] = v + b;
+      else if (type === 3) out[row + x] = v + ((a + b) >> 1);
+      else if (type === 4) out[row + x] = v + paeth(a, b, c);
+      else throw new PngFormatError(`Unknown filter type ${type}`);
+    }
+  }
+  return out;
+}
+
+const latin1 = (bytes) => new TextDecoder("latin1").decode(bytes);
+
+/**
+ * [keyword, text] of a tEXt / zTXt / iTXt chunk, or null when it can't be
+ * read — text is ancillary, so a broken chunk never fails the image.
+ */
+function readText(type, data) {
+  const nul = data.indexOf(0);
+  if (nul < 1) return null;
+  const keyword = latin1(data.subarray(0, nul));
+  try {
+    if (type === "tEXt") return [keyword, latin1(data.subarray(nul + 1))];
+    if (type === "zTXt") {
+      return [keyword, latin1(inflate(data.subarray(nul + 2)))];
+    }
+    // iTXt: flag, method, language\0, translated keyword\0, UTF-8 text
+    const compressed = data[nul + 1] === 1;
+    const lang = data.indexOf(0, nul + 3);
+    const translated = lang === -1 ? -1 : data.indexOf(0, lang + 1);
+    if (translated === -1) return null;
+    const body = data.subarray(translated + 1);
+    return [
+      keyword,
+      new TextDecoder().decode(compressed ? inflate(body) : body),
+    ];
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode PNG bytes (Uint8Array) → { pixels, width, height, text }, where
+ * `text` maps the keywords of the file's text chunks to their contents.
+ * Throws PngFormatError for anything that isn't a readable PNG.
+ */
+export function decodePng(bytes) {
+  const chunks = readChunks(bytes);
+  const ihdr = chunks[0]?.type === "IHDR" ? chunks[0].data : null;
+  if (!ihdr || ihdr.length < 13) throw new PngFormatError("Missing IHDR chunk");
+  const width = readU32(ihdr, 0);
+  const height = readU32(ihdr, 4);
+  const [depth, colorType, , , interlace] = ihdr.subarray(8, 13);
+  const channels = CHANNELS[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(depth)) {
+    throw new PngFormatError("Unsupported colour type or bit depth");
+  }
+  if (width === 0 || height === 0) throw new PngFormatError("Empty image");
+
+  let palette = [];
+  let trns = null;
+  const idat = [];
+  const text = {};
+  for (const { type, data } of chunks) {
+    if (type === "PLTE") {
+      palette = [];
+      for (let i = 0; i + 2 < data.length; i += 3) {
+        palette.push(rgbaToArgb(data[i], data[i + 1], data[i + 2]));
+      }
+    } else if (type === "tRNS") trns = data;
+    else if (type === "IDAT") idat.push(data);
+    else if (type === "tEXt" || type === "zTXt" || type === "iTXt") {
+      const entry = readText(type, data);
+      if (entry) text[entry[0]] = entry[1];
+    }
+  }
+  if (colorType === 3 && palette.length === 0) {
+    throw new PngFormatError("Missing PLTE chunk");
+  }
+  if (trns && colorType === 3) {
+    palette = palette.map((c, i) =>
+      i < trns.length ? ((c & 0xffffff) | (trns[i] << 24)) >>> 0 : c
+    );
+  }
+
+  let raw;
+  try {
+    raw = inflate(concat(idat), ((width * channels * depth) / 8 + 1) * height);
+  } catch (err) {
+    throw new PngFormatError(`Corrupt image data (${err.message})`);
+  }
+
+  const bitsPerPixel = channels * depth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const max = (1 << depth) - 1;
+  const key = trns && colorType !== 3 ? trns : null; // 16-bit colour key
+  const keyAt = (i) => (key[i * 2] << 8) | key[i * 2 + 1];
+  const pixels = new Uint32Array(width * height);
+
+  // Read sample `s` of pixel `x` from an unfiltered row
+  const sample = (row, ro, x, s) => {
+    if (depth === 8) return row[ro + x * channels + s];
+    if (depth === 16) {
+      const o = ro + (x * channels + s) * 2;
+      return (row[o] << 8) | row[o + 1];
+    }
+    const bit = (x * channels + s) * depth;
+    return (row[ro + (bit >> 3)] >> (8 - depth - (bit & 7))) & max;
+  };
+  const to8 = (v) =>
+    depth === 16 ? v >> 8 : depth === 8 ? v : (v * 255) / max;
+
+  let offset = 0;
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+  for (const [x0, y0, dx, dy] of passes) {
+    const pw = Math.ceil((width - x0) / dx);
+    const ph = Math.ceil((height - y0) / dy);
+    if (pw <= 0 || ph <= 0) continue;
+    const rowBytes = Math.ceil((pw * bitsPerPixel) / 8);
+    if (offset + (rowBytes + 1) * ph > raw.length) {
+      throw new PngFormatError("Image data is too short");
+    }
+    const data = unfilter(raw, offset, rowBytes, ph, bpp);
+    offset += (rowBytes + 1) * ph;
+    for (let y = 0; y < ph; y++) {
+      const ro = y * rowBytes;
+      for (let x = 0; x < pw; x++) {
+        let argb;
+        if (colorType === 3) {
+          argb = palette[sample(data, ro, x, 0)] ?? 0;
+        } else if (colorType === 0 || colorType === 4) {
+          const g = sample(data, ro, x, 0);
+          const a =
+            colorType === 4
+              ? to8(sample(data, ro, x, 1))
+              : key && g === keyAt(0)
+                ? 0
+                : 255;
+          argb = rgbaToArgb(to8(g), to8(g), to8(g), a);
+        } else {
+          const r = sample(data, ro, x, 0);
+          const g = sample(data, ro, x, 1);
+          const b = sample(data, ro, x, 2);
+          const a =
+            colorType === 6
+              ? to8(sample(data, ro, x, 3))
+              : key && r === keyAt(0) && g === keyAt(1) && b === keyAt(2)
+                ? 0
+                : 255;
+          argb = rgbaToArgb(to8(r), to8(g), to8(b), a);
+        }
+        pixels[(y0 + y * dy) * width + x0 + x * dx] = argb;
+      }
+    }
+  }
+  return { pixels, width, height, text };
+}
+
+/* ── Encode ─────────────────────────────────────────────────────────────── */
+
+function chunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+/**
+ * Filter each row with whichever of `types` gives the smallest absolute sum.
+ * Indexed images stick to type 0: their bytes are palette slots, not levels.
+ */
+function filterRows(rows, rowBytes, height, bpp, types = [0, 1, 2, 3, 4]) {
+  const out = new Uint8Array((rowBytes + 1) * height);
+  const candidate = new Uint8Array(rowBytes);
+  for (let y = 0; y < height; y++) {
+    const row = y * rowBytes;
+    let best = Infinity;
+    for (const type of types) {
+      let sum = 0;
+      for (let x = 0; x < rowBytes; x++) {
+        const a = x >= bpp ? rows[row + x - bpp] : 0;
+        const b = y > 0 ? rows[row - rowBytes + x] : 0;
+        const c = x >= bpp && y > 0 ? rows[row - rowBytes + x - bpp] : 0;
+        const v = rows[row + x];
+        const f =
+          type === 0
+            ? v
+            : type === 1
+              ? v - a
+              : type === 2
+                ? v - b
+                : type === 3
+                  ? v - ((a + b) >> 1)
+                  : v - paeth(a, b, c);
+        candidate[x] = f;
+        sum += (f & 0xff) < 128 ? f & 0xff : 256 - (f & 0xff);
+      }
+      if (sum < best) {
+        best = sum;
+        out[y * (rowBytes + 1)] = type;
+        out.set(candidate, y * (rowBytes + 1) + 1);
+      }
+    }
+  }
+  return out;
+}
+
+const ihdr = (width, height, depth, colorType) => {
+  const data = new Uint8Array(13);
+  const view = new DataView(data.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  data[8] = depth;
+  data[9] = colorType;
+  return data; // compression, filter and interlace stay 0
+};
+
+/**
+ * Palette indices for `pixels`, or null past 256 colours. Translucent entries
+ * come first so tRNS stays short; fully transparent pixels share one entry.
+ */
+function indexColors(pixels) {
+  const slots = new Map();
+  for (const p of pixels) {
+    const c = p >>> 24 === 0 ? 0 : p >>> 0;
+    if (slots.has(c)) continue;
+    if (slots.size === 256) return null;
+    slots.set(c, 0);
+  }
+  const colors = [...slots.keys()].sort(
+    (a, b) => (a >>> 24 === 255) - (b >>> 24 === 255)
+  );
+  colors.forEach((c, i) => slots.set(c, i));
+  const indices = new Uint8Array(pixels.length);
+  for (let i = 0; i < pixels.length; i++) {
+    const p = pixels[i] >>> 0;
+    indices[i] = slots.get(p >>> 24 === 0 ? 0 : p);
+  }
+  return { colors, indices };
+}
+
+function paletteChunks(colors) {
+  const plte = new Uint8Array(colors.length * 3);
+  colors.forEach((c, i) => {
+    plte[i * 3] = (c >>> 16) & 0xff;
+    plte[i * 3 + 1] = (c >>> 8) & 0xff;
+    plte[i * 3 + 2] = c & 0xff;
+  });
+  const translucent = colors.findIndex((c) => c >>> 24 === 255);
+  const trns = Uint8Array.from(
+    colors.slice(0, translucent === -1 ? colors.length : translucent),
+    (c) => c >>> 24
+  );
+  return trns.length > 0
+    ? [chunk("PLTE", plte), chunk("tRNS", trns)]
+    : [chunk("PLTE", plte)];
+}
+
+/** Compressed UTF-8 iTXt chunk; keywords are 1–79 Latin-1 characters */
+function textChunk(keyword, value) {
+  if (!/^[\x20-\x7e\xa1-\xff]{1,79}$/.test(keyword)) {
+    throw new RangeError(`Invalid PNG text keyword "${keyword}"`);
+  }
+  const body = deflate(new TextEncoder().encode(value));
+  const data = new Uint8Array(keyword.length + 5 + body.length);
+  for (let i = 0; i < keyword.length; i++) data[i] = keyword.charCodeAt(i);
+  // keyword\0, compressed, deflate, no language\0, no translated keyword\0
+  data[keyword.length + 1] = 1;
+  data.set(body, keyword.length + 5);
+  return chunk("iTXt", data);
+}
+
+/**
+ * Encode a w×h buffer as PNG → Uint8Array: indexed when it has at most 256
+ * colours, RGBA otherwise. opts.text: { keyword: string } written as iTXt.
+ */
+export function encodePng(pixels, width, height, { text = {} } = {}) {
+  const indexed = indexColors(pixels);
+  const image = indexed
+    ? [
+        chunk("IHDR", ihdr(width, height, 8, 3)),
+        ...paletteChunks(indexed.colors),
+        chunk(
+          "IDAT",
+          deflate(filterRows(indexed.indices, width, height, 1, [0]))
+        ),
+      ]
+    : [
+        chunk("IHDR", ihdr(width, height, 8, 6)),
+        chunk(
+          "IDAT",
+          deflate(filterRows(pixelsToRgba(pixels), width * 4, height, 4))
+        ),
+      ];
+  return concat([
+    Uint8Array.from(SIGNATURE),
+    ...image,
+    ...Object.entries(text).map(([k, v]) => textChunk(k, v)),
+    chunk("IEND", new Uint8Array(0)),
+  ]);
+}
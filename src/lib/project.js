@@ -0,0 +1,357 @@
+/**
+ * .kwaxel project files — versioned JSON holding the full editor state:
+ *   { format: "kwaxel", version, buffers: [base64...], document, settings, history }
+ * Pixel buffers are stored once in `buffers` (base64 of little-endian 0xAARRGGBB
+ * words) and referenced by index from cels and from the history deltas (see
+ * history.js), so a patch that reuses a document buffer costs nothing extra.
+ *
+ * To change the schema: bump PROJECT_VERSION and add MIGRATIONS[oldVersion],
+ * a function upgrading the parsed JSON from oldVersion to oldVersion + 1.
+ */
+import { MAX_SIZE } from "./resize.js";
+
+export const PROJECT_FORMAT = "kwaxel";
+export const PROJECT_VERSION = 3;
+export const PROJECT_EXTENSION = ".kwaxel";
+/** PNG text keyword under which exported PNGs embed the project (no history) */
+export const PNG_PROJECT_KEY = "kwaxel.project";
+
+const MIGRATIONS = {
+  // v1 → v2: flat `settings.swatches` became a named palette
+  1: (data) => {
+    const { swatches, ...settings } = data.settings ?? {};
+    return {
+      ...data,
+      settings: Array.isArray(swatches)
+        ? { ...settings, palette: { name: "Kwaxel", colors: swatches } }
+        : settings,
+    };
+  },
+  // v2 → v3: undo snapshots became deltas; consecutive snapshots share buffer
+  // refs, so each step turns into whole-buffer patches of the cels that differ
+  2: (data) => {
+    const h = isObj(data.history) ? data.history : {};
+    const past = Array.isArray(h.past) ? h.past : [];
+    const future = Array.isArray(h.future) ? h.future : [];
+    const docs = [...past, data.document, ...future].filter(isObj);
+    if (docs.length !== past.length + future.length + 1) {
+      return { ...data, history: {} };
+    }
+    const framesOf = (d) => (Array.isArray(d.frames) ? d.frames : []);
+    const shell = (d) => ({
+      width: d.width,
+      height: d.height,
+      layers: d.layers,
+      frames: framesOf(d).map((f) => ({
+        id: f?.id,
+        duration: f?.duration,
+        cels: Object.keys(f?.cels ?? {}),
+      })),
+    });
+    const cels = (d) => new Map(framesOf(d).map((f) => [f?.id, f?.cels ?? {}]));
+    const entries = docs.slice(1).map((after, i) => {
+      const a = cels(docs[i]);
+      const b = cels(after);
+      const patches = [];
+      for (const frame of new Set([...a.keys(), ...b.keys()])) {
+        const ca = a.get(frame) ?? {};
+        const cb = b.get(frame) ?? {};
+        for (const layer of new Set([...Object.keys(ca), ...Object.keys(cb)])) {
+          if (ca[layer] === cb[layer]) continue;
+          const before = ca[layer] ?? null;
+          patches.push({ frame, layer, before, after: cb[layer] ?? null });
+        }
+      }
+      return {
+        label: "Edit",
+        before: shell(docs[i]),
+        after: shell(after),
+        cels: patches,
+      };
+    });
+    return { ...data, history: { entries, index: past.length } };
+  },
+};
+
+export class ProjectFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ProjectFormatError";
+  }
+}
+
+/* ── Pixel buffers <-> base64 ───────────────────────────────────────────── */
+
+export function encodePixels(pixels) {
+  const bytes = new Uint8Array(pixels.length * 4);
+  const view = new DataView(bytes.buffer);
+  for (let i = 0; i < pixels.length; i++) view.setUint32(i * 4, pixels[i], true);
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+export function decodePixels(b64) {
+  const bin = atob(b64);
+  if (bin.length % 4 !== 0) throw new ProjectFormatError("Corrupt pixel data");
+  const view = new DataView(new ArrayBuffer(bin.length));
+  for (let i = 0; i < bin.length; i++) view.setUint8(i, bin.charCodeAt(i));
+  const out = new Uint32Array(bin.length / 4);
+  for (let i = 0; i < out.length; i++) out[i] = view.getUint32(i * 4, true);
+  return out;
+}
+
+/* ── Serialize ──────────────────────────────────────────────────────────── */
+
+function bufferPool() {
+  const ids = new Map();
+  const list = [];
+  return {
+    list,
+    ref(pixels) {
+      let id = ids.get(pixels);
+      if (id === undefined) {
+        id = list.length;
+        ids.set(pixels, id);
+        list.push(encodePixels(pixels));
+      }
+      return id;
+    },
+  };
+}
+
+const refOrNull = (pool, px) => (px ? pool.ref(px) : null);
+
+const historyToJson = ({ entries, index }, pool) => ({
+  index,
+  entries: entries.map(({ label, before, after, cels }) => ({
+    label,
+    before,
+    after,
+    cels: cels.map((p) => ({
+      frame: p.frame,
+      layer: p.layer,
+      ...(p.index && { index: pool.ref(p.index) }),
+      before: refOrNull(pool, p.before),
+      after: refOrNull(pool, p.after),
+    })),
+  })),
+});
+
+const docToJson = (doc, pool) => ({
+  width: doc.width,
+  height: doc.height,
+  layers: doc.layers,
+  frames: doc.frames.map((f) => ({
+    id: f.id,
+    duration: f.duration,
+    cels: Object.fromEntries(
+      Object.entries(f.cels).map(([id, px]) => [id, pool.ref(px)])
+    ),
+  })),
+});
+
+/**
+ * state: { doc, settings, history: { entries, index } (see history.js) }
+ * Returns the project file contents as a string.
+ */
+export function serializeProject({ doc, settings = {}, history }) {
+  const pool = bufferPool();
+  const data = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    document: docToJson(doc, pool),
+    settings,
+    history: historyToJson(history ?? { entries: [], index: 0 }, pool),
+  };
+  data.buffers = pool.list;
+  return JSON.stringify(data);
+}
+
+/* ── Parse ──────────────────────────────────────────────────────────────── */
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/** Size, layers and frame list shared by documents and history shells */
+function shellFromJson(raw, fail) {
+  if (!isObj(raw)) fail("missing document");
+  const { width, height, layers, frames } = raw;
+  const okSize = (n) => Number.isInteger(n) && n >= 1 && n <= MAX_SIZE;
+  if (!okSize(width) || !okSize(height)) fail("invalid canvas size");
+  if (!Array.isArray(layers) || layers.length === 0) fail("no layers");
+  if (!Array.isArray(frames) || frames.length === 0) fail("no frames");
+
+  const layerIds = new Set();
+  for (const l of layers) {
+    if (!isObj(l) || typeof l.id !== "string") fail("invalid layer");
+    layerIds.add(l.id);
+  }
+
+  return {
+    width,
+    height,
+    layerIds,
+    layers: layers.map((l) => ({
+      id: l.id,
+      name: String(l.name ?? "Layer"),
+      visible: l.visible !== false,
+      locked: l.locked === true,
+      opacity: Math.min(1, Math.max(0, Number(l.opacity ?? 1))),
+      blend: String(l.blend ?? "normal"),
+    })),
+    frames: frames.map((f) => {
+      if (!isObj(f)) fail("invalid frame");
+      return {
+        id: String(f.id ?? ""),
+        duration: Math.max(1, Math.round(Number(f.duration) || 100)),
+        cels: f.cels,
+      };
+    }),
+  };
+}
+
+function docFromJson(raw, buffers, where) {
+  const fail = (msg) => {
+    throw new ProjectFormatError(`Corrupt project (${where}): ${msg}`);
+  };
+  const { layerIds, ...doc } = shellFromJson(raw, fail);
+  return {
+    ...doc,
+    frames: doc.frames.map((f) => {
+      if (!isObj(f.cels)) fail("invalid frame");
+      const cels = {};
+      for (const [id, ref] of Object.entries(f.cels)) {
+        if (!layerIds.has(id)) continue; // stale cel of a deleted layer
+        const px = buffers[ref];
+        if (!px) fail(`missing pixel buffer ${ref}`);
+        if (px.length !== doc.width * doc.height) {
+          fail("pixel buffer size mismatch");
+        }
+        cels[id] = px;
+      }
+      return { ...f, cels };
+    }),
+  };
+}
+
+/** History entry shell: frame cels are a list of layer ids */
+function historyShellFromJson(raw, fail) {
+  const { layerIds, ...shell } = shellFromJson(raw, fail);
+  return {
+    ...shell,
+    frames: shell.frames.map((f) => {
+      if (!Array.isArray(f.cels)) fail("invalid frame");
+      return {
+        ...f,
+        cels: f.cels.map(String).filter((id) => layerIds.has(id)),
+      };
+    }),
+  };
+}
+
+function historyFromJson(raw, buffers) {
+  if (!isObj(raw) || !Array.isArray(raw.entries)) {
+    return { entries: [], index: 0 };
+  }
+  const entries = raw.entries.map((e, i) => {
+    const fail = (msg) => {
+      throw new ProjectFormatError(`Corrupt project (undo step ${i}): ${msg}`);
+    };
+    if (!isObj(e) || !Array.isArray(e.cels)) fail("invalid step");
+    const before = historyShellFromJson(e.before, fail);
+    const after = historyShellFromJson(e.after, fail);
+    const buffer = (ref, length) => {
+      if (ref === null) return null;
+      const px = buffers[ref];
+      if (!px) fail(`missing pixel buffer ${ref}`);
+      if (length !== undefined && px.length !== length) {
+        fail("pixel buffer size mismatch");
+      }
+      return px;
+    };
+    const cels = e.cels.map((p) => {
+      if (!isObj(p)) fail("invalid patch");
+      const frame = String(p.frame ?? "");
+      const layer = String(p.layer ?? "");
+      if (p.index === undefined) {
+        return {
+          frame,
+          layer,
+          before: buffer(p.before, before.width * before.height),
+          after: buffer(p.after, after.width * after.height),
+        };
+      }
+      const index = buffer(p.index);
+      const n = Math.max(
+        before.width * before.height,
+        after.width * after.height
+      );
+      if (!index || index.some((k) => k >= n)) fail("invalid patch");
+      const from = buffer(p.before, index.length);
+      const to = buffer(p.after, index.length);
+      if (!from || !to) fail("invalid patch");
+      return { frame, layer, index, before: from, after: to };
+    });
+    return { label: String(e.label ?? "Edit"), before, after, cels };
+  });
+  const index = Number.isInteger(raw.index)
+    ? Math.min(entries.length, Math.max(0, raw.index))
+    : entries.length;
+  return { entries, index };
+}
+
+/** Upgrade raw parsed JSON to PROJECT_VERSION */
+function migrate(data) {
+  let v = data.version;
+  while (v < PROJECT_VERSION) {
+    const step = MIGRATIONS[v];
+    if (!step) throw new ProjectFormatError(`Unsupported project version ${v}`);
+    data = { ...step(data), version: v + 1 };
+    v++;
+  }
+  return data;
+}
+
+/**
+ * Parse project file text. Throws ProjectFormatError with a user-facing
+ * message for anything that isn't a readable kwaxel project.
+ */
+export function parseProject(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ProjectFormatError("Not a kwaxel project (file is not JSON)");
+  }
+  if (!isObj(data) || data.format !== PROJECT_FORMAT) {
+    throw new ProjectFormatError("Not a kwaxel project");
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new ProjectFormatError("Corrupt project: missing schema version");
+  }
+  if (data.version > PROJECT_VERSION) {
+    throw new ProjectFormatError(
+      `This project was saved by a newer editor (version ${data.version}; ` +
+        `this one reads up to ${PROJECT_VERSION})`
+    );
+  }
+  data = migrate(data);
+
+  if (!Array.isArray(data.buffers)) {
+    throw new ProjectFormatError("Corrupt project: missing pixel data");
+  }
+  let buffers;
+  try {
+    buffers = data.buffers.map(decodePixels);
+  } catch {
+    throw new ProjectFormatError("Corrupt project: unreadable pixel data");
+  }
+
+  return {
+    doc: docFromJson(data.document, buffers, "document"),
+    settings: isObj(data.settings) ? data.settings : {},
+    history: historyFromJson(data.history, buffers),
+  };
+}
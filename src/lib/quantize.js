@@ -0,0 +1,425 @@
+/**
+ * Image import pipeline — fit/fill/crop placement, resampling (nearest, box
+ * average, majority), colour reduction (median cut, k-means, fixed palette)
+ * and dithering (Floyd–Steinberg, Atkinson, ordered Bayer 2/4/8).
+ * Works on 0xAARRGGBB buffers; no DOM.
+ */
+import { channels, colorDistance, rgbaToArgb } from "./color.js";
+
+export const FIT_MODES = [
+  { id: "fit", label: "Fit (letterbox)" },
+  { id: "fill", label: "Fill (crop edges)" },
+  { id: "crop", label: "Crop (1:1, centre)" },
+  { id: "stretch", label: "Stretch" },
+];
+export const RESAMPLE_METHODS = [
+  { id: "nearest", label: "Nearest" },
+  { id: "box", label: "Box / area average" },
+  { id: "majority", label: "Majority colour" },
+];
+export const REDUCE_METHODS = [
+  { id: "none", label: "No reduction" },
+  { id: "median-cut", label: "Median cut" },
+  { id: "kmeans", label: "K-means" },
+  { id: "palette", label: "Active palette" },
+];
+export const DITHER_METHODS = [
+  { id: "none", label: "None" },
+  { id: "floyd-steinberg", label: "Floyd–Steinberg" },
+  { id: "atkinson", label: "Atkinson" },
+  { id: "bayer2", label: "Bayer 2×2" },
+  { id: "bayer4", label: "Bayer 4×4" },
+  { id: "bayer8", label: "Bayer 8×8" },
+];
+
+const ALPHA_CUTOFF = 128;
+
+/* ── Placement ──────────────────────────────────────────────────────────── */
+
+/**
+ * Source rect (in source px) and destination rect (in target px) for a fit mode.
+ * Returns { sx, sy, sw, sh, dx, dy, dw, dh }.
+ */
+export function placement(srcW, srcH, tw, th, fit = "fit") {
+  const full = { sx: 0, sy: 0, sw: srcW, sh: srcH };
+  if (fit === "stretch") return { ...full, dx: 0, dy: 0, dw: tw, dh: th };
+  if (fit === "crop") {
+    // 1:1 pixels, centred; smaller sources are centred inside the target
+    const sw = Math.min(srcW, tw);
+    const sh = Math.min(srcH, th);
+    return {
+      sx: Math.floor((srcW - sw) / 2),
+      sy: Math.floor((srcH - sh) / 2),
+      sw,
+      sh,
+      dx: Math.floor((tw - sw) / 2),
+      dy: Math.floor((th - sh) / 2),
+      dw: sw,
+      dh: sh,
+    };
+  }
+  const srcAspect = srcW / srcH;
+  const dstAspect = tw / th;
+  if (fit === "fill") {
+    // Crop the source to the target aspect
+    if (srcAspect > dstAspect) {
+      const sw = srcH * dstAspect;
+      return {
+        sx: (srcW - sw) / 2,
+        sy: 0,
+        sw,
+        sh: srcH,
+        dx: 0,
+        dy: 0,
+        dw: tw,
+        dh: th,
+      };
+    }
+    const sh = srcW / dstAspect;
+    return {
+      sx: 0,
+      sy: (srcH - sh) / 2,
+      sw: srcW,
+      sh,
+      dx: 0,
+      dy: 0,
+      dw: tw,
+      dh: th,
+    };
+  }
+  // fit: letterbox inside the target
+  if (srcAspect > dstAspect) {
+    const dh = Math.max(1, Math.round(tw / srcAspect));
+    return { ...full, dx: 0, dy: Math.floor((th - dh) / 2), dw: tw, dh };
+  }
+  const dw = Math.max(1, Math.round(th * srcAspect));
+  return { ...full, dx: Math.floor((tw - dw) / 2), dy: 0, dw, dh: th };
+}
+
+/* ── Resampling ─────────────────────────────────────────────────────────── */
+
+/** Average of a source area, alpha-weighted so transparent px don't darken edges */
+function boxSample(src, srcW, x0, y0, x1, y1) {
+  let a = 0;
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  let n = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const c = channels(src[y * srcW + x] >>> 0);
+      a += c.a;
+      r += c.r * c.a;
+      g += c.g * c.a;
+      b += c.b * c.a;
+      n++;
+    }
+  }
+  if (a === 0) return 0;
+  return rgbaToArgb(
+    Math.round(r / a),
+    Math.round(g / a),
+    Math.round(b / a),
+    Math.round(a / n)
+  );
+}
+
+/** Most frequent colour of a source area (ties → first seen) */
+function majoritySample(src, srcW, x0, y0, x1, y1) {
+  const counts = new Map();
+  let best = 0;
+  let bestN = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      let c = src[y * srcW + x] >>> 0;
+      if (c >>> 24 < ALPHA_CUTOFF) c = 0;
+      const n = (counts.get(c) ?? 0) + 1;
+      counts.set(c, n);
+      if (n > bestN) {
+        best = c;
+        bestN = n;
+      }
+    }
+  }
+  return best;
+}
+
+/** Resample `src` (srcW×srcH) into a new tw×th buffer according to fit/method */
+export function resampleImage(
+  src,
+  srcW,
+  srcH,
+  tw,
+  th,
+  { fit = "fit", method = "nearest" } = {}
+) {
+  const out = new Uint32Array(tw * th);
+  const p = placement(srcW, srcH, tw, th, fit);
+  const kx = p.sw / p.dw;
+  const ky = p.sh / p.dh;
+  for (let y = 0; y < p.dh; y++) {
+    const fy0 = p.sy + y * ky;
+    const y0 = Math.min(srcH - 1, Math.floor(fy0));
+    const y1 = Math.min(srcH, Math.max(y0 + 1, Math.ceil(fy0 + ky)));
+    for (let x = 0; x < p.dw; x++) {
+      const fx0 = p.sx + x * kx;
+      const x0 = Math.min(srcW - 1, Math.floor(fx0));
+      const x1 = Math.min(srcW, Math.max(x0 + 1, Math.ceil(fx0 + kx)));
+      let c;
+      if (method === "box") c = boxSample(src, srcW, x0, y0, x1, y1);
+      else if (method === "majority")
+        c = majoritySample(src, srcW, x0, y0, x1, y1);
+      else {
+        const sx = Math.min(srcW - 1, Math.floor(fx0 + kx / 2));
+        const sy = Math.min(srcH - 1, Math.floor(fy0 + ky / 2));
+        c = src[sy * srcW + sx];
+      }
+      out[(p.dy + y) * tw + p.dx + x] = c >>> 0;
+    }
+  }
+  return out;
+}
+
+/* ── Palette generation ─────────────────────────────────────────────────── */
+
+const opaqueRgb = (pixels) => {
+  const out = [];
+  for (let i = 0; i < pixels.length; i++) {
+    const p = pixels[i] >>> 0;
+    if (p >>> 24 >= ALPHA_CUTOFF) out.push(p & 0xffffff);
+  }
+  return out;
+};
+
+const rgbOf = (c) => [(c >> 16) & 0xff, (c >> 8) & 0xff, c & 0xff];
+
+/** Median cut: split the box with the widest channel range until n boxes */
+export function medianCut(pixels, n) {
+  const colors = opaqueRgb(pixels);
+  if (colors.length === 0) return [];
+  let boxes = [colors];
+  while (boxes.length < n) {
+    let bi = -1;
+    let bestRange = 0;
+    let bestCh = 0;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      for (let ch = 0; ch < 3; ch++) {
+        let min = 255;
+        let max = 0;
+        for (const c of box) {
+          const v = rgbOf(c)[ch];
+          if (v < min) min = v;
+          if (v > max) max = v;
+        }
+        if (max - min > bestRange) {
+          bestRange = max - min;
+          bi = i;
+          bestCh = ch;
+        }
+      }
+    });
+    if (bi < 0) break; // every box is a single colour
+    const box = boxes[bi].sort((a, b) => rgbOf(a)[bestCh] - rgbOf(b)[bestCh]);
+    const mid = box.length >> 1;
+    boxes = [
+      ...boxes.slice(0, bi),
+      box.slice(0, mid),
+      box.slice(mid),
+      ...boxes.slice(bi + 1),
+    ];
+  }
+  return boxes.map((box) => {
+    const sum = [0, 0, 0];
+    for (const c of box) rgbOf(c).forEach((v, ch) => (sum[ch] += v));
+    const [r, g, b] = sum.map((v) => Math.round(v / box.length));
+    return rgbaToArgb(r, g, b);
+  });
+}
+
+/** K-means (Lloyd), seeded with median cut so results are deterministic */
+export function kMeans(pixels, n, iterations = 10) {
+  const colors = opaqueRgb(pixels).map(rgbOf);
+  let centers = medianCut(pixels, n).map((c) => rgbOf(c));
+  if (colors.length === 0) return [];
+  for (let it = 0; it < iterations; it++) {
+    const sums = centers.map(() => [0, 0, 0, 0]);
+    for (const c of colors) {
+      let best = 0;
+      let bestD = Infinity;
+      centers.forEach((k, i) => {
+        const d = (c[0] - k[0]) ** 2 + (c[1] - k[1]) ** 2 + (c[2] - k[2]) ** 2;
+        if (d < bestD) {
+          bestD = d;
+          best = i;
+        }
+      });
+      const s = sums[best];
+      s[0] += c[0];
+      s[1] += c[1];
+      s[2] += c[2];
+      s[3]++;
+    }
+    let moved = false;
+    centers = centers.map((k, i) => {
+      const s = sums[i];
+      if (s[3] === 0) return k;
+      const next = [s[0] / s[3], s[1] / s[3], s[2] / s[3]];
+      if (next.some((v, ch) => Math.abs(v - k[ch]) > 0.5)) moved = true;
+      return next;
+    });
+    if (!moved) break;
+  }
+  return centers.map(([r, g, b]) =>
+    rgbaToArgb(Math.round(r), Math.round(g), Math.round(b))
+  );
+}
+
+/* ── Mapping + dithering ────────────────────────────────────────────────── */
+
+const DIFFUSION = {
+  "floyd-steinberg": {
+    divisor: 16,
+    taps: [
+      [1, 0, 7],
+      [-1, 1, 3],
+      [0, 1, 5],
+      [1, 1, 1],
+    ],
+  },
+  atkinson: {
+    divisor: 8,
+    taps: [
+      [1, 0, 1],
+      [2, 0, 1],
+      [-1, 1, 1],
+      [0, 1, 1],
+      [1, 1, 1],
+      [0, 2, 1],
+    ],
+  },
+};
+
+/** Recursive Bayer matrix, normalized to [0, 1) */
+export function bayerMatrix(n) {
+  let m = [[0]];
+  while (m.length < n) {
+    const s = m.length;
+    const next = Array.from({ length: s * 2 }, () => new Array(s * 2));
+    for (let y = 0; y < s; y++) {
+      for (let x = 0; x < s; x++) {
+        const v = m[y][x] * 4;
+        next[y][x] = v;
+        next[y][x + s] = v + 2;
+        next[y + s][x] = v + 3;
+        next[y + s][x + s] = v + 1;
+      }
+    }
+    m = next;
+  }
+  return m.map((row) => row.map((v) => v / (n * n)));
+}
+
+const BAYER_SPREAD = 48; // ± channel offset at the matrix extremes
+
+/**
+ * Map every pixel to the nearest palette colour (0xffRRGGBB entries), with
+ * optional dithering. Alpha is thresholded: < 128 → transparent, else opaque.
+ */
+export function mapToPalette(pixels, w, h, palette, dither = "none") {
+  const out = new Uint32Array(w * h);
+  if (palette.length === 0) return out;
+  const nearest = (r, g, b) => {
+    const c = rgbaToArgb(
+      Math.max(0, Math.min(255, Math.round(r))),
+      Math.max(0, Math.min(255, Math.round(g))),
+      Math.max(0, Math.min(255, Math.round(b)))
+    );
+    let best = palette[0];
+    let bestD = Infinity;
+    for (const p of palette) {
+      const d = colorDistance(c, p);
+      if (d < bestD) {
+        bestD = d;
+        best = p;
+      }
+    }
+    return best >>> 0;
+  };
+
+  const diffusion = DIFFUSION[dither];
+  const bayer = /^bayer(\d)$/.exec(dither);
+  const matrix = bayer ? bayerMatrix(Number(bayer[1])) : null;
+
+  // Working RGB buffer (floats) so diffused error can accumulate
+  const rgb = new Float32Array(w * h * 3);
+  for (let i = 0; i < w * h; i++) {
+    const c = channels(pixels[i] >>> 0);
+    rgb[i * 3] = c.r;
+    rgb[i * 3 + 1] = c.g;
+    rgb[i * 3 + 2] = c.b;
+  }
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      if (pixels[i] >>> 24 < ALPHA_CUTOFF) continue; // stays transparent
+      let r = rgb[i * 3];
+      let g = rgb[i * 3 + 1];
+      let b = rgb[i * 3 + 2];
+      if (matrix) {
+        const t =
+          (matrix[y % matrix.length][x % matrix.length] - 0.5) * BAYER_SPREAD;
+        r += t;
+        g += t;
+        b += t;
+      }
+      const q = nearest(r, g, b);
+      out[i] = q;
+      if (!diffusion) continue;
+      const qc = channels(q);
+      const er = r - qc.r;
+      const eg = g - qc.g;
+      const eb = b - qc.b;
+      for (const [dx, dy, wgt] of diffusion.taps) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= w || ny >= h) continue;
+        const j = ny * w + nx;
+        if (pixels[j] >>> 24 < ALPHA_CUTOFF) continue;
+        const k = wgt / diffusion.divisor;
+        rgb[j * 3] += er * k;
+        rgb[j * 3 + 1] += eg * k;
+        rgb[j * 3 + 2] += eb * k;
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Full import pipeline. opts: { fit, resample, reduce, colors, palette (argb[]), dither }.
+ * Returns a tw×th buffer.
+ */
+export function processImport(src, srcW, srcH, tw, th, opts = {}) {
+  const {
+    fit,
+    resample,
+    reduce = "none",
+    colors = 16,
+    palette = [],
+    dither = "none",
+  } = opts;
+  const sampled = resampleImage(src, srcW, srcH, tw, th, {
+    fit,
+    method: resample,
+  });
+  if (reduce === "none") return sampled;
+  const target =
+    reduce === "palette"
+      ? palette.map((c) => (c | 0xff000000) >>> 0)
+      : reduce === "kmeans"
+        ? kMeans(sampled, colors)
+        : medianCut(sampled, colors);
+  return mapToPalette(sampled, tw, th, target, dither);
+}
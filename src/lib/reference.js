@@ -0,0 +1,160 @@
+/**
+ * Reference (tracing) image placement — a picture shown behind or above the
+ * sprite, never part of it. Its transform is in sprite pixels: the image
+ * centre sits at (cx, cy), scaled by `scale` sprite px per image px and
+ * rotated `rotation` degrees clockwise. The helpers here map between the two
+ * spaces, sample the image under a sprite pixel and apply handle drags.
+ */
+
+export const DEFAULT_REFERENCE = {
+  cx: 0,
+  cy: 0,
+  scale: 1,
+  rotation: 0,
+  opacity: 0.5,
+  above: false, // drawn over the art instead of under it
+  visible: true,
+  sample: false, // eyedropper picks from the reference instead of the art
+};
+
+const MIN_SCALE = 0.001;
+const ROTATE_SNAP = 15; // degrees, with Shift
+
+/** Centred and fitted inside a w×h sprite */
+export const fitReference = (iw, ih, w, h, props = {}) => ({
+  ...DEFAULT_REFERENCE,
+  ...props,
+  cx: w / 2,
+  cy: h / 2,
+  scale: Math.min(w / iw, h / ih),
+  rotation: 0,
+});
+
+/** Image px → sprite px */
+export function referenceToSprite(ref, iw, ih, x, y) {
+  const a = (ref.rotation * Math.PI) / 180;
+  const dx = (x - iw / 2) * ref.scale;
+  const dy = (y - ih / 2) * ref.scale;
+  return {
+    x: ref.cx + dx * Math.cos(a) - dy * Math.sin(a),
+    y: ref.cy + dx * Math.sin(a) + dy * Math.cos(a),
+  };
+}
+
+/** Sprite px → image px */
+export function spriteToReference(ref, iw, ih, x, y) {
+  const a = (-ref.rotation * Math.PI) / 180;
+  const dx = x - ref.cx;
+  const dy = y - ref.cy;
+  return {
+    x: (dx * Math.cos(a) - dy * Math.sin(a)) / ref.scale + iw / 2,
+    y: (dx * Math.sin(a) + dy * Math.cos(a)) / ref.scale + ih / 2,
+  };
+}
+
+/**
+ * Handle positions in sprite px: the four corners (clockwise from top-left)
+ * and the rotate knob, `gap` in from the middle of the top edge so it stays
+ * reachable when the image fills the canvas.
+ */
+export function referenceHandles(ref, iw, ih, gap) {
+  const corners = [
+    [0, 0],
+    [iw, 0],
+    [iw, ih],
+    [0, ih],
+  ].map(([x, y]) => referenceToSprite(ref, iw, ih, x, y));
+  const top = referenceToSprite(ref, iw, ih, iw / 2, 0);
+  const a = (ref.rotation * Math.PI) / 180;
+  return {
+    corners,
+    top,
+    rotate: { x: top.x - gap * Math.sin(a), y: top.y + gap * Math.cos(a) },
+  };
+}
+
+/**
+ * What a press at (x, y) grabs: "rotate" (the knob), "scale" (a corner) or
+ * "move" (anywhere else). `tol` and `gap` are in sprite px.
+ */
+export function referenceHandleAt(ref, iw, ih, x, y, tol, gap) {
+  const { corners, rotate } = referenceHandles(ref, iw, ih, gap);
+  const near = (p) => Math.hypot(p.x - x, p.y - y) <= tol;
+  if (near(rotate)) return "rotate";
+  if (corners.some(near)) return "scale";
+  return "move";
+}
+
+/**
+ * Transform after dragging a handle from (drag.x0, drag.y0) to (x, y), where
+ * drag is { mode, x0, y0, start } and start the transform at press time.
+ * Scaling is uniform about the centre; Shift snaps rotation to 15°.
+ */
+export function dragReference(drag, x, y, { snap = false } = {}) {
+  const { mode, x0, y0, start } = drag;
+  if (mode === "move") {
+    return { ...start, cx: start.cx + x - x0, cy: start.cy + y - y0 };
+  }
+  const d0 = Math.hypot(x0 - start.cx, y0 - start.cy);
+  if (mode === "scale") {
+    const d = Math.hypot(x - start.cx, y - start.cy);
+    return d0
+      ? { ...start, scale: Math.max(MIN_SCALE, (start.scale * d) / d0) }
+      : start;
+  }
+  const turn =
+    Math.atan2(y - start.cy, x - start.cx) -
+    Math.atan2(y0 - start.cy, x0 - start.cx);
+  let rotation = start.rotation + (turn * 180) / Math.PI;
+  if (snap) rotation = Math.round(rotation / ROTATE_SNAP) * ROTATE_SNAP;
+  return { ...start, rotation: (((rotation % 360) + 540) % 360) - 180 };
+}
+
+/**
+ * The reference colour under sprite pixel (x, y) — sampled at its centre
+ * from image = { pixels, width, height } — or null outside the image.
+ */
+export function sampleReference(ref, image, x, y) {
+  const { pixels, width, height } = image;
+  const p = spriteToReference(ref, width, height, x + 0.5, y + 0.5);
+  const ix = Math.floor(p.x);
+  const iy = Math.floor(p.y);
+  if (ix < 0 || iy < 0 || ix >= width || iy >= height) return null;
+  return pixels[iy * width + ix] >>> 0;
+}
+
+const finite = (v, fallback) => (Number.isFinite(v) ? v : fallback);
+
+/**
+ * Saved reference → { name, src, ...transform }, or null without an image.
+ * `src` is the image as a data URL.
+ */
+export function parseReference(raw) {
+  if (!raw || typeof raw.src !== "string" || !raw.src.startsWith("data:")) {
+    return null;
+  }
+  const d = DEFAULT_REFERENCE;
+  const bool = (v, fallback) => (typeof v === "boolean" ? v : fallback);
+  return {
+    name: typeof raw.name === "string" ? raw.name : "Reference",
+    src: raw.src,
+    cx: finite(raw.cx, d.cx),
+    cy: finite(raw.cy, d.cy),
+    scale: Math.max(MIN_SCALE, finite(raw.scale, d.scale)),
+    rotation: finite(raw.rotation, d.rotation),
+    opacity: Math.max(0, Math.min(1, finite(raw.opacity, d.opacity))),
+    above: bool(raw.above, d.above),
+    visible: bool(raw.visible, d.visible),
+    sample: bool(raw.sample, d.sample),
+  };
+}
+
+/** The saved part of a loaded reference (see parseReference) */
+export const referenceToJson = (ref) =>
+  ref && {
+    name: ref.name,
+    src: ref.src,
+    ...Object.fromEntries(
+      Object.keys(DEFAULT_REFERENCE).map((k) => [k, ref[k]])
+    ),
+  };
@@ -0,0 +1,82 @@
+/**
+ * Canvas size helpers — presets, nearest-neighbor rescale and crop/extend
+ * around one of nine anchors. Pixels are 0xAARRGGBB (Uint32Array), row-major.
+ */
+
+export const MIN_SIZE = 1;
+export const MAX_SIZE = 256;
+
+export const SIZE_PRESETS = [
+  { label: "16×16 icon", width: 16, height: 16 },
+  { label: "32×32 kwaxel", width: 32, height: 32 },
+  { label: "48×48 portrait", width: 48, height: 48 },
+  { label: "64×32 banner", width: 64, height: 32 },
+  { label: "64×64", width: 64, height: 64 },
+];
+
+/** Anchor positions in row-major 3×3 order (matches the picker grid) */
+export const ANCHORS = [
+  "top-left",
+  "top",
+  "top-right",
+  "left",
+  "center",
+  "right",
+  "bottom-left",
+  "bottom",
+  "bottom-right",
+];
+
+const anchorFactors = (anchor) => {
+  const i = Math.max(0, ANCHORS.indexOf(anchor));
+  return [(i % 3) / 2, Math.floor(i / 3) / 2];
+};
+
+/** Nearest-neighbor rescale of a w×h buffer to dw×dh */
+export function scalePixels(src, w, h, dw, dh) {
+  const out = new Uint32Array(dw * dh);
+  for (let y = 0; y < dh; y++) {
+    const sy = Math.min(h - 1, Math.floor(((y + 0.5) * h) / dh));
+    for (let x = 0; x < dw; x++) {
+      const sx = Math.min(w - 1, Math.floor(((x + 0.5) * w) / dw));
+      out[y * dw + x] = src[sy * w + sx];
+    }
+  }
+  return out;
+}
+
+/**
+ * Crop or extend a w×h buffer to dw×dh without scaling. The anchor decides
+ * which edge(s) keep their content; new area is transparent.
+ */
+export function cropPixels(src, w, h, dw, dh, anchor = "center") {
+  const [fx, fy] = anchorFactors(anchor);
+  const ox = Math.round((dw - w) * fx);
+  const oy = Math.round((dh - h) * fy);
+  const out = new Uint32Array(dw * dh);
+  for (let y = 0; y < h; y++) {
+    const ty = y + oy;
+    if (ty < 0 || ty >= dh) continue;
+    for (let x = 0; x < w; x++) {
+      const tx = x + ox;
+      if (tx < 0 || tx >= dw) continue;
+      out[ty * dw + tx] = src[y * w + x];
+    }
+  }
+  return out;
+}
+
+/** mode: "scale" rescales the art, "crop" keeps pixel size and crops/extends */
+export function resizePixels(
+  src,
+  w,
+  h,
+  dw,
+  dh,
+  { mode = "crop", anchor = "center" } = {}
+) {
+  if (dw === w && dh === h) return new Uint32Array(src);
+  return mode === "scale"
+    ? scalePixels(src, w, h, dw, dh)
+    : cropPixels(src, w, h, dw, dh, anchor);
+}
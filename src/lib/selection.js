@@ -0,0 +1,182 @@
+/**
+ * Selections — a w×h Uint8Array mask (1 = selected) plus helpers to build
+ * masks (rectangle, lasso polygon), lift/stamp floating pixels and clip edits.
+ * A floating selection is { pixels, mask, width, height, x, y } in document px.
+ */
+import { celPixels, setCel } from "./document.js";
+import { plotLine } from "./shapes.js";
+
+export const SELECT_TOOLS = ["marquee", "lasso", "wand"];
+
+export function rectMask(w, h, x0, y0, x1, y1) {
+  const mask = new Uint8Array(w * h);
+  const l = Math.max(0, Math.min(x0, x1));
+  const r = Math.min(w - 1, Math.max(x0, x1));
+  const t = Math.max(0, Math.min(y0, y1));
+  const b = Math.min(h - 1, Math.max(y0, y1));
+  for (let y = t; y <= b; y++) mask.fill(1, y * w + l, y * w + r + 1);
+  return mask;
+}
+
+/** Lasso: pixels whose centre is inside the closed polygon, plus its outline */
+export function polygonMask(w, h, points) {
+  const mask = new Uint8Array(w * h);
+  const n = points.length;
+  for (let y = 0; y < h; y++) {
+    const cy = y + 0.5;
+    const xs = [];
+    for (let i = 0; i < n; i++) {
+      const [ax, ay] = points[i];
+      const [bx, by] = points[(i + 1) % n];
+      const pay = ay + 0.5;
+      const pby = by + 0.5;
+      if (pay <= cy === pby <= cy) continue;
+      xs.push(ax + 0.5 + ((cy - pay) / (pby - pay)) * (bx - ax));
+    }
+    xs.sort((a, b) => a - b);
+    for (let i = 0; i + 1 < xs.length; i += 2) {
+      const from = Math.max(0, Math.ceil(xs[i] - 0.5));
+      const to = Math.min(w - 1, Math.floor(xs[i + 1] - 0.5));
+      if (to >= from) mask.fill(1, y * w + from, y * w + to + 1);
+    }
+  }
+  for (let i = 0; i < n; i++) {
+    const [ax, ay] = points[i];
+    const [bx, by] = points[(i + 1) % n];
+    plotLine(ax, ay, bx, by, (x, y) => {
+      if (x >= 0 && y >= 0 && x < w && y < h) mask[y * w + x] = 1;
+    });
+  }
+  return mask;
+}
+
+/** Bounding box of the selected pixels, or null for an empty mask */
+export function maskBounds(mask, w, h) {
+  let l = w;
+  let t = h;
+  let r = -1;
+  let b = -1;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (!mask[y * w + x]) continue;
+      if (x < l) l = x;
+      if (x > r) r = x;
+      if (y < t) t = y;
+      if (y > b) b = y;
+    }
+  }
+  return r < 0 ? null : { x: l, y: t, width: r - l + 1, height: b - t + 1 };
+}
+
+/**
+ * Outline segments [x0, y0, x1, y1] (pixel-edge coordinates) between selected
+ * and unselected pixels, offset by (ox, oy) — the marching ants path.
+ */
+export function maskEdges(mask, w, h, ox = 0, oy = 0) {
+  const segs = [];
+  const at = (x, y) => x >= 0 && y >= 0 && x < w && y < h && mask[y * w + x];
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (!mask[y * w + x]) continue;
+      const px = x + ox;
+      const py = y + oy;
+      if (!at(x, y - 1)) segs.push([px, py, px + 1, py]);
+      if (!at(x, y + 1)) segs.push([px, py + 1, px + 1, py + 1]);
+      if (!at(x - 1, y)) segs.push([px, py, px, py + 1]);
+      if (!at(x + 1, y)) segs.push([px + 1, py, px + 1, py + 1]);
+    }
+  }
+  return segs;
+}
+
+/** Selected pixels cropped to their bounds as a floating selection (or null) */
+export function liftSelection(pixels, mask, w, h) {
+  const bounds = maskBounds(mask, w, h);
+  if (!bounds) return null;
+  const { x, y, width, height } = bounds;
+  const out = new Uint32Array(width * height);
+  const outMask = new Uint8Array(width * height);
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      const src = (y + j) * w + x + i;
+      if (!mask[src]) continue;
+      out[j * width + i] = pixels[src];
+      outMask[j * width + i] = 1;
+    }
+  }
+  return { pixels: out, mask: outMask, width, height, x, y };
+}
+
+/** Copy of `pixels` with the selected pixels cleared to transparent */
+export function clearMasked(pixels, mask) {
+  const out = new Uint32Array(pixels);
+  for (let i = 0; i < out.length; i++) if (mask[i]) out[i] = 0;
+  return out;
+}
+
+/** Copy of `pixels` with a floating selection stamped on (opaque px replace) */
+export function stampFloating(pixels, w, h, floating) {
+  const out = new Uint32Array(pixels);
+  const { width, height, x, y } = floating;
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      const dx = x + i;
+      const dy = y + j;
+      if (dx < 0 || dy < 0 || dx >= w || dy >= h) continue;
+      const p = floating.pixels[j * width + i];
+      if (p >>> 24 !== 0) out[dy * w + dx] = p;
+    }
+  }
+  return out;
+}
+
+/**
+ * Document with a floating selection ({ …, layerId, frame }) stamped into its
+ * cel; unchanged if that layer or frame is gone.
+ */
+export function dropFloatingInto(doc, floating) {
+  const { layerId, frame } = floating;
+  if (!doc.layers.some((l) => l.id === layerId)) return doc;
+  if (frame >= doc.frames.length) return doc;
+  const cel = celPixels(doc, frame, layerId);
+  return setCel(
+    doc,
+    frame,
+    layerId,
+    stampFloating(cel, doc.width, doc.height, floating)
+  );
+}
+
+/** The floating selection's mask placed back on the w×h canvas */
+export function floatingMask(floating, w, h) {
+  const mask = new Uint8Array(w * h);
+  const { width, height, x, y } = floating;
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      const dx = x + i;
+      const dy = y + j;
+      if (dx < 0 || dy < 0 || dx >= w || dy >= h) continue;
+      if (floating.mask[j * width + i]) mask[dy * w + dx] = 1;
+    }
+  }
+  return mask;
+}
+
+/** Keep `next` only inside the mask; outside it falls back to `prev` */
+export function clipToMask(prev, next, mask) {
+  const out = new Uint32Array(next);
+  for (let i = 0; i < out.length; i++) if (!mask[i]) out[i] = prev[i];
+  return out;
+}
+
+/** Floating selection from a pasted image (whole image, alpha as-is) */
+export function floatingFromPixels(pixels, width, height, x = 0, y = 0) {
+  return {
+    pixels,
+    mask: new Uint8Array(width * height).fill(1),
+    width,
+    height,
+    x,
+    y,
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * Shape rasterizers — pixel-exact lines (Bresenham), rectangles and ellipses
+ * (Zingl's bounding-box ellipse). Each calls plot(x, y) per pixel; callers
+ * clip and apply the brush.
+ */
+
+export const SHAPE_TOOLS = ["line", "rect", "ellipse"];
+
+const TAN_22_5 = Math.tan(Math.PI / 8);
+
+/**
+ * Shift-constraint: lines snap to 0/45/90°, rectangles and ellipses to
+ * squares/circles. Returns the adjusted end point { x1, y1 }.
+ */
+export function constrainShape(tool, x0, y0, x1, y1) {
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  const adx = Math.abs(dx);
+  const ady = Math.abs(dy);
+  if (tool === "line") {
+    if (ady <= adx * TAN_22_5) return { x1, y1: y0 };
+    if (adx <= ady * TAN_22_5) return { x1: x0, y1 };
+  }
+  const d = Math.max(adx, ady);
+  return { x1: x0 + (dx < 0 ? -d : d), y1: y0 + (dy < 0 ? -d : d) };
+}
+
+export function plotLine(x0, y0, x1, y1, plot) {
+  const dx = Math.abs(x1 - x0);
+  const dy = -Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1;
+  const sy = y0 < y1 ? 1 : -1;
+  let err = dx + dy;
+  for (;;) {
+    plot(x0, y0);
+    if (x0 === x1 && y0 === y1) break;
+    const e2 = 2 * err;
+    if (e2 >= dy) {
+      err += dy;
+      x0 += sx;
+    }
+    if (e2 <= dx) {
+      err += dx;
+      y0 += sy;
+    }
+  }
+}
+
+export function plotRect(x0, y0, x1, y1, filled, plot) {
+  const [l, r] = x0 < x1 ? [x0, x1] : [x1, x0];
+  const [t, b] = y0 < y1 ? [y0, y1] : [y1, y0];
+  for (let y = t; y <= b; y++) {
+    for (let x = l; x <= r; x++) {
+      if (filled || y === t || y === b || x === l || x === r) plot(x, y);
+    }
+  }
+}
+
+/** Ellipse inscribed in the box (x0,y0)–(x1,y1), both corners inclusive */
+export function plotEllipse(x0, y0, x1, y1, filled, plot) {
+  // Filled: collect each row's extent from the outline, then fill spans
+  const spans = new Map();
+  const emit = filled
+    ? (x, y) => {
+        const s = spans.get(y);
+        if (!s) spans.set(y, [x, x]);
+        else {
+          if (x < s[0]) s[0] = x;
+          if (x > s[1]) s[1] = x;
+        }
+      }
+    : plot;
+
+  let a = Math.abs(x1 - x0);
+  const b = Math.abs(y1 - y0);
+  let b1 = b & 1;
+  let dx = 4 * (1 - a) * b * b;
+  let dy = 4 * (b1 + 1) * a * a;
+  let err = dx + dy + b1 * a * a;
+  if (x0 > x1) {
+    x0 = x1;
+    x1 += a;
+  }
+  if (y0 > y1) y0 = y1;
+  y0 += (b + 1) >> 1;
+  y1 = y0 - b1;
+  a *= 8 * a;
+  b1 = 8 * b * b;
+  do {
+    emit(x1, y0);
+    emit(x0, y0);
+    emit(x0, y1);
+    emit(x1, y1);
+    const e2 = 2 * err;
+    if (e2 <= dy) {
+      y0++;
+      y1--;
+      err += dy += a;
+    }
+    if (e2 >= dx || 2 * err > dy) {
+      x0++;
+      x1--;
+      err += dx += b1;
+    }
+  } while (x0 <= x1);
+  // Flat ellipses (height 1–2): finish the tips
+  while (y0 - y1 < b) {
+    emit(x0 - 1, y0);
+    emit(x1 + 1, y0++);
+    emit(x0 - 1, y1);
+    emit(x1 + 1, y1--);
+  }
+
+  if (filled) {
+    for (const [y, [l, r]] of spans) for (let x = l; x <= r; x++) plot(x, y);
+  }
+}
+
+/** Rasterize a shape { tool, x0, y0, x1, y1, filled } via plot(x, y) */
+export function plotShape({ tool, x0, y0, x1, y1, filled }, plot) {
+  if (tool === "line") plotLine(x0, y0, x1, y1, plot);
+  else if (tool === "rect") plotRect(x0, y0, x1, y1, filled, plot);
+  else if (tool === "ellipse") plotEllipse(x0, y0, x1, y1, filled, plot);
+}
+
+/**
+ * Draw a shape into a w×h buffer (in place). Outlines are stamped with a
+ * size×size square brush, centred like the pencil; fills are 1:1. `mirror`
+ * (see lib/symmetry.js) repeats every pixel at its symmetric positions.
+ * shape: { tool, x0, y0, x1, y1, filled, size, argb }
+ */
+export function drawShape(buf, w, h, shape, mirror = null) {
+  const argb = shape.argb >>> 0;
+  const size = shape.filled && shape.tool !== "line" ? 1 : shape.size || 1;
+  const r = Math.floor(size / 2);
+  const put = (px, py) => {
+    if (px >= 0 && py >= 0 && px < w && py < h) buf[py * w + px] = argb;
+  };
+  plotShape(shape, (x, y) => {
+    for (let j = -r; j < size - r; j++) {
+      for (let i = -r; i < size - r; i++) {
+        if (mirror) for (const [px, py] of mirror(x + i, y + j)) put(px, py);
+        else put(x + i, y + j);
+      }
+    }
+  });
+  return buf;
+}
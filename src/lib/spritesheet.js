@@ -0,0 +1,88 @@
+/**
+ * Sprite sheet packing + JSON atlas (Aseprite / TexturePacker "hash" and "array").
+ * Frames are w×h 0xAARRGGBB buffers; everything here is pure (no DOM).
+ */
+import { scalePixels } from "./resize.js";
+
+export const SHEET_LAYOUTS = ["horizontal", "vertical", "grid"];
+export const ATLAS_FORMATS = ["hash", "array"];
+
+/** Copy a w×h buffer into dst (dw wide) at (dx, dy), repeating edges `extrude` px */
+function blitExtruded(dst, dw, src, w, h, dx, dy, extrude) {
+  for (let y = -extrude; y < h + extrude; y++) {
+    const sy = Math.min(h - 1, Math.max(0, y));
+    for (let x = -extrude; x < w + extrude; x++) {
+      const sx = Math.min(w - 1, Math.max(0, x));
+      dst[(dy + y) * dw + dx + x] = src[sy * w + sx];
+    }
+  }
+}
+
+/**
+ * Pack frames into one buffer.
+ * opts: layout, columns (grid), padding (px between cells), extrude (edge px), scale.
+ * Returns { pixels, width, height, rects: [{ x, y, w, h }] } in output pixels.
+ */
+export function packSheet(
+  frames,
+  w,
+  h,
+  { layout = "horizontal", columns = 4, padding = 0, extrude = 0, scale = 1 } = {}
+) {
+  const n = frames.length;
+  const fw = w * scale;
+  const fh = h * scale;
+  const cols =
+    layout === "horizontal"
+      ? n
+      : layout === "vertical"
+        ? 1
+        : Math.max(1, Math.min(columns, n));
+  const rows = Math.ceil(n / cols);
+  const cellW = fw + extrude * 2;
+  const cellH = fh + extrude * 2;
+  const width = cols * cellW + (cols - 1) * padding;
+  const height = rows * cellH + (rows - 1) * padding;
+
+  const pixels = new Uint32Array(width * height);
+  const rects = frames.map((src, i) => {
+    const col = i % cols;
+    const row = Math.floor(i / cols);
+    const x = col * (cellW + padding) + extrude;
+    const y = row * (cellH + padding) + extrude;
+    const scaled = scale === 1 ? src : scalePixels(src, w, h, fw, fh);
+    blitExtruded(pixels, width, scaled, fw, fh, x, y, extrude);
+    return { x, y, w: fw, h: fh };
+  });
+  return { pixels, width, height, rects };
+}
+
+/**
+ * JSON atlas in the Aseprite/TexturePacker layout.
+ * frames: [{ name, rect, duration }]; meta: { image, width, height, scale }.
+ */
+export function buildAtlas(frames, { format = "hash", image, width, height, scale = 1 }) {
+  const entry = ({ rect, duration }) => ({
+    frame: { x: rect.x, y: rect.y, w: rect.w, h: rect.h },
+    rotated: false,
+    trimmed: false,
+    spriteSourceSize: { x: 0, y: 0, w: rect.w, h: rect.h },
+    sourceSize: { w: rect.w, h: rect.h },
+    duration,
+  });
+  return {
+    frames:
+      format === "array"
+        ? frames.map((f) => ({ filename: f.name, ...entry(f) }))
+        : Object.fromEntries(frames.map((f) => [f.name, entry(f)])),
+    meta: {
+      app: "kwaxel-generator",
+      version: "1.0",
+      image,
+      format: "RGBA8888",
+      size: { w: width, h: height },
+      scale: String(scale),
+      frameTags: [],
+    },
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * Local document store (IndexedDB) — autosave, crash recovery and the gallery.
+ *   documents: { id, name, createdAt, updatedAt, width, height, thumbnail, project }
+ *              `project` is the serialized .kwaxel text (see project.js)
+ *   meta:      small key/value records, e.g. "lastDocumentId"
+ */
+
+const DB_NAME = "kwaxel";
+const DB_VERSION = 1;
+const DOCS = "documents";
+const META = "meta";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(DOCS)) {
+          db.createObjectStore(DOCS, { keyPath: "id" }).createIndex(
+            "updatedAt",
+            "updatedAt"
+          );
+        }
+        if (!db.objectStoreNames.contains(META)) db.createObjectStore(META);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null; // allow a retry later
+    });
+  }
+  return dbPromise;
+}
+
+/** Run one request against a store and resolve with its result */
+async function run(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+let docSeq = 0;
+export const newDocumentId = () =>
+  `d${Date.now().toString(36)}${(docSeq++).toString(36)}${Math.random()
+    .toString(36)
+    .slice(2, 6)}`;
+
+/** All documents, most recently edited first */
+export async function listDocuments() {
+  const all = await run(DOCS, "readonly", (s) => s.getAll());
+  return all.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export const getDocument = (id) => run(DOCS, "readonly", (s) => s.get(id));
+
+export const putDocument = (record) =>
+  run(DOCS, "readwrite", (s) => s.put(record));
+
+export const deleteDocument = (id) =>
+  run(DOCS, "readwrite", (s) => s.delete(id));
+
+export const getMeta = (key) => run(META, "readonly", (s) => s.get(key));
+
+export const setMeta = (key, value) =>
+  run(META, "readwrite", (s) => s.put(value, key));
+
+export async function renameDocument(id, name) {
+  const record = await getDocument(id);
+  if (!record) return;
+  await putDocument({ ...record, name, updatedAt: Date.now() });
+}
+
+/** Copy a stored document under a new id; resolves with the new record */
+export async function duplicateDocument(id) {
+  const record = await getDocument(id);
+  if (!record) return null;
+  const now = Date.now();
+  const copy = {
+    ...record,
+    id: newDocumentId(),
+    name: `${record.name} copy`,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await putDocument(copy);
+  return copy;
+}
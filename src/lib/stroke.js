@@ -0,0 +1,100 @@
+/**
+ * Freehand strokes on a mutable working buffer. A stroke copies the cel once,
+ * then every pointer sample paints straight into that copy: samples are joined
+ * with Bresenham lines so fast moves leave no gaps, and each step reports the
+ * dirty rectangle so only that area is redrawn. The caller commits `buf` as
+ * the new cel (one history entry) when the stroke ends.
+ */
+import { plotLine } from "./shapes.js";
+
+/**
+ * opts: { argb, size, mirror (lib/symmetry.js), mask (selection or null),
+ * pixelPerfect } — pixel-perfect only applies to 1px brushes.
+ */
+export function beginStroke(cel, w, h, opts) {
+  return {
+    ...opts,
+    orig: cel,
+    buf: new Uint32Array(cel),
+    w,
+    h,
+    path: [],
+    changed: false,
+  };
+}
+
+const growRect = (r, x, y) => {
+  if (!r) return { x0: x, y0: y, x1: x, y1: y };
+  if (x < r.x0) r.x0 = x;
+  if (y < r.y0) r.y0 = y;
+  if (x > r.x1) r.x1 = x;
+  if (y > r.y1) r.y1 = y;
+  return r;
+};
+
+/** Brush footprint at (x, y) incl. symmetric copies; fn(x, y) per in-bounds pixel */
+function forBrush(stroke, x, y, fn) {
+  const { size, mirror, mask, w, h } = stroke;
+  const r = Math.floor(size / 2);
+  for (let j = -r; j < size - r; j++) {
+    for (let i = -r; i < size - r; i++) {
+      for (const [px, py] of mirror ? mirror(x + i, y + j) : [[x + i, y + j]]) {
+        if (px < 0 || py < 0 || px >= w || py >= h) continue;
+        if (mask && !mask[py * w + px]) continue;
+        fn(px, py);
+      }
+    }
+  }
+}
+
+// a → b → c turns a corner where a and c touch diagonally: b is the extra pixel
+const isCorner = (a, b, c) =>
+  Math.abs(a[0] - c[0]) === 1 &&
+  Math.abs(a[1] - c[1]) === 1 &&
+  ((b[0] === a[0] && b[1] === c[1]) || (b[1] === a[1] && b[0] === c[0]));
+
+/**
+ * Extend the stroke to (x, y). Mutates stroke.buf and returns the dirty
+ * rectangle { x, y, width, height } of this step, or null if nothing changed.
+ */
+export function strokeTo(stroke, x, y) {
+  const { buf, orig, w, argb, path } = stroke;
+  const perfect = stroke.pixelPerfect && stroke.size === 1;
+  let dirty = null;
+  const paint = (px, py) => {
+    buf[py * w + px] = argb;
+    dirty = growRect(dirty, px, py);
+  };
+  const restore = (px, py) => {
+    buf[py * w + px] = orig[py * w + px];
+    dirty = growRect(dirty, px, py);
+  };
+
+  const add = (px, py) => {
+    const last = path[path.length - 1];
+    if (last && last[0] === px && last[1] === py) return;
+    path.push([px, py]);
+    forBrush(stroke, px, py, paint);
+    if (perfect && path.length >= 3) {
+      const [a, b, c] = path.slice(-3);
+      if (isCorner(a, b, c)) {
+        forBrush(stroke, b[0], b[1], restore);
+        path.splice(-2, 1);
+      }
+    }
+    if (path.length > 3) path.shift();
+  };
+
+  const last = path[path.length - 1];
+  if (last) plotLine(last[0], last[1], x, y, add);
+  else add(x, y);
+
+  if (!dirty) return null;
+  stroke.changed = true;
+  return {
+    x: dirty.x0,
+    y: dirty.y0,
+    width: dirty.x1 - dirty.x0 + 1,
+    height: dirty.y1 - dirty.y0 + 1,
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * Symmetry — maps one painted pixel to all of its mirrored / rotated copies.
+ * Axes are in pixel-edge units and may sit on half pixels: x = 16 mirrors
+ * across the line between columns 15 and 16, x = 15.5 through column 15.
+ */
+
+export const SYMMETRY_MODES = [
+  { id: "none", label: "Off" },
+  { id: "vertical", label: "Vertical axis" },
+  { id: "horizontal", label: "Horizontal axis" },
+  { id: "quad", label: "Both (quad)" },
+  { id: "radial", label: "Radial" },
+];
+export const MIN_RADIAL = 2;
+export const MAX_RADIAL = 12;
+
+/** Axis position, defaulting to the canvas centre and kept on the canvas */
+export function symmetryAxis({ x, y }, w, h) {
+  const fit = (v, max) =>
+    v === null || v === undefined || !Number.isFinite(v)
+      ? max / 2
+      : Math.min(max, Math.max(0, Math.round(v * 2) / 2));
+  return { x: fit(x, w), y: fit(y, h) };
+}
+
+/**
+ * Returns (x, y) → [[x, y], …] with the original first and duplicates
+ * removed, or null when symmetry is off. sym: { mode, x, y, n }.
+ */
+export function symmetryMapper(sym, w, h) {
+  if (!sym || sym.mode === "none") return null;
+  const { x: ax, y: ay } = symmetryAxis(sym, w, h);
+  const mx = (x) => 2 * ax - x - 1;
+  const my = (y) => 2 * ay - y - 1;
+
+  let map;
+  if (sym.mode === "vertical") {
+    map = (x, y) => [
+      [x, y],
+      [mx(x), y],
+    ];
+  } else if (sym.mode === "horizontal") {
+    map = (x, y) => [
+      [x, y],
+      [x, my(y)],
+    ];
+  } else if (sym.mode === "quad") {
+    map = (x, y) => [
+      [x, y],
+      [mx(x), y],
+      [x, my(y)],
+      [mx(x), my(y)],
+    ];
+  } else {
+    const n = Math.min(MAX_RADIAL, Math.max(MIN_RADIAL, sym.n | 0));
+    const turns = Array.from({ length: n }, (_, k) => [
+      Math.cos((2 * Math.PI * k) / n),
+      Math.sin((2 * Math.PI * k) / n),
+    ]);
+    map = (x, y) => {
+      const dx = x + 0.5 - ax;
+      const dy = y + 0.5 - ay;
+      return turns.map(([c, s]) => [
+        Math.round(ax + dx * c - dy * s - 0.5),
+        Math.round(ay + dx * s + dy * c - 0.5),
+      ]);
+    };
+  }
+
+  return (x, y) => {
+    const seen = new Set();
+    return map(x, y).filter(([px, py]) => {
+      const key = py * 65536 + px;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  };
+}
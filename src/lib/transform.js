@@ -0,0 +1,107 @@
+/**
+ * Image transforms — flip, rotate, offset (with wrap), auto-outline and drop
+ * shadow. Pure functions over w×h buffers; the geometric ones work on any
+ * typed array so selection masks can be transformed alongside pixels.
+ */
+import { blendInto } from "./layers.js";
+
+export const OUTLINE_MODES = ["outside", "inside"];
+
+export function flipPixels(src, w, h, axis = "horizontal") {
+  const out = new src.constructor(src.length);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const sx = axis === "horizontal" ? w - 1 - x : x;
+      const sy = axis === "vertical" ? h - 1 - y : y;
+      out[y * w + x] = src[sy * w + sx];
+    }
+  }
+  return out;
+}
+
+/** Rotate by quarter turns clockwise (1 = 90°, 2 = 180°, 3 = 90° ccw) → { pixels, width, height } */
+export function rotatePixels(src, w, h, turns = 1) {
+  const t = ((turns % 4) + 4) % 4;
+  const [dw, dh] = t % 2 ? [h, w] : [w, h];
+  const out = new src.constructor(src.length);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let dx = x;
+      let dy = y;
+      if (t === 1) [dx, dy] = [h - 1 - y, x];
+      else if (t === 2) [dx, dy] = [w - 1 - x, h - 1 - y];
+      else if (t === 3) [dx, dy] = [y, w - 1 - x];
+      out[dy * dw + dx] = src[y * w + x];
+    }
+  }
+  return { pixels: out, width: dw, height: dh };
+}
+
+/** Shift by (dx, dy); with wrap the pixels pushed off one edge re-enter opposite */
+export function offsetPixels(src, w, h, dx, dy, wrap = true) {
+  const out = new src.constructor(src.length);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let tx = x + dx;
+      let ty = y + dy;
+      if (wrap) {
+        tx = ((tx % w) + w) % w;
+        ty = ((ty % h) + h) % h;
+      } else if (tx < 0 || ty < 0 || tx >= w || ty >= h) continue;
+      out[ty * w + tx] = src[y * w + x];
+    }
+  }
+  return out;
+}
+
+const NEIGHBOURS_4 = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+];
+const NEIGHBOURS_8 = [...NEIGHBOURS_4, [1, 1], [-1, 1], [1, -1], [-1, -1]];
+
+/**
+ * 1px outline in `argb` around opaque pixels. "outside" paints transparent
+ * pixels next to opaque ones; "inside" repaints opaque pixels that touch
+ * transparency (the canvas edge counts as transparent).
+ */
+export function outlinePixels(
+  src,
+  w,
+  h,
+  argb,
+  { mode = "outside", connectivity = 4 } = {}
+) {
+  const out = new Uint32Array(src);
+  const dirs = connectivity === 8 ? NEIGHBOURS_8 : NEIGHBOURS_4;
+  const opaque = (x, y) =>
+    x >= 0 && y >= 0 && x < w && y < h && src[y * w + x] >>> 24 !== 0;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const self = opaque(x, y);
+      if (mode === "inside" ? !self : self) continue;
+      const hit = dirs.some(([ox, oy]) =>
+        mode === "inside" ? !opaque(x + ox, y + oy) : opaque(x + ox, y + oy)
+      );
+      if (hit) out[y * w + x] = argb >>> 0;
+    }
+  }
+  return out;
+}
+
+/** Silhouette of the opaque pixels offset by (dx, dy) in `argb`, drawn underneath */
+export function dropShadow(src, w, h, { dx = 1, dy = 1, argb = 0x80000000 }) {
+  const shadow = new Uint32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const tx = x + dx;
+      const ty = y + dy;
+      if (tx < 0 || ty < 0 || tx >= w || ty >= h) continue;
+      if (src[y * w + x] >>> 24 !== 0) shadow[ty * w + tx] = argb >>> 0;
+    }
+  }
+  blendInto(shadow, src, 1, "normal");
+  return shadow;
+}
@@ -0,0 +1,599 @@
+/**
+ * Pixel-art upscalers for export: Scale2x/3x (EPX), Eagle, hqx and xBR.
+ *
+ * Colours are compared with fully transparent pixels treated as one colour,
+ * and every blend is done with premultiplied alpha, so edges against
+ * transparency fade out instead of picking up a dark or off-colour fringe.
+ * Pixels past the border repeat the edge.
+ *
+ * Scale2x/3x and Eagle only ever copy source colours. hqx looks up each
+ * neighbourhood's pattern in its case tables and blends fixed proportions
+ * of the neighbours into every output pixel. xBR rounds off corners
+ * geometrically: each source pixel decides, per corner, whether an edge cuts
+ * across it and with which colour, and output pixels take that colour by how
+ * much of their area lies past the edge (4×4 samples each), which works for
+ * any output factor.
+ */
+import { rgbaToArgb } from "./color.js";
+import { cropPixels, scalePixels } from "./resize.js";
+
+/**
+ * steps: the factors one pass of the algorithm makes (tried largest first);
+ * "any" scales by the whole factor in one pass.
+ */
+export const UPSCALERS = [
+  { id: "nearest", label: "Nearest neighbour", steps: "any" },
+  { id: "scalex", label: "Scale2x / Scale3x (EPX)", steps: [3, 2] },
+  { id: "eagle", label: "Eagle", steps: [2] },
+  { id: "hqx", label: "hq2x / hq3x / hq4x", steps: [4, 3, 2] },
+  { id: "xbr", label: "xBR", steps: "any" },
+];
+
+export const MAX_UPSCALE_SIDE = 4096; // px
+
+/** Transparent pixels all compare equal */
+const norm = (c) => (c >>> 24 === 0 ? 0 : c >>> 0);
+
+/** Accessor for pixel (x, y) with the edges repeated */
+const sampler = (src, w, h) => (x, y) =>
+  norm(
+    src[Math.min(h - 1, Math.max(0, y)) * w + Math.min(w - 1, Math.max(0, x))]
+  );
+
+/** Premultiplied weighted average of 0xAARRGGBB colours */
+function mix(colors, weights) {
+  let a = 0;
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  for (let k = 0; k < colors.length; k++) {
+    const c = colors[k];
+    const wa = weights[k] * (c >>> 24);
+    a += wa;
+    r += wa * ((c >>> 16) & 0xff);
+    g += wa * ((c >>> 8) & 0xff);
+    b += wa * (c & 0xff);
+  }
+  if (a < 0.5) return 0;
+  return rgbaToArgb(
+    Math.round(r / a),
+    Math.round(g / a),
+    Math.round(b / a),
+    Math.round(a)
+  );
+}
+
+/** Premultiplied YUV + alpha of a colour, for the distance metrics */
+function yuva(c) {
+  const a = (c >>> 24) / 255;
+  const r = ((c >>> 16) & 0xff) * a;
+  const g = ((c >>> 8) & 0xff) * a;
+  const b = (c & 0xff) * a;
+  return [
+    0.299 * r + 0.587 * g + 0.114 * b,
+    -0.169 * r - 0.331 * g + 0.5 * b,
+    0.5 * r - 0.419 * g - 0.081 * b,
+    a * 255,
+  ];
+}
+
+/* ── Scale2x / Scale3x / Eagle ──────────────────────────────────────────── */
+
+function scale2x(src, w, h) {
+  const p = sampler(src, w, h);
+  const out = new Uint32Array(w * h * 4);
+  const ow = w * 2;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const e = p(x, y);
+      const a = p(x, y - 1);
+      const b = p(x + 1, y);
+      const c = p(x - 1, y);
+      const d = p(x, y + 1);
+      const o = y * 2 * ow + x * 2;
+      out[o] = c === a && c !== d && a !== b ? a : e;
+      out[o + 1] = a === b && a !== c && b !== d ? b : e;
+      out[o + ow] = d === c && d !== b && c !== a ? c : e;
+      out[o + ow + 1] = b === d && b !== a && d !== c ? d : e;
+    }
+  }
+  return out;
+}
+
+function scale3x(src, w, h) {
+  const p = sampler(src, w, h);
+  const out = new Uint32Array(w * h * 9);
+  const ow = w * 3;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const [a, b, c] = [p(x - 1, y - 1), p(x, y - 1), p(x + 1, y - 1)];
+      const [d, e, f] = [p(x - 1, y), p(x, y), p(x + 1, y)];
+      const [g, hh, i] = [p(x - 1, y + 1), p(x, y + 1), p(x + 1, y + 1)];
+      let cells = [e, e, e, e, e, e, e, e, e];
+      if (b !== hh && d !== f) {
+        cells = [
+          d === b ? d : e,
+          (d === b && e !== c) || (b === f && e !== a) ? b : e,
+          b === f ? f : e,
+          (d === b && e !== g) || (d === hh && e !== a) ? d : e,
+          e,
+          (b === f && e !== i) || (hh === f && e !== c) ? f : e,
+          d === hh ? d : e,
+          (d === hh && e !== i) || (hh === f && e !== g) ? hh : e,
+          hh === f ? f : e,
+        ];
+      }
+      const o = y * 3 * ow + x * 3;
+      for (let k = 0; k < 9; k++) {
+        out[o + Math.floor(k / 3) * ow + (k % 3)] = cells[k];
+      }
+    }
+  }
+  return out;
+}
+
+function eagle(src, w, h) {
+  const p = sampler(src, w, h);
+  const out = new Uint32Array(w * h * 4);
+  const ow = w * 2;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const [s, t, u] = [p(x - 1, y - 1), p(x, y - 1), p(x + 1, y - 1)];
+      const [v, c, wr] = [p(x - 1, y), p(x, y), p(x + 1, y)];
+      const [xl, yb, z] = [p(x - 1, y + 1), p(x, y + 1), p(x + 1, y + 1)];
+      const o = y * 2 * ow + x * 2;
+      out[o] = v === s && s === t ? s : c;
+      out[o + 1] = t === u && u === wr ? u : c;
+      out[o + ow] = v === xl && xl === yb ? xl : c;
+      out[o + ow + 1] = wr === z && z === yb ? z : c;
+    }
+  }
+  return out;
+}
+
+/* ── hqx ────────────────────────────────────────────────────────────────── */
+
+/* Neighbours count as different past the classic hqx thresholds, on YUV
+   truncated to whole numbers as hqx's lookup table has it */
+function hqDiff(a, b) {
+  if (a === b) return false;
+  const [y1, u1, v1, a1] = yuva(a).map(Math.trunc);
+  const [y2, u2, v2, a2] = yuva(b).map(Math.trunc);
+  return (
+    Math.abs(y1 - y2) > 48 ||
+    Math.abs(u1 - u2) > 7 ||
+    Math.abs(v1 - v2) > 6 ||
+    Math.abs(a1 - a2) > 48
+  );
+}
+
+/**
+ * The hq2x / hq3x / hq4x case tables. Every case in them is symmetric under
+ * flips and transposition, so only the output pixels of one corner are kept
+ * (`at`: [row, column] of the n×n block, row ≤ column); the rest are looked
+ * up with the neighbourhood turned to match.
+ *
+ * `table` maps the 8-bit pattern — bit b set when the b-th neighbour (in
+ * reading order, skipping the centre) differs from the centre — to a rule,
+ * as a base-36 index into `rules`. A rule names neighbours as seen from the
+ * top-left corner: c(entre), t(op), l(eft), d(iagonal), r(ight), b(ottom),
+ * each followed by its weight in sixteenths ("c8t4l4": half the centre, a
+ * quarter each of top and left). "tl?X:Y" is X when t and l differ, else Y.
+ */
+const HQX_TABLES = {
+  2: [
+    {
+      at: [0, 0],
+      rules: [
+        "c8t4l4",
+        "c8l4d4",
+        "c8t4d4",
+        "c12l4",
+        "c12t4",
+        "tl?c16:c8t4l4",
+        "tl?c12d4:c12t2l2",
+        "c12d4",
+        "tl?c16:c14t1l1",
+        "tl?c16:c4t6l6",
+        "lb?c12t4:c10t2l4",
+        "tr?c12l4:c10t4l2",
+        "tl?c12d4:c4t6l6",
+        "tl?c12d4:c8t4l4",
+      ],
+      table:
+        "0013001324d524c9001b001b245524750013001324c92468001b001b24652478" +
+        "001300132a552a650013001324652465001300132a752a780013001b24652a78" +
+        "0013001324d524c900130013246524650013001324c924680013001324692478" +
+        "0013001324652469001300132465247500130013246524780013001324752478",
+    },
+  ],
+  3: [
+    {
+      at: [0, 0],
+      rules: [
+        "c12d4",
+        "c8t4l4",
+        "c12l4",
+        "c12t4",
+        "tl?c16:c2t7l7",
+        "tl?c12d4:c8t4l4",
+        "tl?c16:c8t4l4",
+        "tl?c16:t8l8",
+        "lb?c12t4:c8t4l4",
+        "tr?c12l4:c8t4l4",
+        "tl?c12d4:t8l8",
+        "tl?c12d4:c2t7l7",
+      ],
+      table:
+        "1102110203b403a711091109034403041102110203a703561109110903540306" +
+        "1102110208440854110211020354035411021102080408061102110903540806" +
+        "1102110203b403a711021102035403541102110203a703561102110203570306" +
+        "1102110203540357110211020354030411021102035403061102110203040306",
+    },
+    {
+      at: [0, 1],
+      rules: [
+        "c12t4",
+        "c16",
+        "tl?c16:c14t2",
+        "tr?c16:c14t2",
+        "tl?c16:c12t4",
+        "tl?c16:c4t12",
+        "tr?c16:c12t4",
+        "tr?c16:c4t12",
+      ],
+      table:
+        "0011001100220055003700370012003100110011004400110037003700120031" +
+        "0011001100220012003100330012003100110011001200110011003700120032" +
+        "0011001100220055006100610012003100110011004400110061006100140061" +
+        "0011001100120015001100310012003300110011001200110011003100120031",
+    },
+  ],
+  4: [
+    {
+      at: [0, 0],
+      rules: [
+        "c10d6",
+        "c8t4l4",
+        "c10l6",
+        "c10t6",
+        "tl?c16:t8l8",
+        "tl?c10d6:c8t4l4",
+        "tl?c16:c8t4l4",
+        "tl?c10d6:t8l8",
+        "lb?c10t6:c12l4",
+        "tr?c10l6:c12t4",
+      ],
+      table:
+        "1102110203740374110911090344030411021102037403561109110903540306" +
+        "1102110208440854110211020354035411021102080408061102110903540806" +
+        "1102110203740374110211020354035411021102037403561102110203540306" +
+        "1102110203540354110211020354030411021102035403061102110203040306",
+    },
+    {
+      at: [0, 1],
+      rules: [
+        "c10t4l2",
+        "c12d4",
+        "c10t4d2",
+        "c10t6",
+        "c14l2",
+        "tl?c16:c8t8",
+        "tl?c12d4:c12t4",
+        "c16",
+        "tr?c14l2:c4t12",
+        "tl?c16:c4t8l4",
+        "tl?c16:t10l6",
+        "tl?c12d4:c4t8l4",
+        "tl?c12d4:c8t8",
+        "tl?c12d4:t10l6",
+      ],
+      table:
+        "0014001423c523da00180018235523150014001423b923670018001823652317" +
+        "0014001423552365001400142365236500140014231523170014001823652317" +
+        "0014001423c523da00140014236523650014001423b923670014001423692317" +
+        "001400142365236a001400142365231500140014236523170014001423152317",
+    },
+    {
+      at: [1, 1],
+      rules: [
+        "c14d2",
+        "c12t2l2",
+        "c14l2",
+        "c14t2",
+        "c16",
+        "tl?c14d2:c16",
+        "tl?c16:c12t2l2",
+        "tl?c14d2:c12t2l2",
+      ],
+      table:
+        "1102110203540376110211020344030411021102037603541102110203540304" +
+        "1102110203440354110211020354035411021102030403041102110203540304" +
+        "1102110203540376110211020354035411021102037603541102110203560304" +
+        "1102110203540356110211020354030411021102035403041102110203040304",
+    },
+  ],
+};
+
+const HQX_NAMES = { d: 0, t: 1, l: 3, c: 4, r: 5, b: 7 };
+const HQX_NEIGHBOURS = [0, 1, 2, 3, 5, 6, 7, 8];
+
+const hqxBlend = (spec) => {
+  const parts = [...spec.matchAll(/([a-z])(\d+)/g)];
+  return {
+    at: parts.map(([, name]) => HQX_NAMES[name]),
+    weights: parts.map(([, , w]) => Number(w) / 16),
+  };
+};
+
+function hqxRule(spec) {
+  const m = /^([a-z])([a-z])\?(\w+):(\w+)$/.exec(spec);
+  if (!m) return { then: hqxBlend(spec) };
+  return {
+    pair: [HQX_NAMES[m[1]], HQX_NAMES[m[2]]],
+    then: hqxBlend(m[3]),
+    otherwise: hqxBlend(m[4]),
+  };
+}
+
+const hqxCellCache = {};
+
+/**
+ * Per output pixel of an n×n block: `perm` maps table positions (3×3,
+ * reading order) to the real neighbourhood, `rules` the pattern → rule
+ * lookup; null where the table leaves the centre as it is.
+ */
+function hqxCells(n) {
+  if (hqxCellCache[n]) return hqxCellCache[n];
+  const cells = [];
+  for (let s = 0; s < n * n; s++) {
+    let py = Math.floor(s / n);
+    let px = s % n;
+    const flipY = py > (n - 1) / 2;
+    const flipX = px > (n - 1) / 2;
+    if (flipY) py = n - 1 - py;
+    if (flipX) px = n - 1 - px;
+    const swap = py > px;
+    if (swap) [py, px] = [px, py];
+    const entry = HQX_TABLES[n].find((e) => e.at[0] === py && e.at[1] === px);
+    if (!entry) {
+      cells.push(null);
+      continue;
+    }
+    const perm = Array.from({ length: 9 }, (_, i) => {
+      let r = Math.floor(i / 3);
+      let c = i % 3;
+      if (swap) [r, c] = [c, r];
+      if (flipY) r = 2 - r;
+      if (flipX) c = 2 - c;
+      return r * 3 + c;
+    });
+    const rules = entry.rules.map(hqxRule);
+    cells.push({
+      perm,
+      rules: [...entry.table].map((ch) => rules[parseInt(ch, 36)]),
+    });
+  }
+  return (hqxCellCache[n] = cells);
+}
+
+function hqx(src, w, h, n) {
+  const p = sampler(src, w, h);
+  const cells = hqxCells(n);
+  const ow = w * n;
+  const out = new Uint32Array(ow * h * n);
+  const nb = new Array(9);
+  const differs = new Array(9);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      for (let i = 0; i < 9; i++) {
+        nb[i] = p(x + (i % 3) - 1, y + Math.floor(i / 3) - 1);
+      }
+      for (let i = 0; i < 9; i++) differs[i] = hqDiff(nb[4], nb[i]);
+      const o = y * n * ow + x * n;
+      for (let s = 0; s < n * n; s++) {
+        const at = o + Math.floor(s / n) * ow + (s % n);
+        const cell = cells[s];
+        if (!cell) {
+          out[at] = nb[4];
+          continue;
+        }
+        const { perm } = cell;
+        let k = 0;
+        for (let b = 0; b < 8; b++) {
+          if (differs[perm[HQX_NEIGHBOURS[b]]]) k |= 1 << b;
+        }
+        const rule = cell.rules[k];
+        const blend =
+          rule.pair && !hqDiff(nb[perm[rule.pair[0]]], nb[perm[rule.pair[1]]])
+            ? rule.otherwise
+            : rule.then;
+        out[at] = mix(
+          blend.at.map((i) => nb[perm[i]]),
+          blend.weights
+        );
+      }
+    }
+  }
+  return out;
+}
+
+/* ── Corner engine (xBR) ───────────────────────────────────────────────── */
+
+const CORNERS = [
+  [1, 1],
+  [1, -1],
+  [-1, -1],
+  [-1, 1],
+];
+const SAMPLES = 4; // per output pixel and axis
+
+/**
+ * Scale by n. classify(q) looks at one corner of a source pixel through `q`,
+ * an accessor whose (1, 1) is the diagonal neighbour at that corner, and
+ * returns null or { color, cover(u, v) } — how strongly the point (u, v)
+ * takes `color`, 0–1, where u and v run 0 → 1 from the opposite corner
+ * towards this one.
+ */
+function cornerScale(src, w, h, n, classify) {
+  const p = sampler(src, w, h);
+  const ow = w * n;
+  const out = new Uint32Array(ow * h * n);
+  const colors = [];
+  const weights = [];
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const e = p(x, y);
+      const corners = [];
+      for (const [sx, sy] of CORNERS) {
+        const hit = classify((i, j) => p(x + sx * i, y + sy * j));
+        if (hit) corners.push({ ...hit, sx, sy });
+      }
+      const o = y * n * ow + x * n;
+      for (let py = 0; py < n; py++) {
+        for (let px = 0; px < n; px++) {
+          colors.length = 0;
+          weights.length = 0;
+          let rest = 1;
+          for (const k of corners) {
+            let cover = 0;
+            for (let j = 0; j < SAMPLES; j++) {
+              const fy = (py + (j + 0.5) / SAMPLES) / n;
+              const v = k.sy > 0 ? fy : 1 - fy;
+              for (let i = 0; i < SAMPLES; i++) {
+                const fx = (px + (i + 0.5) / SAMPLES) / n;
+                cover += k.cover(k.sx > 0 ? fx : 1 - fx, v);
+              }
+            }
+            const wgt = Math.min(rest, cover / SAMPLES ** 2);
+            if (wgt <= 0) continue;
+            colors.push(k.color);
+            weights.push(wgt);
+            rest -= wgt;
+          }
+          colors.push(e);
+          weights.push(rest);
+          out[o + py * ow + px] = rest === 1 ? e : mix(colors, weights);
+        }
+      }
+    }
+  }
+  return out;
+}
+
+/* xBR (level 2): weighted YUV distances decide edge direction and slope */
+function xbrDist(a, b) {
+  if (a === b) return 0;
+  const [y1, u1, v1, a1] = yuva(a);
+  const [y2, u2, v2, a2] = yuva(b);
+  return (
+    48 * Math.abs(y1 - y2) +
+    7 * Math.abs(u1 - u2) +
+    6 * Math.abs(v1 - v2) +
+    48 * Math.abs(a1 - a2)
+  );
+}
+
+function xbrCorner(q) {
+  const [b, c] = [q(0, -1), q(1, -1)];
+  const [d, e, f, f4] = [q(-1, 0), q(0, 0), q(1, 0), q(2, 0)];
+  const [g, hh, i, i4] = [q(-1, 1), q(0, 1), q(1, 1), q(2, 1)];
+  const [h5, i5] = [q(0, 2), q(1, 2)];
+  if (e === f || e === hh) return null;
+  if (!(
+    (f !== b && hh !== d) ||
+    (e === i && f !== i4 && hh !== i5) ||
+    e === g ||
+    e === c
+  )) {
+    return null;
+  }
+  const dist = xbrDist;
+  const across =
+    dist(e, c) + dist(e, g) + dist(i, h5) + dist(i, f4) + 4 * dist(hh, f);
+  const along =
+    dist(hh, d) + dist(hh, i5) + dist(f, i4) + dist(f, b) + 4 * dist(e, i);
+  if (across >= along) return null;
+  const shallow = 2 * dist(f, g) <= dist(hh, c) && e !== g && d !== g;
+  const steep = dist(f, g) >= 2 * dist(hh, c) && e !== c && b !== c;
+  return {
+    color: dist(e, f) <= dist(e, hh) ? f : hh,
+    cover: (u, v) =>
+      u + v > 1.5 || (shallow && v + u / 2 > 1) || (steep && u + v / 2 > 1)
+        ? 1
+        : 0,
+  };
+}
+
+const xbr = (src, w, h, n) => cornerScale(src, w, h, n, xbrCorner);
+
+/* ── Public API ─────────────────────────────────────────────────────────── */
+
+/** UPSCALERS entry for `method` (unknown ids get nearest neighbour) */
+const upscaler = (method) =>
+  UPSCALERS.find((u) => u.id === method) ?? UPSCALERS[0];
+
+const PASSES = {
+  nearest: (src, w, h, n) => scalePixels(src, w, h, w * n, h * n),
+  scalex: (src, w, h, n) => (n === 3 ? scale3x : scale2x)(src, w, h),
+  eagle: (src, w, h) => eagle(src, w, h),
+  hqx,
+  xbr,
+};
+
+/**
+ * The passes `method` makes to reach `factor` ([n, …]; [] for ×1), or null
+ * when its steps can't multiply up to it.
+ */
+export function upscalePlan(method, factor) {
+  const { steps } = upscaler(method);
+  if (steps === "any") return factor === 1 ? [] : [factor];
+  const passes = [];
+  let rest = factor;
+  while (rest > 1) {
+    const step = steps.find((s) => rest % s === 0);
+    if (!step) return null;
+    passes.push(step);
+    rest /= step;
+  }
+  return passes;
+}
+
+/** Why `method` can't upscale by `factor`, or null when it can */
+export function upscaleError(method, factor) {
+  if (upscalePlan(method, factor)) return null;
+  const { label, steps } = upscaler(method);
+  const made = steps.map((n) => `×${n}`).join(", ");
+  return `${label} only scales by products of ${made}; ×${factor} isn't one`;
+}
+
+/**
+ * Upscale a w×h buffer by a whole `factor` with one of UPSCALERS, then add
+ * `margin` transparent px on every side → { pixels, width, height }. Throws
+ * a RangeError for a factor the method can't make (see upscaleError).
+ */
+export function upscalePixels(
+  src,
+  w,
+  h,
+  { method = "nearest", factor = 2, margin = 0 } = {}
+) {
+  const passes = upscalePlan(method, factor);
+  if (!passes) throw new RangeError(upscaleError(method, factor));
+  let pixels = src;
+  let cw = w;
+  let ch = h;
+  for (const n of passes) {
+    pixels = PASSES[upscaler(method).id](pixels, cw, ch, n);
+    cw *= n;
+    ch *= n;
+  }
+  if (margin > 0) {
+    const mw = cw + margin * 2;
+    const mh = ch + margin * 2;
+    pixels = cropPixels(pixels, cw, ch, mw, mh, "center");
+    cw = mw;
+    ch = mh;
+  }
+  return { pixels, width: cw, height: ch };
+}
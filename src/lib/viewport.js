@@ -0,0 +1,67 @@
+/**
+ * Editor viewport — the canvas is drawn at an integer zoom (CSS px per sprite
+ * pixel, so pixels stay crisp) and panned inside a fixed window. `pan` is the
+ * offset of the canvas' top-left corner from the window's, in CSS px; points
+ * (px, py) below are window-relative CSS px as well.
+ */
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 64;
+// Canvas backing stores get slow, then fail, past a few thousand px a side
+const MAX_CANVAS_CSS_PX = 8192;
+const ZOOM_STEP = 1.2;
+
+const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+/** Highest zoom for content `side` px long (its longest side) */
+export const maxZoom = (side) =>
+  clamp(Math.floor(MAX_CANVAS_CSS_PX / side), MIN_ZOOM, MAX_ZOOM);
+
+/** The next integer zoom about 20% in (dir > 0) or out (dir < 0) */
+export function zoomStep(scale, dir, max = MAX_ZOOM) {
+  const next =
+    dir > 0
+      ? Math.max(scale + 1, Math.round(scale * ZOOM_STEP))
+      : Math.min(scale - 1, Math.round(scale / ZOOM_STEP));
+  return clamp(next, MIN_ZOOM, max);
+}
+
+/** Pan that keeps the point under (px, py) in place when zooming to `next` */
+export const zoomPan = (pan, scale, next, px, py) => ({
+  x: px - ((px - pan.x) * next) / scale,
+  y: py - ((py - pan.y) * next) / scale,
+});
+
+/** Pan that centres w×h sprite pixels at `scale` in a vw×vh window */
+export const centerPan = (vw, vh, w, h, scale) => ({
+  x: Math.round((vw - w * scale) / 2),
+  y: Math.round((vh - h * scale) / 2),
+});
+
+/** Largest zoom that shows all of w×h in the window (with a margin), centred */
+export function fitView(vw, vh, w, h, { margin = 16, max = MAX_ZOOM } = {}) {
+  const scale = clamp(
+    Math.floor(Math.min((vw - 2 * margin) / w, (vh - 2 * margin) / h)),
+    MIN_ZOOM,
+    max
+  );
+  return { scale, pan: centerPan(vw, vh, w, h, scale) };
+}
+
+/**
+ * Two-finger gesture: the pan and zoom that keep the sprite point first under
+ * the fingers' midpoint under the current midpoint, scaled by how far the
+ * fingers spread. start: { pan, scale, mid: { x, y }, spread }.
+ */
+export function pinchView(start, mid, spread, max = MAX_ZOOM) {
+  const scale = start.spread
+    ? clamp(Math.round((start.scale * spread) / start.spread), MIN_ZOOM, max)
+    : start.scale;
+  return {
+    scale,
+    pan: {
+      x: mid.x - ((start.mid.x - start.pan.x) * scale) / start.scale,
+      y: mid.y - ((start.mid.y - start.pan.y) * scale) / start.scale,
+    },
+  };
+}
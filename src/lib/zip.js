@@ -0,0 +1,113 @@
+/**
+ * ZIP archives (PKWARE APPNOTE) written in plain JS, so a batch of exports can
+ * be downloaded as one file. Each entry is deflated with our zlib encoder when
+ * that makes it smaller and stored otherwise (PNGs are already compressed).
+ * No ZIP64: archives stay well under 4 GB and 65535 entries.
+ */
+import { crc32 } from "./png.js";
+import { deflate } from "./zlib.js";
+
+const STORE = 0;
+const DEFLATE = 8;
+const UTF8_NAMES = 1 << 11;
+
+const utf8 = (s) => new TextEncoder().encode(s);
+
+/** MS-DOS time and date words for `date` (2-second resolution, local time) */
+function dosDateTime(date) {
+  const year = Math.max(1980, Math.min(2107, date.getFullYear()));
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * entries: [{ name, data }] with data a Uint8Array or a string (UTF-8).
+ * Names use "/" for folders. Returns the archive as a Uint8Array.
+ */
+export function createZip(entries, { date = new Date() } = {}) {
+  const stamp = dosDateTime(date);
+  const files = entries.map(({ name, data }) => {
+    const raw = typeof data === "string" ? utf8(data) : data;
+    // A zlib stream minus its 2-byte header and adler-32 trailer is raw deflate
+    const packed = raw.length ? deflate(raw).subarray(2, -4) : raw;
+    const deflated = packed.length < raw.length;
+    return {
+      name: utf8(name),
+      crc: crc32(raw),
+      size: raw.length,
+      method: deflated ? DEFLATE : STORE,
+      body: deflated ? packed : raw,
+    };
+  });
+
+  const localSize = files.reduce(
+    (n, f) => n + 30 + f.name.length + f.body.length,
+    0
+  );
+  const centralSize = files.reduce((n, f) => n + 46 + f.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let p = 0;
+  const u16 = (v) => {
+    view.setUint16(p, v, true);
+    p += 2;
+  };
+  const u32 = (v) => {
+    view.setUint32(p, v, true);
+    p += 4;
+  };
+  const bytes = (b) => {
+    out.set(b, p);
+    p += b.length;
+  };
+  // Fields shared by local and central headers, from "version needed" on
+  const common = (f) => {
+    u16(20);
+    u16(UTF8_NAMES);
+    u16(f.method);
+    u16(stamp.time);
+    u16(stamp.date);
+    u32(f.crc);
+    u32(f.body.length);
+    u32(f.size);
+    u16(f.name.length);
+    u16(0); // extra field length
+  };
+
+  const offsets = files.map((f) => {
+    const offset = p;
+    u32(0x04034b50);
+    common(f);
+    bytes(f.name);
+    bytes(f.body);
+    return offset;
+  });
+
+  const centralStart = p;
+  files.forEach((f, i) => {
+    u32(0x02014b50);
+    u16(20); // version made by
+    common(f);
+    u16(0); // comment length
+    u16(0); // disk number
+    u16(0); // internal attributes
+    u32(0); // external attributes
+    u32(offsets[i]);
+    bytes(f.name);
+  });
+
+  u32(0x06054b50);
+  u16(0);
+  u16(0);
+  u16(files.length);
+  u16(files.length);
+  u32(centralSize);
+  u32(centralStart);
+  u16(0); // comment length
+  return out;
+}
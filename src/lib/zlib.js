@@ -0,0 +1,358 @@
+/**
+ * zlib streams (RFC 1950/1951) in plain JS, so PNG encoding and decoding work
+ * the same in the browser and in Node. `inflate` reads every block type;
+ * `deflate` writes one fixed-Huffman block with LZ77 matching — small enough
+ * here and plenty for flat pixel art.
+ */
+
+export class ZlibError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ZlibError";
+  }
+}
+
+const LEN_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67,
+  83, 99, 115, 131, 163, 195, 227, 258,
+];
+const LEN_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5,
+  5, 5, 0,
+];
+const DIST_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769,
+  1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DIST_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11,
+  11, 12, 12, 13, 13,
+];
+// Order in which code-length code lengths are stored in a dynamic block
+const CL_ORDER = [
+  16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15,
+];
+
+/** Fixed literal/length code lengths (RFC 1951 §3.2.6) */
+const fixedLitLengths = () => {
+  const l = new Uint8Array(288);
+  l.fill(8, 0, 144);
+  l.fill(9, 144, 256);
+  l.fill(7, 256, 280);
+  l.fill(8, 280, 288);
+  return l;
+};
+
+export function adler32(data) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < data.length;) {
+    // 5552 is the largest run before the sums can overflow 2^32
+    const end = Math.min(data.length, i + 5552);
+    for (; i < end; i++) {
+      a += data[i];
+      b += a;
+    }
+    a %= 65521;
+    b %= 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+/** A growable byte buffer */
+function byteSink(size) {
+  let buf = new Uint8Array(Math.max(256, size));
+  let length = 0;
+  return {
+    push(byte) {
+      if (length === buf.length) {
+        const grown = new Uint8Array(buf.length * 2);
+        grown.set(buf);
+        buf = grown;
+      }
+      buf[length++] = byte;
+    },
+    get length() {
+      return length;
+    },
+    at: (i) => buf[i],
+    bytes: () => buf.slice(0, length),
+  };
+}
+
+/* ── Inflate ────────────────────────────────────────────────────────────── */
+
+/** Canonical Huffman decoding table: symbols grouped by code length */
+function huffman(lengths) {
+  const counts = new Uint16Array(16);
+  for (const l of lengths) counts[l]++;
+  counts[0] = 0;
+  const offsets = new Uint16Array(16);
+  for (let i = 1; i < 15; i++) offsets[i + 1] = offsets[i] + counts[i];
+  const symbols = new Uint16Array(lengths.length);
+  for (let s = 0; s < lengths.length; s++) {
+    if (lengths[s]) symbols[offsets[lengths[s]]++] = s;
+  }
+  return { counts, symbols };
+}
+
+/** Raw DEFLATE data from `start` → { bytes, end } (end = offset after it) */
+function inflateRaw(data, start, sizeHint) {
+  let pos = start;
+  let bitBuf = 0;
+  let bitCnt = 0;
+  const out = byteSink(sizeHint);
+
+  const bits = (n) => {
+    while (bitCnt < n) {
+      if (pos >= data.length) throw new ZlibError("Unexpected end of data");
+      bitBuf |= data[pos++] << bitCnt;
+      bitCnt += 8;
+    }
+    const v = bitBuf & ((1 << n) - 1);
+    bitBuf >>>= n;
+    bitCnt -= n;
+    return v;
+  };
+  const decode = ({ counts, symbols }) => {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let len = 1; len < 16; len++) {
+      code |= bits(1);
+      const count = counts[len];
+      if (code - first < count) return symbols[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new ZlibError("Invalid Huffman code");
+  };
+
+  const stored = () => {
+    bitBuf = 0; // skip to the byte boundary
+    bitCnt = 0;
+    if (pos + 4 > data.length) throw new ZlibError("Unexpected end of data");
+    const len = data[pos] | (data[pos + 1] << 8);
+    const nlen = data[pos + 2] | (data[pos + 3] << 8);
+    if ((len ^ 0xffff) !== nlen) throw new ZlibError("Corrupt stored block");
+    pos += 4;
+    if (pos + len > data.length) throw new ZlibError("Unexpected end of data");
+    for (let i = 0; i < len; i++) out.push(data[pos++]);
+  };
+
+  const codes = (lit, dist) => {
+    for (;;) {
+      const sym = decode(lit);
+      if (sym < 256) {
+        out.push(sym);
+        continue;
+      }
+      if (sym === 256) return;
+      const li = sym - 257;
+      if (li >= LEN_BASE.length) throw new ZlibError("Invalid length code");
+      const len = LEN_BASE[li] + bits(LEN_EXTRA[li]);
+      const di = decode(dist);
+      if (di >= DIST_BASE.length) throw new ZlibError("Invalid distance code");
+      const d = DIST_BASE[di] + bits(DIST_EXTRA[di]);
+      if (d > out.length) throw new ZlibError("Distance too far back");
+      for (let i = 0; i < len; i++) out.push(out.at(out.length - d));
+    }
+  };
+
+  const dynamic = () => {
+    const hlit = bits(5) + 257;
+    const hdist = bits(5) + 1;
+    const hclen = bits(4) + 4;
+    const clLengths = new Uint8Array(19);
+    for (let i = 0; i < hclen; i++) clLengths[CL_ORDER[i]] = bits(3);
+    const cl = huffman(clLengths);
+    const lengths = new Uint8Array(hlit + hdist);
+    for (let i = 0; i < lengths.length;) {
+      const sym = decode(cl);
+      if (sym < 16) {
+        lengths[i++] = sym;
+        continue;
+      }
+      let repeat = 0;
+      let value = 0;
+      if (sym === 16) {
+        if (i === 0) throw new ZlibError("Repeat with no previous length");
+        value = lengths[i - 1];
+        repeat = 3 + bits(2);
+      } else if (sym === 17) repeat = 3 + bits(3);
+      else repeat = 11 + bits(7);
+      if (i + repeat > lengths.length) throw new ZlibError("Too many lengths");
+      lengths.fill(value, i, i + repeat);
+      i += repeat;
+    }
+    codes(huffman(lengths.subarray(0, hlit)), huffman(lengths.subarray(hlit)));
+  };
+
+  let last = 0;
+  while (!last) {
+    last = bits(1);
+    const type = bits(2);
+    if (type === 0) stored();
+    else if (type === 1) {
+      codes(huffman(fixedLitLengths()), huffman(new Uint8Array(30).fill(5)));
+    } else if (type === 2) dynamic();
+    else throw new ZlibError("Invalid block type");
+  }
+  return { bytes: out.bytes(), end: pos };
+}
+
+/** Decompress a zlib stream. `sizeHint` pre-sizes the output buffer. */
+export function inflate(data, sizeHint = data.length * 4) {
+  if (data.length < 6) throw new ZlibError("Unexpected end of data");
+  const cmf = data[0];
+  const flg = data[1];
+  if ((cmf & 0x0f) !== 8 || ((cmf << 8) | flg) % 31 !== 0) {
+    throw new ZlibError("Not a zlib stream");
+  }
+  if (flg & 0x20) throw new ZlibError("Preset dictionaries are not supported");
+  const { bytes, end } = inflateRaw(data, 2, sizeHint);
+  if (end + 4 > data.length) throw new ZlibError("Missing checksum");
+  const sum =
+    ((data[end] << 24) |
+      (data[end + 1] << 16) |
+      (data[end + 2] << 8) |
+      data[end + 3]) >>>
+    0;
+  if (sum !== adler32(bytes)) throw new ZlibError("Checksum mismatch");
+  return bytes;
+}
+
+/* ── Deflate ────────────────────────────────────────────────────────────── */
+
+const WINDOW = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MAX_CHAIN = 64;
+const HASH_BITS = 15;
+
+const reverseBits = (code, len) => {
+  let r = 0;
+  for (let i = 0; i < len; i++) {
+    r = (r << 1) | (code & 1);
+    code >>= 1;
+  }
+  return r;
+};
+
+/** Canonical codes for `lengths`, bit-reversed for LSB-first output */
+function encoder(lengths) {
+  const counts = new Uint16Array(16);
+  for (const l of lengths) counts[l]++;
+  counts[0] = 0;
+  const next = new Uint16Array(16);
+  for (let len = 1, code = 0; len < 16; len++) {
+    code = (code + counts[len - 1]) << 1;
+    next[len] = code;
+  }
+  const codes = new Uint16Array(lengths.length);
+  for (let s = 0; s < lengths.length; s++) {
+    if (lengths[s]) codes[s] = reverseBits(next[lengths[s]]++, lengths[s]);
+  }
+  return { codes, lengths };
+}
+
+let fixedTables = null;
+function fixed() {
+  if (fixedTables) return fixedTables;
+  const lenCode = new Uint8Array(MAX_MATCH + 1);
+  for (let i = 0; i < LEN_BASE.length; i++) {
+    const end = i + 1 < LEN_BASE.length ? LEN_BASE[i + 1] : MAX_MATCH + 1;
+    lenCode.fill(i, LEN_BASE[i], end);
+  }
+  fixedTables = {
+    lit: encoder(fixedLitLengths()),
+    dist: encoder(new Uint8Array(30).fill(5)),
+    lenCode,
+  };
+  return fixedTables;
+}
+
+const distCode = (d) => {
+  let i = DIST_BASE.length - 1;
+  while (DIST_BASE[i] > d) i--;
+  return i;
+};
+
+/** Compress bytes into a zlib stream (one fixed-Huffman block) */
+export function deflate(data) {
+  const { lit, dist, lenCode } = fixed();
+  const out = byteSink(data.length / 2 + 64);
+  let bitBuf = 0;
+  let bitCnt = 0;
+  const put = (value, n) => {
+    bitBuf |= value << bitCnt;
+    bitCnt += n;
+    while (bitCnt >= 8) {
+      out.push(bitBuf & 0xff);
+      bitBuf >>>= 8;
+      bitCnt -= 8;
+    }
+  };
+  const symbol = (table, s) => put(table.codes[s], table.lengths[s]);
+
+  out.push(0x78);
+  out.push(0x9c);
+  put(1, 1); // final block
+  put(1, 2); // fixed Huffman
+
+  const n = data.length;
+  const head = new Int32Array(1 << HASH_BITS).fill(-1);
+  const prev = new Int32Array(WINDOW);
+  const hash = (i) =>
+    ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) &
+    ((1 << HASH_BITS) - 1);
+  const insert = (i) => {
+    if (i + MIN_MATCH > n) return;
+    const h = hash(i);
+    prev[i % WINDOW] = head[h];
+    head[h] = i;
+  };
+
+  for (let i = 0; i < n;) {
+    let bestLen = 0;
+    let bestDist = 0;
+    if (i + MIN_MATCH <= n) {
+      const max = Math.min(MAX_MATCH, n - i);
+      let cand = head[hash(i)];
+      for (let chain = 0; cand >= 0 && chain < MAX_CHAIN; chain++) {
+        if (i - cand > WINDOW) break;
+        let len = 0;
+        while (len < max && data[cand + len] === data[i + len]) len++;
+        if (len > bestLen) {
+          bestLen = len;
+          bestDist = i - cand;
+          if (len === max) break;
+        }
+        const p = prev[cand % WINDOW];
+        if (p >= cand) break; // slot reused by a newer position
+        cand = p;
+      }
+    }
+    if (bestLen >= MIN_MATCH) {
+      const li = lenCode[bestLen];
+      symbol(lit, 257 + li);
+      put(bestLen - LEN_BASE[li], LEN_EXTRA[li]);
+      const di = distCode(bestDist);
+      symbol(dist, di);
+      put(bestDist - DIST_BASE[di], DIST_EXTRA[di]);
+      for (let k = 0; k < bestLen; k++) insert(i + k);
+      i += bestLen;
+    } else {
+      symbol(lit, data[i]);
+      insert(i);
+      i++;
+    }
+  }
+  symbol(lit, 256);
+  if (bitCnt > 0) put(0, 8 - bitCnt);
+
+  const sum = adler32(data);
+  for (let shift = 24; shift >= 0; shift -= 8) out.push((sum >>> shift) & 0xff);
+  return out.bytes();
+}